@@ -0,0 +1,93 @@
+import { AmenityService } from '../services';
+import { Helpers } from '../utils';
+
+const { errorResponse, successResponse } = Helpers;
+const {
+  getAmenities, addAmenity, updateAmenity, deleteAmenity
+} = AmenityService;
+
+/**
+ * A collection of methods that controls the amenities facilities can offer.
+ * @class AmenityController
+ */
+export default class AmenityController {
+  /**
+   * Gets all the amenities.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the amenities.
+   * @memberof AmenityController
+   */
+  static async getAmenities(req, res) {
+    try {
+      const amenities = await getAmenities();
+      successResponse(res, amenities);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Adds an amenity.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the amenity.
+   * @memberof AmenityController
+   */
+  static async addAmenity(req, res) {
+    try {
+      const amenity = await addAmenity(req.body.label);
+      successResponse(res, amenity, 201);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Changes the label of an amenity.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the updated amenity.
+   * @memberof AmenityController
+   */
+  static async updateAmenity(req, res) {
+    try {
+      const { params: { amenityId }, body: { label } } = req;
+      if (!Number.isInteger(Number(amenityId))) {
+        return errorResponse(res, { code: 404, message: `Amenity with id: ${amenityId} does not exist` });
+      }
+      const amenity = await updateAmenity(Number(amenityId), label);
+      successResponse(res, amenity);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Deletes an amenity.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the deleted amenity.
+   * @memberof AmenityController
+   */
+  static async deleteAmenity(req, res) {
+    try {
+      const { amenityId } = req.params;
+      if (!Number.isInteger(Number(amenityId))) {
+        return errorResponse(res, { code: 404, message: `Amenity with id: ${amenityId} does not exist` });
+      }
+      const amenity = await deleteAmenity(Number(amenityId));
+      successResponse(res, amenity);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
@@ -1,8 +1,17 @@
-import { BookingService } from '../services';
-import { Helpers } from '../utils';
+import { BookingService, UserService, ExchangeRateService } from '../services';
+import {
+  ApiError, Helpers, Notification, Permissions
+} from '../utils';
 
 const { errorResponse, successResponse } = Helpers;
-const { createAccBooking } = BookingService;
+const {
+  createAccBooking, updateAccBooking, updateBookingStatus, findBookingById, getSupplierBookings,
+  reserveRooms
+} = BookingService;
+const { find, findByRoles } = UserService;
+const { convert } = ExchangeRateService;
+const { notify } = Notification;
+const { supplierAdmin, companyTravelAdmins } = Permissions;
 /**
  * A collection of methods that controls booking activities via the booking routes
  *
@@ -10,7 +19,7 @@ const { createAccBooking } = BookingService;
  */
 class BookingController {
   /**
-   * Creates accommodation booking.
+   * Creates accommodation booking and notifies the admins of the facility.
    *
    * @static
    * @param {Request} req - The request from the browser.
@@ -21,12 +30,184 @@ class BookingController {
   static async createAccBooking(req, res) {
     try {
       const booking = await createAccBooking(req.body);
+      const actor = await find({ id: req.data.id });
+      await BookingController.notifyFacilityAdmins(await findBookingById(booking.id), 'made', actor);
+      const pricedBooking = await BookingController.withPrice(booking, actor.preferredCurrency);
+      successResponse(res, pricedBooking, 201);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
 
-      successResponse(res, booking, 201);
+  /**
+   * Reserves rooms of a company facility in bulk and notifies the other travel admins
+   * of the company.
+   *
+   * @static
+   * @param {Request} req - The request from the browser.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the bookings made.
+   * @memberof BookingController
+   */
+  static async reserveRooms(req, res) {
+    try {
+      const { facility, body: { checkIn, checkOut } } = req;
+      const bookings = await reserveRooms(req.body);
+      const actor = await find({ id: req.data.id });
+      const message = `${actor.firstName} ${actor.lastName} has reserved ${bookings.length} room(s) at ${facility.name} from ${checkIn} to ${checkOut}`;
+      await BookingController.notifyAdmins(facility, { message, url: `/api/facility/${facility.id}` }, actor);
+      const pricedBookings = await Promise.all(bookings
+        .map((booking) => BookingController.withPrice(booking, actor.preferredCurrency)));
+      successResponse(res, pricedBookings, 201);
     } catch (err) {
       errorResponse(res, { code: err.status || 500, message: err.message });
     }
   }
+
+  /**
+   * Changes the dates of an accommodation booking and notifies the admins of the facility.
+   *
+   * @static
+   * @param {Request} req - The request from the browser.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the updated booking.
+   * @memberof BookingController
+   */
+  static async updateAccBooking(req, res) {
+    try {
+      const { booking: { id, user }, statusChange: { label, from } } = req;
+      const booking = await updateAccBooking(id, req.body, { from, label });
+      await BookingController.notifyFacilityAdmins(await findBookingById(id), label, user);
+      successResponse(res, await BookingController.withPrice(booking, user.preferredCurrency));
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Cancels an accommodation booking and notifies the admins of the facility.
+   *
+   * @static
+   * @param {Request} req - The request from the browser.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the cancelled booking.
+   * @memberof BookingController
+   */
+  static async cancelAccBooking(req, res) {
+    try {
+      const { booking: { id, user }, statusChange: { status, label, from } } = req;
+      const booking = await updateBookingStatus(id, status, { from, label });
+      await BookingController.notifyFacilityAdmins(req.booking, label, user);
+      successResponse(res, await BookingController.withPrice(booking, user.preferredCurrency));
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Lists the bookings of the facilities of the supplier of a supplier admin. An admin
+   * who is not in a supplier has no bookings to list.
+   *
+   * @static
+   * @param {Request} req - The request from the browser.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with a page of bookings and the total matched.
+   * @memberof BookingController
+   */
+  static async getSupplierBookings(req, res) {
+    try {
+      const { supplierId } = await find({ id: req.data.id });
+      if (!supplierId) throw new ApiError(403, 'You are not an admin of a supplier');
+      const bookings = await getSupplierBookings(supplierId, req.query);
+      successResponse(res, bookings);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Confirms, declines, checks in or checks out a booking on behalf of its facility
+   * and notifies the guest.
+   *
+   * @static
+   * @param {Request} req - The request from the browser.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the updated booking.
+   * @memberof BookingController
+   */
+  static async changeBookingStatus(req, res) {
+    try {
+      const {
+        booking: {
+          id, user, checkIn, checkOut, room: { facility }
+        },
+        statusChange: { status, label, from }
+      } = req;
+      const booking = await updateBookingStatus(id, status, { from, label });
+      const message = `Your booking at ${facility.name} from ${checkIn} to ${checkOut} has been ${label}`;
+      await notify({ message, url: `/api/booking/accommodation/${id}` }, [user]);
+      successResponse(res, await BookingController.withPrice(booking, user.preferredCurrency));
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Adds the price of a booking, converted to a currency, to the booking.
+   *
+   * @static
+   * @param {object} booking - The booking with its costs in Naira.
+   * @param {string} currency - The currency to show the price in.
+   * @returns {Promise<object>} - The booking with its converted price.
+   * @memberof BookingController
+   */
+  static async withPrice(booking, currency) {
+    const {
+      nights, roomCost, addOnsCost, totalCost
+    } = booking;
+    const price = await convert({ roomCost, addOnsCost, totalCost }, currency);
+    return { ...booking, price: { nights, ...price } };
+  }
+
+  /**
+   * Notifies the admins of the facility of a booking about a change made to the
+   * booking. The user who made the change is not notified.
+   *
+   * @static
+   * @param {object} booking - The booking including its room and facility.
+   * @param {string} label - The change that was made e.g modified or cancelled.
+   * @param {object} actor - The user who made the change.
+   * @returns {Promise<array>} - The notifications sent.
+   * @memberof BookingController
+   */
+  static async notifyFacilityAdmins(booking, label, actor) {
+    const {
+      id, checkIn, checkOut, room: { facility }
+    } = booking;
+    const message = `${actor.firstName} ${actor.lastName} has ${label} a booking at ${facility.name} from ${checkIn} to ${checkOut}`;
+    return BookingController
+      .notifyAdmins(facility, { message, url: `/api/booking/accommodation/${id}` }, actor);
+  }
+
+  /**
+   * Notifies the admins of a facility, which are the supplier admins of a supplier
+   * facility or the travel admins of a company facility, leaving out the user who
+   * caused the notification.
+   *
+   * @static
+   * @param {object} facility - The facility.
+   * @param {object} notification - The message and url of the notification.
+   * @param {object} actor - The user who caused the notification.
+   * @returns {Promise<array>} - The notifications sent.
+   * @memberof BookingController
+   */
+  static async notifyAdmins(facility, notification, actor) {
+    const admins = facility.companyType === 'supplier'
+      ? await findByRoles({ supplierId: facility.supplierId }, supplierAdmin)
+      : await findByRoles({ companyId: facility.companyId }, companyTravelAdmins);
+    const recipients = admins.filter((admin) => admin.id !== actor.id);
+    return notify(notification, recipients);
+  }
 }
 
 export default BookingController;
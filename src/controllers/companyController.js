@@ -0,0 +1,73 @@
+import { RequestService, UserService } from '../services';
+import { ApiError, Helpers } from '../utils';
+
+const { getCompanyStatusHistory, getCompanyAnalytics } = RequestService;
+const { find } = UserService;
+const { successResponse, errorResponse, toCsv } = Helpers;
+
+/**
+ * A collection of methods that controls company wide reports.
+ *
+ * @class CompanyController
+ */
+export default class CompanyController {
+  /**
+   *  exports the status changes of every trip request in the admin's company as CSV. An
+   *  admin who is not in a company has no requests to export.
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns {string} - A CSV attachment or a JSON object containing failure details.
+   * @memberof CompanyController
+   */
+  static async exportStatusHistory(req, res) {
+    try {
+      const { companyId } = await find({ id: req.data.id });
+      if (!companyId) throw new ApiError(403, 'You are not an admin of a company');
+      const history = await getCompanyStatusHistory(companyId);
+      const csv = toCsv(history, [
+        'requestId', 'requester', 'origin', 'destination', 'departureDate', 'previousStatus',
+        'newStatus', 'changedBy', 'changedById', 'reason', 'changedAt'
+      ]);
+      res.attachment('request-status-history.csv');
+      return res.status(200).type('text/csv').send(csv);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  gets the travel analytics of the admin's company as JSON or CSV. An admin who is
+   *  not in a company has no analytics.
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns {JSON | string} - A JSON object or CSV attachment with the analytics,
+   * or a JSON object containing failure details.
+   * @memberof CompanyController
+   */
+  static async getAnalytics(req, res) {
+    try {
+      const { data: { id }, query: { format, ...window } } = req;
+      const { companyId } = await find({ id });
+      if (!companyId) throw new ApiError(403, 'You are not an admin of a company');
+      const analytics = await getCompanyAnalytics(companyId, window);
+      if (format === 'json') return successResponse(res, analytics, 200);
+      const rows = [
+        { metric: 'totalTrips', value: analytics.totalTrips },
+        { metric: 'approvalRate', value: analytics.approvalRate },
+        { metric: 'averageLeadTimeDays', value: analytics.averageLeadTimeDays },
+        ...analytics.tripsPerDestination
+          .map(({ destination, trips }) => ({ metric: 'tripsPerDestination', name: destination, value: trips })),
+        ...analytics.tripsPerDepartment
+          .map(({ department, trips }) => ({ metric: 'tripsPerDepartment', name: department, value: trips })),
+        ...analytics.topTravelers
+          .map(({ name, trips }) => ({ metric: 'topTravelers', name, value: trips }))
+      ];
+      res.attachment('travel-analytics.csv');
+      return res.status(200).type('text/csv').send(toCsv(rows, ['metric', 'name', 'value']));
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { ExchangeRateService } from '../services';
+import { Helpers } from '../utils';
+
+const { getExchangeRates, setExchangeRate } = ExchangeRateService;
+const { successResponse, errorResponse } = Helpers;
+
+/**
+ * A collection of methods that controls the exchange rates used to show prices in
+ * the preferred currency of users.
+ *
+ * @class ExchangeRateController
+ */
+export default class ExchangeRateController {
+  /**
+   *  gets all the exchange rates
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing the exchange rates or failure details.
+   * @memberof ExchangeRateController
+   */
+  static async getExchangeRates(req, res) {
+    try {
+      const exchangeRates = await getExchangeRates();
+      return successResponse(res, exchangeRates);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  sets the exchange rate of a currency
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing the exchange rate or failure details.
+   * @memberof ExchangeRateController
+   */
+  static async setExchangeRate(req, res) {
+    try {
+      const { params: { currency }, body: { rate } } = req;
+      const exchangeRate = await setExchangeRate(currency, rate);
+      return successResponse(res, exchangeRate);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+}
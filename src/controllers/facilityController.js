@@ -1,7 +1,10 @@
 import { FacilityService, UserService } from '../services';
 import { Helpers } from '../utils';
 
-const { createFacility, roomStatusUpdate, amenitiesUpdate } = FacilityService;
+const {
+  createFacility, addRoom, updateRoom, deleteRoom, amenitiesUpdate, searchFacilities, getFacilities,
+  getFacilityDetails, updateFacility, deleteFacility
+} = FacilityService;
 const { find } = UserService;
 const { errorResponse, successResponse } = Helpers;
 
@@ -53,23 +56,56 @@ class FacilityController {
   }
 
   /**
- * updates room availability.
- *
- * @static
- * @param {Request} req - The request from the endpoint.
- * @param {Response} res - The response returned by the method.
- * @returns { JSON } A JSON response with the registered company's details and a JWT.
- * @memberof Auth
- */
+   * Adds a room category to a facility.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the details of the new room category.
+   * @memberof FacilityController
+   */
+  static async addRoom(req, res) {
+    try {
+      const room = await addRoom(req.facility.id, req.body);
+      return successResponse(res, room, 201);
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
+
+  /**
+   * Updates the details and availability of a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the details of the updated room category.
+   * @memberof FacilityController
+   */
   static async roomUpdate(req, res) {
     try {
-      let { roomId } = req.params;
-      roomId = Number(roomId);
-      const { roomStatus } = req.body;
-      const roomUpdated = await roomStatusUpdate(roomId, roomStatus);
-      if (roomUpdated) {
-        return successResponse(res, roomUpdated, 201);
-      }
+      const roomUpdated = await updateRoom(req.room.id, req.body);
+      return successResponse(res, roomUpdated, 201);
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
+
+  /**
+   * Removes a room category from a facility.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the id of the removed room category.
+   * @memberof FacilityController
+   */
+  static async deleteRoom(req, res) {
+    try {
+      const { id } = await deleteRoom(req.room.id);
+      return successResponse(res, { id });
     } catch (error) {
       const status = error.status || 500;
       errorResponse(res, { code: status, message: error.message });
@@ -88,14 +124,115 @@ class FacilityController {
   static async amenitiesUpdate(req, res) {
     try {
       const { amenities } = req.body;
-      const { facilityId } = req.params;
-      const amenitiesUpdated = await amenitiesUpdate(amenities, facilityId);
+      const amenitiesUpdated = await amenitiesUpdate(amenities, req.facility.id);
       return successResponse(res, amenitiesUpdated, 201);
     } catch (error) {
       const status = error.status || 500;
       errorResponse(res, { code: status, message: error.message });
     }
   }
+
+  /**
+   * Lists a page of the supplier facilities on the App.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the facilities on the page.
+   * @memberof FacilityController
+   */
+  static async getFacilities(req, res) {
+    try {
+      const facilities = await getFacilities(req.query);
+      return successResponse(res, facilities);
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
+
+  /**
+   * Gets the details of a supplier facility with its rooms and amenities.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the details of the facility.
+   * @memberof FacilityController
+   */
+  static async getFacility(req, res) {
+    try {
+      const { facilityId } = req.params;
+      if (!Number.isInteger(Number(facilityId))) {
+        return errorResponse(res, { code: 404, message: 'This facility does not exist' });
+      }
+      const facility = await getFacilityDetails(Number(facilityId));
+      return successResponse(res, facility);
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
+
+  /**
+   * Updates the core details of a facility.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the updated facility.
+   * @memberof FacilityController
+   */
+  static async updateFacility(req, res) {
+    try {
+      const facility = await updateFacility(req.facility.id, req.body);
+      return successResponse(res, facility);
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
+
+  /**
+   * Deletes a facility.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the id of the deleted facility.
+   * @memberof FacilityController
+   */
+  static async deleteFacility(req, res) {
+    try {
+      const { id } = req.facility;
+      await deleteFacility(id);
+      return successResponse(res, { id });
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
+
+  /**
+   * Searches for facilities with rooms available for a stay.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the facilities and their available rooms.
+   * @memberof FacilityController
+   */
+  static async searchFacilities(req, res) {
+    try {
+      const { id } = req.data;
+      const { companyId } = await find({ id });
+      const facilities = await searchFacilities({ ...req.query, companyId });
+      return successResponse(res, facilities);
+    } catch (error) {
+      const status = error.status || 500;
+      errorResponse(res, { code: status, message: error.message });
+    }
+  }
 }
 
 export default FacilityController;
@@ -0,0 +1,67 @@
+import { ImageService } from '../services';
+import { Helpers } from '../utils';
+
+const { errorResponse, successResponse } = Helpers;
+const { addImages, updateImage, deleteImage } = ImageService;
+
+/**
+ * A collection of methods that controls the image galleries of facilities and
+ * their room categories on the App.
+ * @class ImageController
+ */
+export default class ImageController {
+  /**
+   * Adds uploaded images to the gallery of a facility or one of its room categories.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the images of the gallery.
+   * @memberof ImageController
+   */
+  static async addImages(req, res) {
+    try {
+      const { facility, room, files } = req;
+      const gallery = await addImages(facility.id, room ? room.id : null, files);
+      successResponse(res, gallery, 201);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Moves an image in its gallery and/or makes it the cover of the gallery.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the images of the gallery.
+   * @memberof ImageController
+   */
+  static async updateImage(req, res) {
+    try {
+      const gallery = await updateImage(req.image, req.body);
+      successResponse(res, gallery);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Deletes an image from its gallery.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the remaining images of the gallery.
+   * @memberof ImageController
+   */
+  static async deleteImage(req, res) {
+    try {
+      const gallery = await deleteImage(req.image);
+      successResponse(res, gallery);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
@@ -7,6 +7,14 @@ import RequestController from './requestController';
 import CommentController from './commentController';
 import MockController from './mockController';
 import NotificationController from './notificationController';
+import CompanyController from './companyController';
+import ExchangeRateController from './exchangeRateController';
+import ReviewController from './reviewController';
+import ImageController from './imageController';
+import LocationController from './locationController';
+import AmenityController from './amenityController';
+import RoomCategoryController from './roomCategoryController';
+import RateController from './rateController';
 
 export {
   AuthController,
@@ -17,5 +25,13 @@ export {
   RequestController,
   CommentController,
   MockController,
-  NotificationController
+  NotificationController,
+  CompanyController,
+  ExchangeRateController,
+  ReviewController,
+  ImageController,
+  LocationController,
+  AmenityController,
+  RoomCategoryController,
+  RateController
 };
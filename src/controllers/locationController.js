@@ -0,0 +1,94 @@
+import { LocationService } from '../services';
+import { Helpers } from '../utils';
+
+const { errorResponse, successResponse } = Helpers;
+const {
+  getCountries, getCountry, getState, searchCities
+} = LocationService;
+
+/**
+ * A collection of methods that controls the lookup of the countries, states and
+ * cities on the App.
+ * @class LocationController
+ */
+export default class LocationController {
+  /**
+   * Gets all the countries.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the countries.
+   * @memberof LocationController
+   */
+  static async getCountries(req, res) {
+    try {
+      const countries = await getCountries();
+      successResponse(res, countries);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Gets a country with its states.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the country and its states.
+   * @memberof LocationController
+   */
+  static async getCountry(req, res) {
+    try {
+      const { countryId } = req.params;
+      if (!Number.isInteger(Number(countryId))) {
+        return errorResponse(res, { code: 404, message: `Country with id: ${countryId} does not exist` });
+      }
+      const country = await getCountry(Number(countryId));
+      successResponse(res, country);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Gets a state with its country and cities.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the state and its cities.
+   * @memberof LocationController
+   */
+  static async getState(req, res) {
+    try {
+      const { stateId } = req.params;
+      if (!Number.isInteger(Number(stateId))) {
+        return errorResponse(res, { code: 404, message: `State with id: ${stateId} does not exist` });
+      }
+      const state = await getState(Number(stateId));
+      successResponse(res, state);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Gets the cities whose name starts with the text typed so far.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the cities found.
+   * @memberof LocationController
+   */
+  static async searchCities(req, res) {
+    try {
+      const cities = await searchCities(req.query);
+      successResponse(res, cities);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { RateService } from '../services';
+import { Helpers } from '../utils';
+
+const { errorResponse, successResponse } = Helpers;
+const {
+  getRates, addRate, updateRate, deleteRate
+} = RateService;
+
+/**
+ * A collection of methods that controls the rates of the room categories of
+ * facilities on the App.
+ * @class RateController
+ */
+export default class RateController {
+  /**
+   * Lists the rates of a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the rates.
+   * @memberof RateController
+   */
+  static async getRates(req, res) {
+    try {
+      const rates = await getRates(req.room.id);
+      successResponse(res, rates);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Adds a rate to a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the new rate.
+   * @memberof RateController
+   */
+  static async addRate(req, res) {
+    try {
+      const rate = await addRate(req.room.id, req.body);
+      successResponse(res, rate, 201);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Updates a rate of a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the updated rate.
+   * @memberof RateController
+   */
+  static async updateRate(req, res) {
+    try {
+      const rate = await updateRate(req.rate, req.body);
+      successResponse(res, rate);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Deletes a rate of a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the id of the deleted rate.
+   * @memberof RateController
+   */
+  static async deleteRate(req, res) {
+    try {
+      const { id } = await deleteRate(req.rate);
+      successResponse(res, { id });
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
@@ -1,9 +1,15 @@
-import { RequestService } from '../services';
-import { Helpers } from '../utils';
+import { RequestService, BookingService, UserService } from '../services';
+import { Helpers, Notification } from '../utils';
+import BookingController from './bookingController';
 
-
-const { getRequests, createTripRequest } = RequestService;
+const {
+  getRequests, getManagerRequests, getRequestDetails, getStatusHistory, createTripRequest,
+  updateTripRequest, updateStatus
+} = RequestService;
+const { findBookingById } = BookingService;
+const { find } = UserService;
 const { successResponse, errorResponse } = Helpers;
+const { notify } = Notification;
 
 /**
  * A collection of methods that controls user requests.
@@ -12,7 +18,9 @@ const { successResponse, errorResponse } = Helpers;
  */
 export default class RequestController {
   /**
- *  assign a role to a user
+ *  gets the requests of a user, filtered and sorted. The list of every matching request
+ *  is returned, as it always has been, unless a page or limit is asked for, which returns
+ *  the page with the total number of matching requests instead.
  * @static
  * @param {Request} req - The request from the endpoint.
  * @param {Response} res - The response returned by the method.
@@ -21,34 +29,194 @@ export default class RequestController {
  */
   static async getUserRequests(req, res) {
     try {
-      const { id } = req.data;
-      const requests = await getRequests(id);
-      if (!requests.length) {
+      const {
+        data: { id }, query, isFiltered, isPaginated
+      } = req;
+      const requests = await getRequests(id, isPaginated ? query : { ...query, limit: undefined });
+      if (!requests.total && !isFiltered) {
         return errorResponse(res, { code: 404, message: 'You have made no request yet' });
       }
-      return successResponse(res, requests, 200);
+      return successResponse(res, isPaginated ? requests : requests.requests, 200);
     } catch (e) {
       errorResponse(res, { code: 500, message: e.message });
     }
   }
 
   /**
-   *  creates a one way trip request
+   *  gets the requests awaiting the approval of a manager
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing success or failure details.
+   * @memberof RequestController
+   */
+  static async getPendingApprovals(req, res) {
+    try {
+      const { data: { id }, query } = req;
+      const requests = await getManagerRequests(id, { status: 'Pending', ...query });
+      return successResponse(res, requests, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  gets a trip request with its comments, bookings and status history
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing success or failure details.
+   * @memberof RequestController
+   */
+  static async getTripRequest(req, res) {
+    try {
+      const request = await getRequestDetails(req.params.requestId);
+      return successResponse(res, request, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  gets the status changes of a trip request in the order they were made
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing success or failure details.
+   * @memberof RequestController
+   */
+  static async getRequestStatusHistory(req, res) {
+    try {
+      const history = await getStatusHistory(req.params.requestId);
+      return successResponse(res, history, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  creates a one way or round trip request
    * @static
    * @param {Request} req - The request from the endpoint.
    * @param {Response} res - The response returned by the method.
    * @returns { JSON } - A JSON object containing success or failure details.
    * @memberof RequestController
    */
-  static async oneWayTripRequest(req, res) {
+  static async tripRequest(req, res) {
     try {
       const { body } = req;
       const { requester } = req;
-      delete body.returnDate;
-      const oneWayTrip = await createTripRequest({ ...body });
-      return successResponse(res, { ...oneWayTrip, ...requester }, 201);
+      const trip = await createTripRequest({ ...body });
+      return successResponse(res, { ...trip, ...requester }, 201);
     } catch (error) {
       errorResponse(res, {});
     }
   }
+
+  /**
+   *  updates a pending trip request and notifies the manager. The accommodation booked
+   *  for the trip must still be within its new dates.
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing success or failure details.
+   * @memberof RequestController
+   */
+  static async editTripRequest(req, res) {
+    try {
+      const { tripRequest: { id }, body, statusChange: { from, label } } = req;
+      const trip = await updateTripRequest(id, body, { from, label });
+      await RequestController.notifyManager(req.tripRequest, req.statusChange, trip.destination);
+      return successResponse(res, trip, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  cancels a pending trip request with the accommodation booked for it and notifies
+   *  the manager and the admins of the facilities booked
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing success or failure details.
+   * @memberof RequestController
+   */
+  static async cancelTripRequest(req, res) {
+    try {
+      const {
+        tripRequest, statusChange, data: { id: userId }
+      } = req;
+      const { statusId, from, label } = statusChange;
+      const request = await updateStatus(tripRequest.id, statusId, { userId, from, label });
+      await RequestController.notifyManager(tripRequest, statusChange, tripRequest.destination);
+      await RequestController
+        .notifyCancelledBookings(request.cancelledBookings, tripRequest.requester);
+      return successResponse(res, request, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   *  notifies the manager of a trip request about a change made by the requester
+   * @static
+   * @param {object} tripRequest - The trip request that was changed, including its requester.
+   * @param {object} statusChange - The change that was made.
+   * @param {string} destination - The destination of the trip.
+   * @returns {Promise<array>} - The notifications sent, if the request has a manager.
+   * @memberof RequestController
+   */
+  static async notifyManager({ id, managerId, requester }, { label }, destination) {
+    if (!managerId) return [];
+    const { firstName, lastName } = requester;
+    const message = `${firstName} ${lastName} has ${label} their travel request to ${destination}`;
+    return notify({ message, url: `/api/trip/request/${id}` }, [{ id: managerId }]);
+  }
+
+  /**
+   *  notifies the admins of the facilities of the bookings cancelled with a trip request
+   * @static
+   * @param {array} bookingIds - The ids of the bookings cancelled.
+   * @param {object} actor - The user who cancelled or rejected the trip request.
+   * @returns {Promise<array>} - The notifications sent for each booking.
+   * @memberof RequestController
+   */
+  static async notifyCancelledBookings(bookingIds, actor) {
+    return Promise.all(bookingIds.map(async (id) => BookingController
+      .notifyFacilityAdmins(await findBookingById(id), 'cancelled', actor)));
+  }
+
+  /**
+   *  approves, rejects or reopens a trip request and notifies the requester. The
+   *  accommodation booked for a rejected request is cancelled and the admins of its
+   *  facilities notified.
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } - A JSON object containing success or failure details.
+   * @memberof RequestController
+   */
+  static async updateRequestStatus(req, res) {
+    try {
+      const {
+        tripRequest: { id, destination, requester },
+        statusChange: { statusId, label, from },
+        data: { id: userId },
+        body: { reason }
+      } = req;
+      const request = await updateStatus(id, statusId, {
+        userId, reason, from, label
+      });
+      const message = `Your travel request to ${destination} has been ${label}`;
+      await notify({ message: reason ? `${message}: ${reason}` : message, url: `/api/trip/request/${id}` }, [requester]);
+      if (request.cancelledBookings.length) {
+        await RequestController
+          .notifyCancelledBookings(request.cancelledBookings, await find({ id: userId }));
+      }
+      return successResponse(res, request, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
 }
@@ -0,0 +1,79 @@
+import { ReviewService, FacilityService } from '../services';
+import { Helpers, Notification } from '../utils';
+
+const { errorResponse, successResponse } = Helpers;
+const { createReview, replyToReview, getReviews } = ReviewService;
+const { getFacilityDetails } = FacilityService;
+const { notify } = Notification;
+
+/**
+ * A collection of methods that controls the reviews of facilities
+ * on the App.
+ * @class ReviewController
+ */
+export default class ReviewController {
+  /**
+   * Creates a review of a facility the user stayed at.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response containing details of the newly created review.
+   * @memberof ReviewController
+   */
+  static async createReview(req, res) {
+    try {
+      const { data: { id: userId }, body: { bookingId, rating, comment }, facility } = req;
+      const review = await createReview({
+        userId, facilityId: facility.id, bookingId, rating, comment
+      });
+      successResponse(res, review, 201);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Gets a page of the reviews of a supplier facility along with its average rating.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the reviews on the page.
+   * @memberof ReviewController
+   */
+  static async getReviews(req, res) {
+    try {
+      const { facilityId } = req.params;
+      if (!Number.isInteger(Number(facilityId))) {
+        return errorResponse(res, { code: 404, message: 'This facility does not exist' });
+      }
+      const { id, averageRating } = await getFacilityDetails(Number(facilityId));
+      const reviews = await getReviews(id, req.query);
+      successResponse(res, { ...reviews, averageRating });
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Adds the reply of a facility to a review and notifies the reviewer.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the review and its reply.
+   * @memberof ReviewController
+   */
+  static async replyToReview(req, res) {
+    try {
+      const { review: { id, reviewer }, facility, body: { reply } } = req;
+      const review = await replyToReview(id, reply);
+      const message = `${facility.name} has replied to your review`;
+      await notify({ message, url: `/api/facility/${facility.id}/reviews` }, [reviewer]);
+      successResponse(res, review);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
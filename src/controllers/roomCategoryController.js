@@ -0,0 +1,130 @@
+import { RoomCategoryService } from '../services';
+import { Helpers } from '../utils';
+
+const { errorResponse, successResponse } = Helpers;
+const {
+  getRoomCategories, addRoomCategory, updateRoomCategory, deleteRoomCategory,
+  mergeRoomCategories
+} = RoomCategoryService;
+
+/**
+ * A collection of methods that controls the categories of rooms facilities offer.
+ * @class RoomCategoryController
+ */
+export default class RoomCategoryController {
+  /**
+   * Gets all the room categories.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the room categories.
+   * @memberof RoomCategoryController
+   */
+  static async getRoomCategories(req, res) {
+    try {
+      const roomCategories = await getRoomCategories();
+      successResponse(res, roomCategories);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Adds a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the room category.
+   * @memberof RoomCategoryController
+   */
+  static async addRoomCategory(req, res) {
+    try {
+      const roomCategory = await addRoomCategory(req.body);
+      successResponse(res, roomCategory, 201);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Changes the label and/or description of a room category.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the updated room category.
+   * @memberof RoomCategoryController
+   */
+  static async updateRoomCategory(req, res) {
+    try {
+      const { roomCategoryId } = req.params;
+      if (!Number.isInteger(Number(roomCategoryId))) {
+        return RoomCategoryController.notFound(res, roomCategoryId);
+      }
+      const roomCategory = await updateRoomCategory(Number(roomCategoryId), req.body);
+      successResponse(res, roomCategory);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Deletes a room category that has no rooms.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the deleted room category.
+   * @memberof RoomCategoryController
+   */
+  static async deleteRoomCategory(req, res) {
+    try {
+      const { roomCategoryId } = req.params;
+      if (!Number.isInteger(Number(roomCategoryId))) {
+        return RoomCategoryController.notFound(res, roomCategoryId);
+      }
+      const roomCategory = await deleteRoomCategory(Number(roomCategoryId));
+      successResponse(res, roomCategory);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Merges duplicate room categories into a room category, moving their rooms to it.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the room category and the number of rooms
+   * moved to it.
+   * @memberof RoomCategoryController
+   */
+  static async mergeRoomCategories(req, res) {
+    try {
+      const { params: { roomCategoryId }, body: { categoryIds } } = req;
+      if (!Number.isInteger(Number(roomCategoryId))) {
+        return RoomCategoryController.notFound(res, roomCategoryId);
+      }
+      const roomCategory = await mergeRoomCategories(Number(roomCategoryId), categoryIds);
+      successResponse(res, roomCategory);
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Responds that a room category does not exist.
+   *
+   * @static
+   * @param {Response} res - The response returned by the method.
+   * @param {string} roomCategoryId - The id of the room category.
+   * @returns { JSON } A JSON response with the error.
+   * @memberof RoomCategoryController
+   */
+  static notFound(res, roomCategoryId) {
+    return errorResponse(res, { code: 404, message: `Room category with id: ${roomCategoryId} does not exist` });
+  }
+}
@@ -52,6 +52,28 @@ class UserController {
       errorResponse(res, { code: error.statusCode, message: error.message });
     }
   }
+
+  /**
+   * Sets the line manager of a user.
+   *
+   * @static
+   * @param {Request} req - The request from the endpoint.
+   * @param {Response} res - The response returned by the method.
+   * @returns { JSON } A JSON response with the user's updated profile.
+   * @memberof UserController
+   */
+  static async setLineManager(req, res) {
+    try {
+      const {
+        params: { userId: id }, lineManager: { id: lineManagerId, firstName, lastName }
+      } = req;
+      const user = await updateAny({ lineManagerId, lineManager: `${firstName} ${lastName}` }, { id });
+      const userResponse = extractUserData(user);
+      successResponse(res, userResponse, 200);
+    } catch (error) {
+      errorResponse(res, { code: error.status, message: error.message });
+    }
+  }
 }
 
 export default UserController;
@@ -0,0 +1,134 @@
+module.exports = [
+  {
+    name: 'Nigeria',
+    code: 'NG',
+    states: [
+      { name: 'Abia', cities: ['Umuahia', 'Aba', 'Ohafia'] },
+      { name: 'Abuja', cities: ['Abuja', 'Gwagwalada', 'Kubwa', 'Bwari'] },
+      { name: 'Adamawa', cities: ['Yola', 'Mubi', 'Numan'] },
+      { name: 'Akwa Ibom', cities: ['Uyo', 'Eket', 'Ikot Ekpene'] },
+      { name: 'Anambra', cities: ['Awka', 'Onitsha', 'Nnewi'] },
+      { name: 'Bauchi', cities: ['Bauchi', 'Azare', 'Misau'] },
+      { name: 'Bayelsa', cities: ['Yenagoa', 'Brass', 'Ogbia'] },
+      { name: 'Benue', cities: ['Makurdi', 'Gboko', 'Otukpo'] },
+      { name: 'Borno', cities: ['Maiduguri', 'Biu', 'Bama'] },
+      { name: 'Cross River', cities: ['Calabar', 'Ikom', 'Ogoja'] },
+      { name: 'Delta', cities: ['Asaba', 'Warri', 'Sapele', 'Ughelli'] },
+      { name: 'Ebonyi', cities: ['Abakaliki', 'Afikpo', 'Onueke'] },
+      { name: 'Edo', cities: ['Benin City', 'Auchi', 'Ekpoma'] },
+      { name: 'Ekiti', cities: ['Ado Ekiti', 'Ikere', 'Ijero'] },
+      { name: 'Enugu', cities: ['Enugu', 'Nsukka', 'Agbani'] },
+      { name: 'Gombe', cities: ['Gombe', 'Kumo', 'Billiri'] },
+      { name: 'Imo', cities: ['Owerri', 'Orlu', 'Okigwe'] },
+      { name: 'Jigawa', cities: ['Dutse', 'Hadejia', 'Gumel'] },
+      { name: 'Kaduna', cities: ['Kaduna', 'Zaria', 'Kafanchan'] },
+      { name: 'Kano', cities: ['Kano', 'Wudil', 'Bichi'] },
+      { name: 'Katsina', cities: ['Katsina', 'Funtua', 'Daura'] },
+      { name: 'Kebbi', cities: ['Birnin Kebbi', 'Argungu', 'Yauri'] },
+      { name: 'Kogi', cities: ['Lokoja', 'Okene', 'Idah'] },
+      { name: 'Kwara', cities: ['Ilorin', 'Offa', 'Omu-Aran'] },
+      {
+        name: 'Lagos',
+        cities: ['Lagos', 'Ikeja', 'Lagos Island', 'Victoria Island', 'Lekki', 'Ajah', 'Ikorodu', 'Epe', 'Badagry']
+      },
+      { name: 'Nasarawa', cities: ['Lafia', 'Keffi', 'Akwanga'] },
+      { name: 'Niger', cities: ['Minna', 'Bida', 'Suleja'] },
+      { name: 'Ogun', cities: ['Abeokuta', 'Ijebu Ode', 'Sagamu', 'Ota'] },
+      { name: 'Ondo', cities: ['Akure', 'Ondo', 'Owo'] },
+      { name: 'Osun', cities: ['Osogbo', 'Ile-Ife', 'Ilesa'] },
+      { name: 'Oyo', cities: ['Ibadan', 'Ogbomosho', 'Oyo'] },
+      { name: 'Plateau', cities: ['Jos', 'Bukuru', 'Pankshin'] },
+      { name: 'Rivers', cities: ['Port Harcourt', 'Bonny', 'Omoku'] },
+      { name: 'Sokoto', cities: ['Sokoto', 'Tambuwal', 'Wurno'] },
+      { name: 'Taraba', cities: ['Jalingo', 'Wukari', 'Bali'] },
+      { name: 'Yobe', cities: ['Damaturu', 'Potiskum', 'Gashua'] },
+      { name: 'Zamfara', cities: ['Gusau', 'Kaura Namoda', 'Talata Mafara'] }
+    ]
+  },
+  {
+    name: 'Ghana',
+    code: 'GH',
+    states: [
+      { name: 'Ahafo', cities: ['Goaso', 'Bechem', 'Duayaw Nkwanta'] },
+      { name: 'Ashanti', cities: ['Kumasi', 'Obuasi', 'Ejisu'] },
+      { name: 'Bono', cities: ['Sunyani', 'Berekum', 'Dormaa Ahenkro'] },
+      { name: 'Bono East', cities: ['Techiman', 'Kintampo', 'Atebubu'] },
+      { name: 'Central', cities: ['Cape Coast', 'Winneba', 'Kasoa'] },
+      { name: 'Eastern', cities: ['Koforidua', 'Nkawkaw', 'Akim Oda'] },
+      { name: 'Greater Accra', cities: ['Accra', 'Tema', 'Madina', 'Teshie'] },
+      { name: 'North East', cities: ['Nalerigu', 'Walewale', 'Gambaga'] },
+      { name: 'Northern', cities: ['Tamale', 'Yendi', 'Savelugu'] },
+      { name: 'Oti', cities: ['Dambai', 'Nkwanta', 'Jasikan'] },
+      { name: 'Savannah', cities: ['Damongo', 'Salaga', 'Bole'] },
+      { name: 'Upper East', cities: ['Bolgatanga', 'Navrongo', 'Bawku'] },
+      { name: 'Upper West', cities: ['Wa', 'Tumu', 'Lawra'] },
+      { name: 'Volta', cities: ['Ho', 'Hohoe', 'Keta'] },
+      { name: 'Western', cities: ['Sekondi-Takoradi', 'Tarkwa', 'Axim'] },
+      { name: 'Western North', cities: ['Sefwi Wiawso', 'Bibiani', 'Juaboso'] }
+    ]
+  },
+  {
+    name: 'Kenya',
+    code: 'KE',
+    states: [
+      { name: 'Baringo', cities: ['Kabarnet', 'Eldama Ravine'] },
+      { name: 'Bomet', cities: ['Bomet', 'Sotik'] },
+      { name: 'Bungoma', cities: ['Bungoma', 'Webuye'] },
+      { name: 'Busia', cities: ['Busia', 'Malaba'] },
+      { name: 'Elgeyo-Marakwet', cities: ['Iten', 'Kapsowar'] },
+      { name: 'Embu', cities: ['Embu', 'Runyenjes'] },
+      { name: 'Garissa', cities: ['Garissa', 'Dadaab'] },
+      { name: 'Homa Bay', cities: ['Homa Bay', 'Mbita'] },
+      { name: 'Isiolo', cities: ['Isiolo', 'Merti'] },
+      { name: 'Kajiado', cities: ['Kajiado', 'Kitengela', 'Ngong'] },
+      { name: 'Kakamega', cities: ['Kakamega', 'Mumias'] },
+      { name: 'Kericho', cities: ['Kericho', 'Litein'] },
+      { name: 'Kiambu', cities: ['Kiambu', 'Thika', 'Ruiru', 'Limuru'] },
+      { name: 'Kilifi', cities: ['Kilifi', 'Malindi', 'Watamu'] },
+      { name: 'Kirinyaga', cities: ['Kerugoya', 'Kutus'] },
+      { name: 'Kisii', cities: ['Kisii', 'Ogembo'] },
+      { name: 'Kisumu', cities: ['Kisumu', 'Ahero'] },
+      { name: 'Kitui', cities: ['Kitui', 'Mwingi'] },
+      { name: 'Kwale', cities: ['Kwale', 'Ukunda'] },
+      { name: 'Laikipia', cities: ['Nanyuki', 'Rumuruti'] },
+      { name: 'Lamu', cities: ['Lamu', 'Mpeketoni'] },
+      { name: 'Machakos', cities: ['Machakos', 'Athi River'] },
+      { name: 'Makueni', cities: ['Wote', 'Makindu'] },
+      { name: 'Mandera', cities: ['Mandera', 'Elwak'] },
+      { name: 'Marsabit', cities: ['Marsabit', 'Moyale'] },
+      { name: 'Meru', cities: ['Meru', 'Maua'] },
+      { name: 'Migori', cities: ['Migori', 'Rongo'] },
+      { name: 'Mombasa', cities: ['Mombasa', 'Nyali', 'Likoni'] },
+      { name: 'Murang\'a', cities: ['Murang\'a', 'Kangema'] },
+      { name: 'Nairobi', cities: ['Nairobi', 'Westlands', 'Karen'] },
+      { name: 'Nakuru', cities: ['Nakuru', 'Naivasha'] },
+      { name: 'Nandi', cities: ['Kapsabet', 'Nandi Hills'] },
+      { name: 'Narok', cities: ['Narok', 'Kilgoris'] },
+      { name: 'Nyamira', cities: ['Nyamira', 'Keroka'] },
+      { name: 'Nyandarua', cities: ['Ol Kalou', 'Engineer'] },
+      { name: 'Nyeri', cities: ['Nyeri', 'Karatina'] },
+      { name: 'Samburu', cities: ['Maralal', 'Baragoi'] },
+      { name: 'Siaya', cities: ['Siaya', 'Bondo'] },
+      { name: 'Taita-Taveta', cities: ['Voi', 'Wundanyi', 'Taveta'] },
+      { name: 'Tana River', cities: ['Hola', 'Garsen'] },
+      { name: 'Tharaka-Nithi', cities: ['Chuka', 'Kathwana'] },
+      { name: 'Trans Nzoia', cities: ['Kitale', 'Endebess'] },
+      { name: 'Turkana', cities: ['Lodwar', 'Kakuma'] },
+      { name: 'Uasin Gishu', cities: ['Eldoret', 'Burnt Forest'] },
+      { name: 'Vihiga', cities: ['Mbale', 'Luanda'] },
+      { name: 'Wajir', cities: ['Wajir', 'Habaswein'] },
+      { name: 'West Pokot', cities: ['Kapenguria', 'Makutano'] }
+    ]
+  },
+  {
+    name: 'Rwanda',
+    code: 'RW',
+    states: [
+      { name: 'Eastern Province', cities: ['Rwamagana', 'Nyagatare', 'Kayonza'] },
+      { name: 'Kigali', cities: ['Kigali'] },
+      { name: 'Northern Province', cities: ['Musanze', 'Gicumbi'] },
+      { name: 'Southern Province', cities: ['Huye', 'Muhanga', 'Nyanza'] },
+      { name: 'Western Province', cities: ['Rubavu', 'Rusizi', 'Karongi'] }
+    ]
+  }
+];
@@ -0,0 +1,60 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('TripLegs', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    requestId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Requests'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    legNumber: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    origin: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    destination: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    departureDate: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    isGap: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    accommodationBookingId: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        key: 'id',
+        model: 'AccommodationBookings'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: (queryInterface) => queryInterface.dropTable('TripLegs')
+};
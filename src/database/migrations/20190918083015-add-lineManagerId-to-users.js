@@ -0,0 +1,14 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.addColumn('Users', 'lineManagerId', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  }),
+
+  down: (queryInterface) => queryInterface.removeColumn('Users', 'lineManagerId')
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  up: (queryInterface) => queryInterface.sequelize.query('ALTER TYPE "enum_Statuses_label" ADD VALUE \'Cancelled\''),
+
+  // Postgres cannot remove a value from an enum, so cancelled requests are moved to
+  // Rejected, the Cancelled status is removed and the enum is created again without it
+  down: (queryInterface) => queryInterface.sequelize.query(`UPDATE "Requests"
+    SET "statusId" = (SELECT id FROM "Statuses" WHERE label = 'Rejected' ORDER BY id LIMIT 1)
+    WHERE "statusId" IN (SELECT id FROM "Statuses" WHERE label = 'Cancelled')`)
+    .then(() => queryInterface.sequelize.query('DELETE FROM "Statuses" WHERE label = \'Cancelled\''))
+    .then(() => queryInterface.sequelize.query('ALTER TYPE "enum_Statuses_label" RENAME TO "enum_Statuses_label_old"'))
+    .then(() => queryInterface.sequelize.query('CREATE TYPE "enum_Statuses_label" AS ENUM (\'Pending\', \'Rejected\', \'Approved\')'))
+    .then(() => queryInterface.sequelize.query(`ALTER TABLE "Statuses" ALTER COLUMN label DROP DEFAULT,
+      ALTER COLUMN label TYPE "enum_Statuses_label" USING label::text::"enum_Statuses_label",
+      ALTER COLUMN label SET DEFAULT 'Pending'`))
+    .then(() => queryInterface.sequelize.query('DROP TYPE "enum_Statuses_label_old"'))
+};
@@ -0,0 +1,63 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('RequestStatusHistories', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    requestId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Requests'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    previousStatusId: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        key: 'id',
+        model: 'Statuses'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    statusId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Statuses'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        key: 'id',
+        model: 'Users'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    reason: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: (queryInterface) => queryInterface.dropTable('RequestStatusHistories')
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.addColumn('AccommodationBookings', 'status', {
+    type: Sequelize.ENUM('reserved', 'confirmed', 'cancelled', 'checked-in', 'checked-out'),
+    allowNull: false,
+    defaultValue: 'reserved'
+  }),
+
+  down: (queryInterface) => queryInterface.removeColumn('AccommodationBookings', 'status')
+    .then(() => queryInterface.sequelize.query('DROP TYPE "enum_AccommodationBookings_status";'))
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('ExchangeRates', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    currency: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    rate: {
+      type: Sequelize.DECIMAL(14, 4),
+      allowNull: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+
+  down: (queryInterface) => queryInterface.dropTable('ExchangeRates')
+};
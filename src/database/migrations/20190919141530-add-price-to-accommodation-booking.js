@@ -0,0 +1,32 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => Promise.all([
+    queryInterface.addColumn('AccommodationBookings', 'nights', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    }),
+    queryInterface.addColumn('AccommodationBookings', 'roomCost', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    }),
+    queryInterface.addColumn('AccommodationBookings', 'addOns', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: true
+    }),
+    queryInterface.addColumn('AccommodationBookings', 'addOnsCost', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    }),
+    queryInterface.addColumn('AccommodationBookings', 'totalCost', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true
+    }),
+    queryInterface.addColumn('AccommodationBookings', 'currency', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      defaultValue: 'Naira'
+    })
+  ]),
+
+  down: (queryInterface) => Promise.all(['nights', 'roomCost', 'addOns', 'addOnsCost', 'totalCost', 'currency']
+    .map((column) => queryInterface.removeColumn('AccommodationBookings', column)))
+};
@@ -0,0 +1,8 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.addColumn('Facilities', 'addOnCosts', {
+    type: Sequelize.JSONB,
+    allowNull: true
+  }),
+
+  down: (queryInterface) => queryInterface.removeColumn('Facilities', 'addOnCosts')
+};
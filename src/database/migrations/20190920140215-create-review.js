@@ -0,0 +1,62 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('Reviews', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Users'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    facilityId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Facilities'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    bookingId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        key: 'id',
+        model: 'AccommodationBookings'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    comment: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    reply: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: (queryInterface) => queryInterface.dropTable('Reviews')
+};
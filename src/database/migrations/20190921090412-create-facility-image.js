@@ -0,0 +1,56 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('FacilityImages', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    facilityId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Facilities'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    roomId: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        key: 'id',
+        model: 'Rooms'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    url: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    thumbnailUrl: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    position: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    isCover: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: (queryInterface) => queryInterface.dropTable('FacilityImages')
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.changeColumn('Facilities', 'imageUrl', {
+    type: Sequelize.STRING,
+    allowNull: true
+  }),
+
+  down: (queryInterface, Sequelize) => queryInterface.changeColumn('Facilities', 'imageUrl', {
+    type: Sequelize.STRING,
+    allowNull: false
+  })
+};
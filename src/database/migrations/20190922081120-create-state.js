@@ -0,0 +1,33 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('States', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    countryId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Countries'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }).then(() => queryInterface.addIndex('States', ['countryId', 'name'], { unique: true })),
+  down: (queryInterface) => queryInterface.dropTable('States')
+};
@@ -0,0 +1,50 @@
+const states = [
+  'Abia', 'Adamawa', 'Anambra', 'Akwa Ibom', 'Bauchi', 'Bayelsa', 'Benue', 'Borno',
+  'Cross River', 'Delta', 'Ebonyi', 'Enugu', 'Edo', 'Ekiti', 'Abuja', 'Gombe', 'Imo',
+  'Jigawa', 'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara', 'Lagos', 'Nasarawa',
+  'Niger', 'Ogun', 'Ondo', 'Osun', 'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe',
+  'Zamfara'
+];
+const stateList = states.map((state) => `'${state}'`).join(', ');
+
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.changeColumn('Facilities', 'state', {
+    type: Sequelize.STRING,
+    allowNull: false
+  })
+    .then(() => queryInterface.sequelize.query('DROP TYPE "enum_Facilities_state"'))
+    .then(() => Promise.all([
+      queryInterface.addColumn('Facilities', 'country', {
+        type: Sequelize.STRING,
+        allowNull: true
+      }),
+      queryInterface.addColumn('Facilities', 'cityId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          key: 'id',
+          model: 'Cities'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      })
+    ]))
+    .then(() => queryInterface.sequelize.query('UPDATE "Facilities" SET country = \'Nigeria\''))
+    .then(() => queryInterface.changeColumn('Facilities', 'country', {
+      type: Sequelize.STRING,
+      allowNull: false
+    })),
+
+  // The locations outside the states of Nigeria are added to the enum, with their country,
+  // so that rolling back keeps their facilities
+  down: (queryInterface) => queryInterface.sequelize.query(`UPDATE "Facilities"
+    SET state = state || ', ' || country WHERE country != 'Nigeria'`)
+    .then(() => Promise.all(['country', 'cityId']
+      .map((column) => queryInterface.removeColumn('Facilities', column))))
+    .then(() => queryInterface.sequelize.query(`SELECT DISTINCT state FROM "Facilities"
+      WHERE state NOT IN (${stateList})`, { type: queryInterface.sequelize.QueryTypes.SELECT }))
+    .then((locations) => queryInterface.sequelize.query(`CREATE TYPE "enum_Facilities_state" AS ENUM (${
+      [stateList, ...locations.map(({ state }) => queryInterface.sequelize.escape(state))].join(', ')})`))
+    .then(() => queryInterface.sequelize.query(`ALTER TABLE "Facilities" ALTER COLUMN state
+      TYPE "enum_Facilities_state" USING state::"enum_Facilities_state"`))
+};
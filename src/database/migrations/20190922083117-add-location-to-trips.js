@@ -0,0 +1,22 @@
+const cityReference = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: true,
+  references: {
+    key: 'id',
+    model: 'Cities'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'SET NULL'
+});
+
+module.exports = {
+  up: (queryInterface, Sequelize) => Promise.all(['Requests', 'TripLegs']
+    .map((table) => Promise.all([
+      queryInterface.addColumn(table, 'originId', cityReference(Sequelize)),
+      queryInterface.addColumn(table, 'destinationId', cityReference(Sequelize))
+    ]))),
+
+  down: (queryInterface) => Promise.all(['Requests', 'TripLegs']
+    .map((table) => Promise.all(['originId', 'destinationId']
+      .map((column) => queryInterface.removeColumn(table, column)))))
+};
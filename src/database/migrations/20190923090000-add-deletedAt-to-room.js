@@ -0,0 +1,8 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.addColumn('Rooms', 'deletedAt', {
+    type: Sequelize.DATE,
+    allowNull: true
+  }),
+
+  down: (queryInterface) => queryInterface.removeColumn('Rooms', 'deletedAt')
+};
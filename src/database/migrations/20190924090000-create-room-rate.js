@@ -0,0 +1,68 @@
+module.exports = {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('RoomRates', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    roomId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        key: 'id',
+        model: 'Rooms'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    companyId: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        key: 'id',
+        model: 'Companies'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    label: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    startDate: {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    },
+    endDate: {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    },
+    days: {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      allowNull: true
+    },
+    minNights: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    price: {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    },
+    percentage: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: (queryInterface) => queryInterface.dropTable('RoomRates')
+};
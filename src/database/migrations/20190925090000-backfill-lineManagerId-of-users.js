@@ -0,0 +1,20 @@
+// Links users to the manager their lineManager text names, by email, full name or id,
+// when exactly one Manager (role 4) of their company matches it
+module.exports = {
+  up: (queryInterface) => queryInterface.sequelize.query(`WITH matches AS (
+    SELECT "user".id AS "userId", MIN(manager.id) AS "managerId"
+    FROM "Users" AS "user"
+    JOIN "Users" AS manager ON manager."companyId" = "user"."companyId" AND manager.id != "user".id
+    JOIN "RoleUsers" AS "roleUser" ON "roleUser"."userId" = manager.id AND "roleUser"."roleId" = 4
+    WHERE "user"."lineManagerId" IS NULL AND LOWER(TRIM("user"."lineManager")) IN (
+      LOWER(manager.email), LOWER(manager."firstName" || ' ' || manager."lastName"), manager.id::text
+    )
+    GROUP BY "user".id
+    HAVING COUNT(DISTINCT manager.id) = 1
+  )
+  UPDATE "Users" SET "lineManagerId" = matches."managerId"
+  FROM matches WHERE "Users".id = matches."userId"`),
+
+  // The line managers linked cannot be told apart from those users set themselves
+  down: () => Promise.resolve()
+};
@@ -0,0 +1,42 @@
+const locations = require('../data/locations');
+
+const timestamps = () => ({ createdAt: new Date(), updatedAt: new Date() });
+const idsByKey = (rows, key) => rows.reduce((ids, row) => ({ ...ids, [key(row)]: row.id }), {});
+const stateKey = ({ countryId, name }) => `${countryId}-${name}`;
+
+// Loads the countries, states and cities facilities and trips are located in, unless
+// they were loaded before, and links existing facilities to the city they name
+const loadLocations = (queryInterface) => queryInterface.bulkInsert('Countries', locations
+  .map(({ name, code }) => ({ name, code, ...timestamps() })), { returning: true })
+  .then((countries) => {
+    const countryIds = idsByKey(countries, ({ name }) => name);
+    const states = locations.reduce((all, country) => [...all, ...country.states
+      .map((state) => ({ ...state, countryId: countryIds[country.name] }))], []);
+    return queryInterface.bulkInsert('States', states
+      .map(({ name, countryId }) => ({ name, countryId, ...timestamps() })), { returning: true })
+      .then((stateRows) => {
+        const stateIds = idsByKey(stateRows, stateKey);
+        return queryInterface.bulkInsert('Cities', states.reduce((all, state) => [
+          ...all, ...state.cities.map((name) => ({
+            name, stateId: stateIds[stateKey(state)], ...timestamps()
+          }))
+        ], []), {});
+      });
+  });
+
+module.exports = {
+  up: (queryInterface) => queryInterface.sequelize.query('SELECT COUNT(*) AS count FROM "Countries"', {
+    type: queryInterface.sequelize.QueryTypes.SELECT
+  })
+    .then(([{ count }]) => Number(count) || loadLocations(queryInterface))
+    .then(() => queryInterface.sequelize.query(`UPDATE "Facilities" SET "cityId" = "Cities".id
+      FROM "Cities"
+      JOIN "States" ON "States".id = "Cities"."stateId"
+      JOIN "Countries" ON "Countries".id = "States"."countryId"
+      WHERE "Facilities"."cityId" IS NULL AND "Countries".name = "Facilities".country
+      AND "States".name = "Facilities".state AND LOWER("Cities".name) = LOWER("Facilities".city)`)),
+
+  // The locations are removed with their tables and the cities linked cannot be told
+  // apart from those set when facilities were created or updated
+  down: () => Promise.resolve()
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  up: (queryInterface) => queryInterface.bulkInsert('Statuses', [{
+    label: 'Cancelled',
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }], {}),
+
+  down: (queryInterface) => queryInterface.bulkDelete('Statuses', { label: 'Cancelled' }, {})
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  up: (queryInterface) => queryInterface.bulkInsert('ExchangeRates', [
+    { currency: 'Naira', rate: 1 },
+    { currency: 'Dollar', rate: 362.5 },
+    { currency: 'Euro', rate: 398.2 },
+    { currency: 'Pound', rate: 447.6 }
+  ].map((exchangeRate) => ({ ...exchangeRate, createdAt: new Date(), updatedAt: new Date() })), {}),
+
+  down: (queryInterface) => queryInterface.bulkDelete('ExchangeRates', null, {})
+};
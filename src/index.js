@@ -1,5 +1,6 @@
 import '@babel/polyfill';
 import express from 'express';
+import path from 'path';
 import passport from 'passport';
 import cors from 'cors';
 import errorhandler from 'errorhandler';
@@ -37,6 +38,9 @@ if (!isProduction) {
   app.use(errorhandler());
 }
 
+// serve images uploaded to the local disk
+app.use('/uploads', express.static(path.resolve(env.UPLOADS_DIR || 'uploads')));
+
 // connect app to routes
 app.use('/api', routes);
 
@@ -0,0 +1,32 @@
+import { OtherValidators } from '../validation';
+import { Helpers } from '../utils';
+
+const { errorResponse } = Helpers;
+const { amenityValidator } = OtherValidators;
+
+/**
+ *
+ * A collection of methods that intercept requests on the amenity routes
+ *
+ * @class AmenityMiddleware
+ */
+export default class AmenityMiddleware {
+  /**
+   *
+   * Validates the label of an amenity being added or updated.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if validation fails.
+   * @memberof AmenityMiddleware
+   */
+  static onAmenityChange(req, res, next) {
+    try {
+      req.body = amenityValidator(req.body);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+}
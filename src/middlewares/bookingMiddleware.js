@@ -1,10 +1,20 @@
 import { BookingValidator } from '../validation';
-import { Helpers, ApiError } from '../utils';
-import { UserService, RoomService } from '../services';
+import {
+  Helpers, ApiError, BookingStatus, RequestStatus, Ownership
+} from '../utils';
+import { RoomService, BookingService, RequestService } from '../services';
+import OwnershipMiddleware from './ownershipMiddleware';
 
 const { errorResponse } = Helpers;
-const { validateAccommodation } = BookingValidator;
+const {
+  validateAccommodation, validateAccommodationUpdate, validateBookingQuery, validateReservation
+} = BookingValidator;
 const { findRoom } = RoomService;
+const { findBookingById } = BookingService;
+const { findRequestById } = RequestService;
+const { transitions } = BookingStatus;
+const { isAuthor, managesBooking } = Ownership;
+const { findOwner } = OwnershipMiddleware;
 /**
  * Collection of methods for BookingMiddleware
  * @class BookingMiddleware
@@ -12,7 +22,9 @@ const { findRoom } = RoomService;
 export default class BookingMiddleware {
   /**
    *
-   * Validates booking fields
+   * Validates booking fields. Bookings are made by the authenticated user for one of
+   * their approved trip requests, and the stay must fall within the dates of the trip.
+   * The rooms of a company facility can only be booked by the company's employees.
    * @static
    * @param {Request} req - request object from the browser.
    * @param {Response} res - response object returned to the browser.
@@ -22,17 +34,179 @@ export default class BookingMiddleware {
    */
   static async validateFields(req, res, next) {
     try {
-      const { body } = req;
-      const { userId, roomId } = body;
+      const { body, data: { id: userId } } = req;
+      const { roomId, requestId } = body;
       const validated = await validateAccommodation(body);
-      const user = await UserService.find({ id: userId });
-      const room = await findRoom({ id: roomId });
+      const [room, request, { companyId }] = await Promise.all([
+        findRoom({ id: roomId }), findRequestById(requestId), findOwner(userId)
+      ]);
 
-      if (!user) throw new ApiError(404, `User with id ${userId} does not exist`);
       if (!room) throw new ApiError(404, `Room with id: ${roomId} does not exist`);
+      if (room.facility.companyType === 'company' && room.facility.companyId !== companyId) {
+        throw new ApiError(403, 'Only employees of the company that owns this facility can book its rooms');
+      }
+      BookingMiddleware.verifyTripRequest(request, requestId, userId);
+      BookingMiddleware.verifyStayWithinTrip(body, request);
+      req.body = { ...body, userId };
       if (validated) next();
     } catch (err) {
       errorResponse(res, { code: err.status || 500, message: err.message });
     }
   }
+
+  /**
+   *
+   * Checks that accommodation is being booked for an approved trip request of the user.
+   * @static
+   * @param {object} request - The trip request, if it exists.
+   * @param {number} requestId - The id of the trip request.
+   * @param {number} userId - The id of the user booking the accommodation.
+   * @returns {boolean} Returns true if the trip request can be booked for or throws an error.
+   * @memberof BookingMiddleware
+   */
+  static verifyTripRequest(request, requestId, userId) {
+    if (!request) throw new ApiError(404, `Travel Request of id: ${requestId} doesn't exist`);
+    if (request.requesterId !== userId) {
+      throw new ApiError(403, 'You can only book accommodation for your own trip requests');
+    }
+    if (request.statusId !== RequestStatus.approved) {
+      throw new ApiError(409, 'Accommodation can only be booked for an approved trip request');
+    }
+    return true;
+  }
+
+  /**
+   *
+   * Checks that a stay starts on or after the departure date of its trip and, for
+   * trips with a return date, ends on or before the return date.
+   * @static
+   * @param {object} stay - The checkIn and checkOut dates of the stay.
+   * @param {object} request - The trip request the stay is booked for.
+   * @returns {boolean} Returns true if the stay is within the trip or throws an error.
+   * @memberof BookingMiddleware
+   */
+  static verifyStayWithinTrip({ checkIn, checkOut }, { departureDate, returnDate }) {
+    const toDateString = (date) => date.toISOString().slice(0, 10);
+    if (checkIn < toDateString(departureDate)) {
+      throw new ApiError(400, `checkIn must not be before the departure date of the trip, ${toDateString(departureDate)}`);
+    }
+    if (returnDate && checkOut > toDateString(returnDate)) {
+      throw new ApiError(400, `checkOut must not be after the return date of the trip, ${toDateString(returnDate)}`);
+    }
+    return true;
+  }
+
+  /**
+   *
+   * Verifies a change made by a user to their own accommodation booking. Changes are
+   * only allowed if the booking status lets them, and new dates are validated.
+   * @static
+   * @param {string} action - The change to be made i.e modify or cancel.
+   * @returns {function} Returns a middleware function.
+   * @memberof BookingMiddleware
+   */
+  static verifyBookingChange(action) {
+    return async (req, res, next) => {
+      try {
+        const { params: { bookingId }, data: user } = req;
+        const booking = await findBookingById(bookingId);
+        if (!booking) throw new ApiError(404, `Booking with id: ${bookingId} does not exist`);
+        if (!isAuthor(user, booking)) throw new ApiError(403, 'You are not authorized to modify this booking');
+        const { from, to, label } = transitions[action];
+        if (!from.includes(booking.status)) {
+          throw new ApiError(409, `This booking cannot be ${label} while it is ${booking.status}`);
+        }
+        if (action === 'modify') {
+          req.body = validateAccommodationUpdate(req.body, booking);
+          if (booking.request) BookingMiddleware.verifyStayWithinTrip(req.body, booking.request);
+        }
+        req.booking = booking;
+        req.statusChange = { status: to, label, from };
+        next();
+      } catch (err) {
+        errorResponse(res, { code: err.status || 500, message: err.message });
+      }
+    };
+  }
+
+  /**
+   *
+   * Validates the query used to filter and paginate the bookings of a supplier.
+   * @static
+   * @param {Request} req - request object from the browser.
+   * @param {Response} res - response object returned to the browser.
+   * @param {Next} next - the returned values going into the next operation.
+   * @returns {object} Returns an error if validation fails.
+   * @memberof BookingMiddleware
+   */
+  static async onBookingQuery(req, res, next) {
+    try {
+      req.query = validateBookingQuery(req.query);
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   *
+   * Verifies a change a supplier admin is making to the status of a booking at one of
+   * the supplier's facilities.
+   * @static
+   * @param {string} action - The change to be made i.e confirm, decline, checkIn or checkOut.
+   * @returns {function} Returns a middleware function.
+   * @memberof BookingMiddleware
+   */
+  static verifySupplierBookingChange(action) {
+    return async (req, res, next) => {
+      try {
+        const { params: { bookingId }, data: { id: userId } } = req;
+        const [booking, owner] = await Promise.all([
+          findBookingById(bookingId), findOwner(userId)
+        ]);
+        if (!booking) throw new ApiError(404, `Booking with id: ${bookingId} does not exist`);
+        if (!managesBooking(owner, booking)) {
+          throw new ApiError(403, 'You are not authorized to manage this booking');
+        }
+        const { from, to, label } = transitions[action];
+        if (!from.includes(booking.status)) {
+          throw new ApiError(409, `This booking cannot be ${label} while it is ${booking.status}`);
+        }
+        req.booking = booking;
+        req.statusChange = { status: to, label, from };
+        next();
+      } catch (err) {
+        errorResponse(res, { code: err.status || 500, message: err.message });
+      }
+    };
+  }
+
+  /**
+   *
+   * Validates a bulk reservation of the rooms of a company facility by one of the
+   * company's travel admins. Every room must be a room of the facility.
+   * @static
+   * @param {Request} req - request object from the browser.
+   * @param {Response} res - response object returned to the browser.
+   * @param {Next} next - the returned values going into the next operation.
+   * @returns {object} Returns an error if validation fails.
+   * @memberof BookingMiddleware
+   */
+  static async onRoomReservation(req, res, next) {
+    try {
+      const { facility, data: { id: userId } } = req;
+      const reservation = validateReservation(req.body);
+      const rooms = await Promise.all(reservation.rooms
+        .map(({ roomId }) => findRoom({ id: roomId, facilityId: facility.id })));
+      const missingIndex = rooms.findIndex((room) => !room);
+      if (missingIndex !== -1) {
+        const { roomId } = reservation.rooms[missingIndex];
+        throw new ApiError(404, `Room with id: ${roomId} is not a room of this facility`);
+      }
+      req.body = { ...reservation, userId };
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
 }
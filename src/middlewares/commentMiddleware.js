@@ -1,11 +1,13 @@
 import { OtherValidators } from '../validation';
-import { Helpers } from '../utils';
+import { Helpers, Ownership } from '../utils';
 import { RequestService, CommentService } from '../services';
+import OwnershipMiddleware from './ownershipMiddleware';
 
 const { errorResponse } = Helpers;
 const { commentValidator } = OtherValidators;
 const { findRequestById } = RequestService;
 const { findCommentById } = CommentService;
+const { verifyOwner } = OwnershipMiddleware;
 
 /**
  *
@@ -47,18 +49,14 @@ export default class CommentMiddleware {
   static async verifyAuthor(req, res, next) {
     try {
       const { body: { requestId }, data: { id: userId } } = req;
-      const options = { include: ['requester', 'manager'] };
-      const request = await findRequestById(requestId, options);
+      const request = await findRequestById(requestId);
       if (!request) {
         return errorResponse(res, {
           code: 404,
           message: `Travel Request of id: ${requestId} doesn't exist`
         });
       }
-      const {
-        manager: { id: managerId },
-        requester: { id: requesterId }
-      } = request.get({ plain: true });
+      const { managerId, requesterId } = request.get({ plain: true });
       if ([managerId, requesterId].includes(userId)) return next();
       errorResponse(res, { code: 403, message: 'You are an unauthorized author' });
     } catch (err) {
@@ -75,21 +73,14 @@ export default class CommentMiddleware {
    * @returns {object} - Returns an error if authorization fails.
    * @memberof CommentMiddleware
    */
-  static async verifyCommenter(req, res, next) {
-    try {
-      const { data: { id }, params: { commentId } } = req;
-      const comment = await findCommentById(parseInt(commentId, 10));
-      if (!comment) {
-        return errorResponse(res, {
-          code: 404,
-          message: `comment with the id: ${commentId} doesn't exist`
-        });
-      }
-      const { userId } = comment.get({ plain: true });
-      if (id === userId) return next();
-      errorResponse(res, { code: 403, message: 'You are an not authorized to delete this comment' });
-    } catch (err) {
-      errorResponse(res, {});
-    }
+  static verifyCommenter(req, res, next) {
+    return verifyOwner({
+      name: 'comment',
+      param: 'commentId',
+      find: findCommentById,
+      isOwner: Ownership.isAuthor,
+      notFound: (commentId) => `comment with the id: ${commentId} doesn't exist`,
+      forbidden: 'You are an not authorized to delete this comment'
+    })(req, res, next);
   }
 }
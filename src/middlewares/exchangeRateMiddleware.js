@@ -0,0 +1,33 @@
+import { OtherValidators } from '../validation';
+import { Helpers, ApiError } from '../utils';
+
+const { errorResponse } = Helpers;
+const { exchangeRateValidator } = OtherValidators;
+
+/**
+ * Middleware for exchange rate validations
+ */
+export default class ExchangeRateMiddleware {
+  /**
+     * Middleware method for validating an exchange rate being set. The rate of Naira,
+     * the currency costs are recorded in, is always 1 and cannot be changed.
+     * @param {object} req - The request from the endpoint.
+     * @param {object} res - The response returned by the method.
+     * @param {object} next - Call the next operation.
+     * @returns {object} - Returns an object (error or response).
+     */
+  static async onExchangeRateUpdate(req, res, next) {
+    try {
+      const { params: { currency }, body: { rate } } = req;
+      exchangeRateValidator({ currency, rate });
+      if (currency.toLowerCase() === 'naira') {
+        throw new ApiError(400, 'The exchange rate of Naira, the base currency, cannot be changed');
+      }
+      next();
+    } catch (error) {
+      const { details } = error;
+      if (details) return errorResponse(res, { code: 400, message: details[0].context.label });
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+}
@@ -1,10 +1,17 @@
 import { FacilityValidator } from '../validation';
-import { FacilityService } from '../services';
-import { Helpers } from '../utils';
+import { FacilityService, LocationService, RoomCategoryService } from '../services';
+import { Helpers, Ownership } from '../utils';
+import OwnershipMiddleware from './ownershipMiddleware';
 
-const { validateFacility } = FacilityValidator;
+const {
+  validateFacility, validateSearchQuery, validateFacilityUpdate, validateFacilityQuery,
+  validateRoom, validateRoomUpdate
+} = FacilityValidator;
 const { errorResponse } = Helpers;
 const { findFacilityById } = FacilityService;
+const { getPlace } = LocationService;
+const { verifyRoomCategories } = RoomCategoryService;
+const { verifyOwner } = OwnershipMiddleware;
 /**
  *
  * Its a collection of middlewares on the Facility Route
@@ -25,33 +32,135 @@ export default class FacilityMiddleware {
       try {
         const validated = await validateFacility(req.body, isCompany);
         if (validated) {
+          await getPlace(req.body.cityId);
+          await verifyRoomCategories(req.body.rooms);
           next();
         }
       } catch (error) {
-        errorResponse(res, { code: 400, message: error.details[0].context.label });
+        FacilityMiddleware.facilityError(res, error);
       }
     };
   }
 
   /**
-    * Middleware method to authenticate facility.
+    * Middleware method for validating the details of a facility upon update.
     * @param {object} req - The request from the endpoint.
     * @param {object} res - The response returned by the method.
     * @param {object} next - Call the next operation.
-    *@returns {object} - Returns an object (error or response).
+    * @returns {object} - Returns an object (error or response).
     * @memberof FacilityMiddleware
-    *
     */
-  static async verifyFacility(req, res, next) {
+  static async onFacilityUpdate(req, res, next) {
     try {
-      let { facilityId } = req.params;
-      facilityId = Number(facilityId);
-      const { dataValues: facility } = await findFacilityById(facilityId);
-      if (facility) {
-        return next();
-      }
-    } catch (err) {
-      errorResponse(res, { code: 404, message: 'This facility does not exist' });
+      req.body = await validateFacilityUpdate(req.body);
+      if (req.body.cityId) await getPlace(req.body.cityId);
+      next();
+    } catch (error) {
+      FacilityMiddleware.facilityError(res, error);
+    }
+  }
+
+  /**
+    * Middleware method for validating a room category added to a facility.
+    * @param {object} req - The request from the endpoint.
+    * @param {object} res - The response returned by the method.
+    * @param {object} next - Call the next operation.
+    * @returns {object} - Returns an object (error or response).
+    * @memberof FacilityMiddleware
+    */
+  static async onRoomCreate(req, res, next) {
+    try {
+      req.body = await validateRoom(req.body, req.facility.companyType === 'company');
+      await verifyRoomCategories([req.body]);
+      next();
+    } catch (error) {
+      FacilityMiddleware.facilityError(res, error);
+    }
+  }
+
+  /**
+    * Middleware method for validating the details of a room category upon update.
+    * @param {object} req - The request from the endpoint.
+    * @param {object} res - The response returned by the method.
+    * @param {object} next - Call the next operation.
+    * @returns {object} - Returns an object (error or response).
+    * @memberof FacilityMiddleware
+    */
+  static async onRoomUpdate(req, res, next) {
+    try {
+      req.body = await validateRoomUpdate(req.body, req.facility.companyType === 'company');
+      next();
+    } catch (error) {
+      FacilityMiddleware.facilityError(res, error);
+    }
+  }
+
+  /**
+    * Responds with the error found in the details of a facility, which is either a
+    * validation error or a city or room category that does not exist.
+    * @param {object} res - The response returned by the method.
+    * @param {object} error - The error.
+    * @returns {object} - Returns the error response.
+    * @memberof FacilityMiddleware
+    */
+  static facilityError(res, error) {
+    const { details } = error;
+    if (details) return errorResponse(res, { code: 400, message: details[0].context.label });
+    errorResponse(res, { code: error.status || 500, message: error.message });
+  }
+
+  /**
+    * Middleware method for validating the pagination query of the facility listing.
+    * @param {object} req - The request from the endpoint.
+    * @param {object} res - The response returned by the method.
+    * @param {object} next - Call the next operation.
+    * @returns {object} - Returns an object (error or response).
+    * @memberof FacilityMiddleware
+    */
+  static async onFacilityQuery(req, res, next) {
+    try {
+      req.query = await validateFacilityQuery(req.query);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+
+  /**
+    * Middleware method for verifying that a facility belongs to the user. A supplier
+    * facility belongs to the admins of the supplier and a company facility belongs
+    * to the travel admins of the company.
+    * @param {object} req - The request from the endpoint.
+    * @param {object} res - The response returned by the method.
+    * @param {object} next - Call the next operation.
+    * @returns {object} - Returns an object (error or response).
+    * @memberof FacilityMiddleware
+    */
+  static verifyFacilityOwner(req, res, next) {
+    return verifyOwner({
+      name: 'facility',
+      param: 'facilityId',
+      find: findFacilityById,
+      isOwner: Ownership.ownsFacility,
+      notFound: () => 'This facility does not exist',
+      forbidden: 'You are not authorized to manage this facility'
+    })(req, res, next);
+  }
+
+  /**
+    * Middleware method for validating the query of a facility availability search.
+    * @param {object} req - The request from the endpoint.
+    * @param {object} res - The response returned by the method.
+    * @param {object} next - Call the next operation.
+    * @returns {object} - Returns an object (error or response).
+    * @memberof FacilityMiddleware
+    */
+  static async onFacilitySearch(req, res, next) {
+    try {
+      req.query = await validateSearchQuery(req.query);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
     }
   }
 }
@@ -0,0 +1,125 @@
+import multer from 'multer';
+import { OtherValidators } from '../validation';
+import { Helpers, ApiError } from '../utils';
+import { RoomService, ImageService } from '../services';
+import env from '../config/env-config';
+
+const { errorResponse } = Helpers;
+const { imageUpdateValidator } = OtherValidators;
+const { findRoom } = RoomService;
+const { findImage } = ImageService;
+const maxImageSize = Number(env.MAX_IMAGE_SIZE) || 5 * 1024 * 1024;
+const maxImages = 10;
+const imageTypes = ['image/jpeg', 'image/png'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImageSize, files: maxImages },
+  fileFilter: (req, { mimetype, originalname }, callback) => {
+    if (imageTypes.includes(mimetype)) return callback(null, true);
+    callback(new ApiError(400, `${originalname} must be a JPEG or PNG image`));
+  }
+}).array('images', maxImages);
+
+const uploadErrors = {
+  LIMIT_FILE_SIZE: `Each image must not be larger than ${maxImageSize / (1024 * 1024)}MB`,
+  LIMIT_FILE_COUNT: `Please upload not more than ${maxImages} images at a time`,
+  LIMIT_UNEXPECTED_FILE: `Please upload not more than ${maxImages} images in the images field`
+};
+
+/**
+ *
+ * A collection of methods that intercept requests on the facility image gallery routes
+ *
+ * @class ImageMiddleware
+ */
+export default class ImageMiddleware {
+  /**
+   *
+   * Reads the images uploaded in the images field of a multipart form. Only JPEG and
+   * PNG images within the size limit are accepted.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if the upload is invalid.
+   * @memberof ImageMiddleware
+   */
+  static onImageUpload(req, res, next) {
+    upload(req, res, (err) => {
+      if (err) {
+        const message = uploadErrors[err.code] || err.message;
+        return errorResponse(res, { code: err.status || 400, message });
+      }
+      if (!req.files || !req.files.length) {
+        return errorResponse(res, { code: 400, message: 'Please upload at least one image in the images field' });
+      }
+      next();
+    });
+  }
+
+  /**
+   *
+   * Validates the changes to an image.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if validation fails.
+   * @memberof ImageMiddleware
+   */
+  static onImageUpdate(req, res, next) {
+    try {
+      const validated = imageUpdateValidator(req.body);
+      if (validated) {
+        next();
+      }
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+
+  /**
+   * Verifies that the room category in the route is one of the rooms of the facility.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if the room category does not exist.
+   * @memberof ImageMiddleware
+   */
+  static async verifyFacilityRoom(req, res, next) {
+    try {
+      const { params: { roomId }, facility } = req;
+      const room = Number.isInteger(Number(roomId))
+        && await findRoom({ id: Number(roomId), facilityId: facility.id });
+      if (!room) throw new ApiError(404, 'Room category not found');
+      req.room = room;
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Verifies that the image in the route is an image of the facility.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if the image does not exist.
+   * @memberof ImageMiddleware
+   */
+  static async verifyFacilityImage(req, res, next) {
+    try {
+      const { params: { imageId }, facility } = req;
+      const image = Number.isInteger(Number(imageId))
+        && await findImage({ id: Number(imageId), facilityId: facility.id });
+      if (!image) throw new ApiError(404, `Image with id: ${imageId} does not exist`);
+      req.image = image;
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
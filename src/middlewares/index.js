@@ -5,6 +5,15 @@ import FacilityMiddleware from './facilityMiddleware';
 import BookingMiddleware from './bookingMiddleware';
 import TripRequestMiddleware from './tripRequestMiddleware';
 import CommentMiddleware from './commentMiddleware';
+import UserMiddleware from './userMiddleware';
+import ExchangeRateMiddleware from './exchangeRateMiddleware';
+import OwnershipMiddleware from './ownershipMiddleware';
+import ReviewMiddleware from './reviewMiddleware';
+import ImageMiddleware from './imageMiddleware';
+import LocationMiddleware from './locationMiddleware';
+import AmenityMiddleware from './amenityMiddleware';
+import RoomCategoryMiddleware from './roomCategoryMiddleware';
+import RateMiddleware from './rateMiddleware';
 
 export {
   PasswordMiddleware,
@@ -13,5 +22,14 @@ export {
   FacilityMiddleware,
   BookingMiddleware,
   TripRequestMiddleware,
-  CommentMiddleware
+  CommentMiddleware,
+  UserMiddleware,
+  ExchangeRateMiddleware,
+  OwnershipMiddleware,
+  ReviewMiddleware,
+  ImageMiddleware,
+  LocationMiddleware,
+  AmenityMiddleware,
+  RoomCategoryMiddleware,
+  RateMiddleware
 };
@@ -0,0 +1,32 @@
+import { OtherValidators } from '../validation';
+import { Helpers } from '../utils';
+
+const { errorResponse } = Helpers;
+const { locationSearchValidator } = OtherValidators;
+
+/**
+ *
+ * A collection of methods that intercept requests on the location routes
+ *
+ * @class LocationMiddleware
+ */
+export default class LocationMiddleware {
+  /**
+   *
+   * Validates the query of a city search.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if validation fails.
+   * @memberof LocationMiddleware
+   */
+  static onLocationSearch(req, res, next) {
+    try {
+      req.query = locationSearchValidator(req.query);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+}
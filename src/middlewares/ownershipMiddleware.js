@@ -0,0 +1,67 @@
+import { UserService, RoleService } from '../services';
+import { Helpers, ApiError } from '../utils';
+
+const { errorResponse } = Helpers;
+
+/**
+ *
+ * A collection of middlewares that check that a resource belongs to the user
+ * making the request
+ *
+ * @class OwnershipMiddleware
+ */
+export default class OwnershipMiddleware {
+  /**
+   * Fetches the details of a user needed to check what they own. A user that no longer
+   * exists only has their id so they own nothing but what they created.
+   * @static
+   * @param {number} id - The id of the user.
+   * @returns {Promise<object>} A promise object with the id, roleId, supplierId and
+   * companyId of the user.
+   * @memberof OwnershipMiddleware
+   */
+  static async findOwner(id) {
+    const user = await UserService.find({ id });
+    if (!user) return { id };
+    const { supplierId, companyId } = user;
+    const { roleId } = await RoleService.getRoles(id);
+    return {
+      id, roleId, supplierId, companyId
+    };
+  }
+
+  /**
+   * Creates a middleware that fetches the resource whose id is in the route params and
+   * checks that it belongs to the user. The resource is added to the request.
+   * @static
+   * @param {object} options - Describes the resource.
+   * @param {string} options.name - The key of the resource on the request e.g facility.
+   * @param {string} options.param - The route param with the id of the resource.
+   * @param {function} options.find - Fetches the resource by its id.
+   * @param {function} options.isOwner - Checks that the resource belongs to the user.
+   * @param {function} options.notFound - Returns the error message when the resource
+   * does not exist.
+   * @param {string} options.forbidden - The error message when the resource belongs
+   * to another user.
+   * @returns {function} Returns a middleware function.
+   * @memberof OwnershipMiddleware
+   */
+  static verifyOwner({
+    name, param, find, isOwner, notFound, forbidden
+  }) {
+    return async (req, res, next) => {
+      try {
+        const { params, data: { id } } = req;
+        const resourceId = Number(params[param]);
+        const resource = Number.isInteger(resourceId) && await find(resourceId);
+        if (!resource) throw new ApiError(404, notFound(params[param]));
+        const owner = await OwnershipMiddleware.findOwner(id);
+        if (!isOwner(owner, resource)) throw new ApiError(403, forbidden);
+        req[name] = resource;
+        next();
+      } catch (err) {
+        errorResponse(res, { code: err.status || 500, message: err.message });
+      }
+    };
+  }
+}
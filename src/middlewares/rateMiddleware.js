@@ -0,0 +1,64 @@
+import { FacilityValidator } from '../validation';
+import { Helpers, ApiError } from '../utils';
+import { RateService } from '../services';
+
+const { errorResponse } = Helpers;
+const { validateRate } = FacilityValidator;
+const { findRate } = RateService;
+
+/**
+ *
+ * A collection of methods that intercept requests on the room rate routes
+ *
+ * @class RateMiddleware
+ */
+export default class RateMiddleware {
+  /**
+   *
+   * Validates the details of a rate being added to a room category or updated. The
+   * rooms of company facilities are free so they cannot have rates.
+   * @static
+   * @param {boolean} isUpdate - True if the rate is being updated.
+   * @returns {function} - Returns the middleware, which returns an error if
+   * validation fails.
+   * @memberof RateMiddleware
+   */
+  static onRateChange(isUpdate) {
+    return async (req, res, next) => {
+      try {
+        if (req.room.facility.companyType === 'company') {
+          throw new ApiError(400, 'The rooms of company facilities are free and cannot have rates');
+        }
+        req.body = await validateRate(req.body, isUpdate);
+        next();
+      } catch (error) {
+        const { details } = error;
+        if (details) return errorResponse(res, { code: 400, message: details[0].context.label });
+        errorResponse(res, { code: error.status || 500, message: error.message });
+      }
+    };
+  }
+
+  /**
+   *
+   * Verifies that the rate in the route is a rate of the room category.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if the rate does not exist.
+   * @memberof RateMiddleware
+   */
+  static async verifyRoomRate(req, res, next) {
+    try {
+      const { params: { rateId }, room } = req;
+      const rate = Number.isInteger(Number(rateId))
+        && await findRate({ id: Number(rateId), roomId: room.id });
+      if (!rate) throw new ApiError(404, `Rate with id: ${rateId} does not exist`);
+      req.rate = rate;
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
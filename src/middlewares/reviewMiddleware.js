@@ -0,0 +1,120 @@
+import { OtherValidators } from '../validation';
+import { Helpers, ApiError, BookingStatus } from '../utils';
+import { BookingService, FacilityService, ReviewService } from '../services';
+
+const { errorResponse } = Helpers;
+const { reviewValidator, reviewReplyValidator } = OtherValidators;
+const { findBookingById } = BookingService;
+const { findFacilityById } = FacilityService;
+const { findReview, findReviewById } = ReviewService;
+
+/**
+ *
+ * A collection of methods that intercept requests on the facility review routes
+ *
+ * @class ReviewMiddleware
+ */
+export default class ReviewMiddleware {
+  /**
+   *
+   * Validates the fields of a review.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if validation fails.
+   * @memberof ReviewMiddleware
+   */
+  static validateReview(req, res, next) {
+    try {
+      const validated = reviewValidator(req.body);
+      if (validated) {
+        next();
+      }
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+
+  /**
+   *
+   * Validates the reply to a review.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if validation fails.
+   * @memberof ReviewMiddleware
+   */
+  static validateReply(req, res, next) {
+    try {
+      const validated = reviewReplyValidator(req.body);
+      if (validated) {
+        next();
+      }
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+
+  /**
+   * Verifies that the user stayed at the facility they are reviewing. The booking of
+   * the stay must belong to the user, be at the facility and have been checked out by
+   * the facility, so that guests who never arrived or were declined cannot review it.
+   * A stay can only be reviewed once.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if the user cannot review the facility.
+   * @memberof ReviewMiddleware
+   */
+  static async verifyReviewer(req, res, next) {
+    try {
+      const { params: { facilityId }, body: { bookingId }, data: { id: userId } } = req;
+      const facility = Number.isInteger(Number(facilityId))
+        && await findFacilityById(Number(facilityId));
+      if (!facility) throw new ApiError(404, 'This facility does not exist');
+      const booking = await findBookingById(bookingId);
+      if (!booking) throw new ApiError(404, `Booking with id: ${bookingId} does not exist`);
+      if (booking.userId !== userId) throw new ApiError(403, 'You can only review your own stays');
+      if (booking.room.facilityId !== facility.id) {
+        throw new ApiError(400, `Booking with id: ${bookingId} is not at ${facility.name}`);
+      }
+      if (booking.status !== BookingStatus.checkedOut) {
+        throw new ApiError(403, 'You can only review a facility after checking out of it');
+      }
+      if (await findReview({ bookingId: booking.id })) {
+        throw new ApiError(409, 'You have already reviewed this stay');
+      }
+      req.facility = facility;
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+
+  /**
+   * Verifies that the review being replied to is a review of the facility.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if the review does not exist.
+   * @memberof ReviewMiddleware
+   */
+  static async verifyFacilityReview(req, res, next) {
+    try {
+      const { params: { reviewId }, facility } = req;
+      const review = Number.isInteger(Number(reviewId))
+        && await findReviewById(Number(reviewId), { include: ['reviewer'] });
+      if (!review || review.facilityId !== facility.id) {
+        throw new ApiError(404, `Review with id: ${reviewId} does not exist`);
+      }
+      req.review = review;
+      next();
+    } catch (err) {
+      errorResponse(res, { code: err.status || 500, message: err.message });
+    }
+  }
+}
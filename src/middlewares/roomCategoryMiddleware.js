@@ -0,0 +1,52 @@
+import { OtherValidators } from '../validation';
+import { Helpers } from '../utils';
+
+const { errorResponse } = Helpers;
+const { roomCategoryValidator, roomCategoryMergeValidator } = OtherValidators;
+
+/**
+ *
+ * A collection of methods that intercept requests on the room category routes
+ *
+ * @class RoomCategoryMiddleware
+ */
+export default class RoomCategoryMiddleware {
+  /**
+   *
+   * Validates the details of a room category being added or updated.
+   * @static
+   * @param {boolean} isUpdate - True if the room category is being updated.
+   * @returns {function} - Returns the middleware, which returns an error if
+   * validation fails.
+   * @memberof RoomCategoryMiddleware
+   */
+  static onRoomCategoryChange(isUpdate) {
+    return (req, res, next) => {
+      try {
+        req.body = roomCategoryValidator(req.body, isUpdate);
+        next();
+      } catch (error) {
+        errorResponse(res, { code: 400, message: error.details[0].context.label });
+      }
+    };
+  }
+
+  /**
+   *
+   * Validates the room categories being merged into another.
+   * @static
+   * @param {Request} req - Request object.
+   * @param {Response} res - Response object.
+   * @param {Next} next - A function that activates the next middleware on the route.
+   * @returns {object} - Returns an error if validation fails.
+   * @memberof RoomCategoryMiddleware
+   */
+  static onRoomCategoryMerge(req, res, next) {
+    try {
+      req.body = roomCategoryMergeValidator(req.body);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: 400, message: error.details[0].context.label });
+    }
+  }
+}
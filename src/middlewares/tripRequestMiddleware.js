@@ -1,10 +1,22 @@
 import { TripRequestValidation } from '../validation';
-import { Helpers, ApiError } from '../utils';
-import { UserService } from '../services';
+import {
+  Helpers, ApiError, Permissions, RequestStatus
+} from '../utils';
+import {
+  UserService, RequestService, RoleService, BookingService, LocationService
+} from '../services';
 
 const { errorResponse } = Helpers;
-const { tripRequest } = TripRequestValidation;
+const {
+  tripRequest, statusChange, requestQuery, analyticsQuery, validateLegSequence
+} = TripRequestValidation;
 const { find } = UserService;
+const { findRequestById } = RequestService;
+const { getRoles } = RoleService;
+const { findBooking } = BookingService;
+const { findPlace } = LocationService;
+const { companyTravelAdmins } = Permissions;
+const { transitions } = RequestStatus;
 
 /**
  * Middleware for trip input validations
@@ -27,11 +39,15 @@ export default class TripRequestMiddleware {
           requesterFirstName: user.firstName,
           requesterLastName: user.lastName,
           requesterGender: user.gender,
-          requesterLineManager: user.lineManager,
+          requesterLineManager: user.lineManagerId,
           requesterPassportNo: user.passportNo,
         };
         if (user) {
+          req.body = await TripRequestMiddleware.locateTrip(req.body);
+          const { legs = [] } = req.body;
+          await TripRequestMiddleware.verifyLegBookings(legs, user.id);
           req.body.requesterId = user.id;
+          req.body.managerId = user.lineManagerId;
           req.requester = requesterObj;
           return next();
         }
@@ -42,6 +58,87 @@ export default class TripRequestMiddleware {
     }
   }
 
+  /**
+     * Middleware method for validating the query parameters of a trip request listing,
+     * noting whether any filters were applied and whether a page was asked for
+     * @param {object} req - The request from the endpoint.
+     * @param {object} res - The response returned by the method.
+     * @param {object} next - Call the next operation.
+     * @returns {object} - Returns an object (error or response).
+     */
+  static async onRequestQuery(req, res, next) {
+    try {
+      const {
+        sortBy, order, page, limit, ...filters
+      } = req.query;
+      req.isFiltered = Object.keys(filters).length > 0;
+      req.isPaginated = page !== undefined || limit !== undefined;
+      req.query = await requestQuery(req.query);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+     * Middleware method for validating the query parameters of the company travel analytics
+     * @param {object} req - The request from the endpoint.
+     * @param {object} res - The response returned by the method.
+     * @param {object} next - Call the next operation.
+     * @returns {object} - Returns an object (error or response).
+     */
+  static async onAnalyticsQuery(req, res, next) {
+    try {
+      req.query = await analyticsQuery(req.query);
+      next();
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+     * Finds the cities the origin and destination of a validated trip, or of each of
+     * its legs, are in so they are recorded with the ids of the cities. The legs of a
+     * Multi-leg trip must then connect.
+     * @param {object} trip - The validated trip.
+     * @returns {Promise<object>} - Resolves with the trip and the ids of its cities or
+     * throws an error if a place is not found.
+     */
+  static async locateTrip({ legs, ...trip }) {
+    const locate = async ({ origin, destination }, prefix = '') => {
+      const from = await findPlace(origin, `${prefix}origin`);
+      const to = await findPlace(destination, `${prefix}destination`);
+      return {
+        origin: from.name, originId: from.id, destination: to.name, destinationId: to.id
+      };
+    };
+    if (!legs) return { ...trip, ...await locate(trip) };
+    const locatedLegs = await legs.reduce(async (located, leg, index) => [
+      ...await located, { ...leg, ...await locate(leg, `leg ${index + 1} `) }
+    ], Promise.resolve([]));
+    validateLegSequence(locatedLegs);
+    return { ...trip, legs: locatedLegs };
+  }
+
+  /**
+     * Checks that the accommodation bookings attached to the legs of a trip belong to
+     * the requester.
+     * @param {array} legs - The legs of the trip.
+     * @param {number} userId - The id of the requester.
+     * @returns {Promise<boolean>} - Resolves as true or throws an error if a booking is not found.
+     */
+  static async verifyLegBookings(legs, userId) {
+    const bookingIds = legs
+      .filter(({ accommodationBookingId }) => accommodationBookingId)
+      .map(({ accommodationBookingId }) => accommodationBookingId);
+    const bookings = await Promise.all(bookingIds.map((id) => findBooking({ id, userId })));
+    const missingIndex = bookings.findIndex((booking) => !booking);
+    if (missingIndex > -1) {
+      throw new ApiError(404, `Accommodation booking with id: ${bookingIds[missingIndex]} does not exist`);
+    }
+    return true;
+  }
+
   /**
      * Validation of requester keys
      * @param {string} value - Value of key to validate.
@@ -75,4 +172,154 @@ export default class TripRequestMiddleware {
       errorResponse(res, { code: error.status || 500, message: error.message });
     }
   }
+
+  /**
+   * Middleware method for verifying a status change on a trip request. Only the
+   * manager of the request or a travel admin of the requester's company can make the
+   * change and only when the request's current status allows it. No one can decide on
+   * their own request.
+   * @param {string} action - The status change to be made i.e approve, reject or reopen.
+   * @returns {function} - returns a function
+   * @memberof TripRequestMiddleware
+   */
+  static verifyStatusChange(action) {
+    return async (req, res, next) => {
+      try {
+        const { params: { requestId }, data: { id: userId } } = req;
+        await statusChange(req.body, action);
+        const options = { include: ['requester', 'status'] };
+        const request = await findRequestById(requestId, options);
+        if (!request) throw new ApiError(404, `Travel Request of id: ${requestId} doesn't exist`);
+        const {
+          managerId, requesterId, requester, status
+        } = request.get({ plain: true });
+        if (managerId !== userId) {
+          const isTravelAdmin = await TripRequestMiddleware
+            .isCompanyTravelAdmin(userId, requester.companyId);
+          if (!isTravelAdmin) throw new ApiError(403, 'You are not authorized to update the status of this request');
+        }
+        if (requesterId === userId) throw new ApiError(403, 'You cannot update the status of your own request');
+        const { from, to, label } = transitions[action];
+        if (!from.includes(request.statusId)) {
+          throw new ApiError(409, `This request cannot be ${label} while it is ${status.label.toLowerCase()}`);
+        }
+        req.tripRequest = request;
+        req.statusChange = { statusId: to, label, from };
+        next();
+      } catch (error) {
+        errorResponse(res, { code: error.status || 500, message: error.message });
+      }
+    };
+  }
+
+  /**
+   * Middleware method for verifying that a user can view a trip request. Only the
+   * requester, the manager and travel admins of the requester's company can view it.
+   * @param {object} req - The request from the endpoint.
+   * @param {object} res - The response returned by the method.
+   * @param {object} next - Call the next operation.
+   * @returns {object} - Returns an object (error or response).
+   * @memberof TripRequestMiddleware
+   */
+  static async verifyRequestAccess(req, res, next) {
+    try {
+      const { params: { requestId }, data: { id: userId } } = req;
+      const request = await findRequestById(requestId, { include: ['requester'] });
+      if (!request) throw new ApiError(404, `Travel Request of id: ${requestId} doesn't exist`);
+      const { requesterId, managerId, requester } = request.get({ plain: true });
+      const hasAccess = [requesterId, managerId].includes(userId)
+        || await TripRequestMiddleware.isCompanyTravelAdmin(userId, requester.companyId);
+      if (!hasAccess) throw new ApiError(403, 'You are not authorized to view this request');
+      next();
+    } catch (error) {
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+   * Checks if a user is a travel admin of a company.
+   * @param {number} userId - The id of the user.
+   * @param {number} companyId - The id of the company.
+   * @returns {Promise<boolean>} - Resolves as true if the user is a travel admin of the company.
+   * @memberof TripRequestMiddleware
+   */
+  static async isCompanyTravelAdmin(userId, companyId) {
+    const [{ roleId }, { companyId: userCompanyId }] = await Promise.all([
+      getRoles(userId), find({ id: userId })
+    ]);
+    return companyTravelAdmins.includes(roleId) && !!companyId && userCompanyId === companyId;
+  }
+
+  /**
+   * Middleware method for verifying a change made by the requester to their own trip
+   * request. Edits are validated against the current details of the request and both
+   * edits and cancellations are only allowed while the request is pending.
+   * @param {string} action - The change to be made i.e edit or cancel.
+   * @returns {function} - returns a function
+   * @memberof TripRequestMiddleware
+   */
+  static verifyRequesterChange(action) {
+    return async (req, res, next) => {
+      try {
+        const { params: { requestId }, data: { id: userId } } = req;
+        const options = { include: ['requester', 'status', 'legs'] };
+        const request = await findRequestById(requestId, options);
+        if (!request) throw new ApiError(404, `Travel Request of id: ${requestId} doesn't exist`);
+        const { requesterId, status } = request.get({ plain: true });
+        if (requesterId !== userId) throw new ApiError(403, 'You are not authorized to modify this request');
+        const { from, to, label } = transitions[action];
+        if (!from.includes(request.statusId)) {
+          throw new ApiError(409, `This request cannot be ${label} while it is ${status.label.toLowerCase()}`);
+        }
+        if (action === 'edit') {
+          const trip = TripRequestMiddleware.mergeTripUpdate(request, req.body);
+          await tripRequest(trip);
+          req.body = await TripRequestMiddleware.locateTrip(trip);
+          await TripRequestMiddleware.verifyLegBookings(req.body.legs || [], userId);
+        }
+        req.tripRequest = request;
+        req.statusChange = { statusId: to, label, from };
+        next();
+      } catch (error) {
+        errorResponse(res, { code: error.status || 500, message: error.message });
+      }
+    };
+  }
+
+  /**
+   * Applies the changes made to a trip request on top of its current details so
+   * that only the fields being changed need to be sent. When the tripType changes
+   * only the details allowed for the new tripType are carried over.
+   * @param {object} request - The trip request instance being updated.
+   * @param {object} update - The changes to the trip request.
+   * @returns {object} - The trip request details after the changes.
+   * @memberof TripRequestMiddleware
+   */
+  static mergeTripUpdate(request, update) {
+    const { tripType = request.tripType } = update;
+    const toDateString = (date) => date.toISOString().slice(0, 10);
+    const isMultiLeg = (type) => type === 'Multi-leg';
+    const current = { tripType, purpose: request.purpose };
+    if (isMultiLeg(tripType) && isMultiLeg(request.tripType)) {
+      current.legs = [...request.legs]
+        .sort((a, b) => a.legNumber - b.legNumber)
+        .map(({
+          origin, destination, departureDate, isGap, accommodationBookingId
+        }) => ({
+          origin,
+          destination,
+          departureDate: toDateString(departureDate),
+          isGap,
+          ...(accommodationBookingId && { accommodationBookingId })
+        }));
+    } else if (!isMultiLeg(tripType) && !isMultiLeg(request.tripType)) {
+      current.origin = request.origin;
+      current.destination = request.destination;
+      current.departureDate = toDateString(request.departureDate);
+    }
+    if (tripType === 'Round-Trip' && request.tripType === 'Round-Trip') {
+      current.returnDate = toDateString(request.returnDate);
+    }
+    return { ...current, ...update };
+  }
 }
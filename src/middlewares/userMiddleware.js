@@ -0,0 +1,62 @@
+import { OtherValidators } from '../validation';
+import { Helpers, ApiError, Permissions } from '../utils';
+import { UserService, RoleService } from '../services';
+
+const { errorResponse } = Helpers;
+const { lineManagerValidator, profileValidator } = OtherValidators;
+const { find } = UserService;
+const { getRoles } = RoleService;
+const { companyManagers } = Permissions;
+
+/**
+ * Middleware for user profile validations
+ */
+export default class UserMiddleware {
+  /**
+     * Middleware method for validating the changes a user is making to their profile.
+     * @param {object} req - The request from the endpoint.
+     * @param {object} res - The response returned by the method.
+     * @param {object} next - Call the next operation.
+     * @returns {object} - Returns an object (error or response).
+     */
+  static async onProfileUpdate(req, res, next) {
+    try {
+      profileValidator(req.body);
+      next();
+    } catch (error) {
+      const { details } = error;
+      if (details) return errorResponse(res, { code: 400, message: details[0].context.label });
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+
+  /**
+     * Middleware method for verifying the line manager a user is setting on their profile.
+     * The line manager must be a manager in the same company as the user.
+     * @param {object} req - The request from the endpoint.
+     * @param {object} res - The response returned by the method.
+     * @param {object} next - Call the next operation.
+     * @returns {object} - Returns an object (error or response).
+     */
+  static async verifyLineManager(req, res, next) {
+    try {
+      const { lineManagerId } = lineManagerValidator(req.body);
+      const { id } = req.user;
+      if (lineManagerId === id) throw new ApiError(400, 'You cannot be your own line manager');
+      const [user, lineManager] = await Promise.all([find({ id }), find({ id: lineManagerId })]);
+      if (!lineManager || !user.companyId || lineManager.companyId !== user.companyId) {
+        throw new ApiError(404, `User with id: ${lineManagerId} does not exist in your company`);
+      }
+      const { roleId } = await getRoles(lineManagerId);
+      if (!companyManagers.includes(roleId)) {
+        throw new ApiError(400, `User with id: ${lineManagerId} is not a manager`);
+      }
+      req.lineManager = lineManager;
+      next();
+    } catch (error) {
+      const { details } = error;
+      if (details) return errorResponse(res, { code: 400, message: details[0].context.label });
+      errorResponse(res, { code: error.status || 500, message: error.message });
+    }
+  }
+}
@@ -61,7 +61,17 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: false
       },
       department: { type: DataTypes.STRING, allowNull: true },
-      lineManager: { type: DataTypes.STRING, allowNull: true }
+      lineManager: { type: DataTypes.STRING, allowNull: true },
+      lineManagerId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'User',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }
     },
     {}
   );
@@ -83,6 +93,14 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
+    User.belongsTo(models.User, {
+      foreignKey: 'lineManagerId',
+      as: 'manager'
+    });
+    User.hasMany(models.User, {
+      foreignKey: 'lineManagerId',
+      as: 'reports'
+    });
     User.hasMany(models.Request, {
       foreignKey: 'requesterId',
       as: 'requests',
@@ -23,22 +23,49 @@ module.exports = (sequelize, DataTypes) => {
         },
         onUpdate: 'CASCADE',
         onDelete: 'CASCADE'
-      }
+      },
+      requestId: {
+        allowNull: true,
+        type: DataTypes.INTEGER,
+        references: {
+          key: 'id',
+          model: 'Requests'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: DataTypes.ENUM('reserved', 'confirmed', 'cancelled', 'checked-in', 'checked-out'),
+        allowNull: false,
+        defaultValue: 'reserved'
+      },
+      nights: { type: DataTypes.INTEGER, allowNull: true },
+      roomCost: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+      addOns: { type: DataTypes.ARRAY(DataTypes.STRING), allowNull: true },
+      addOnsCost: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+      totalCost: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+      currency: { type: DataTypes.STRING, allowNull: true, defaultValue: 'Naira' }
     },
     {}
   );
   AccommodationBooking.associate = (models) => {
     AccommodationBooking.belongsTo(models.Room, {
+      as: 'room',
+      foreignKey: 'roomId',
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
 
     AccommodationBooking.belongsTo(models.User, {
+      as: 'user',
+      foreignKey: 'userId',
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
 
     AccommodationBooking.belongsTo(models.Request, {
+      as: 'request',
+      foreignKey: 'requestId',
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
@@ -0,0 +1,29 @@
+module.exports = (sequelize, DataTypes) => {
+  const City = sequelize.define('City', {
+    stateId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'State',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  }, {});
+  City.associate = (models) => {
+    City.belongsTo(models.State, {
+      as: 'state',
+      foreignKey: 'stateId'
+    });
+    City.hasMany(models.Facility, {
+      as: 'facilities',
+      foreignKey: 'cityId'
+    });
+  };
+  return City;
+};
@@ -0,0 +1,21 @@
+module.exports = (sequelize, DataTypes) => {
+  const Country = sequelize.define('Country', {
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    code: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      unique: true
+    }
+  }, {});
+  Country.associate = (models) => {
+    Country.hasMany(models.State, {
+      as: 'states',
+      foreignKey: 'countryId'
+    });
+  };
+  return Country;
+};
@@ -0,0 +1,14 @@
+module.exports = (sequelize, DataTypes) => {
+  const ExchangeRate = sequelize.define('ExchangeRate', {
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    rate: {
+      type: DataTypes.DECIMAL(14, 4),
+      allowNull: false
+    }
+  }, {});
+  return ExchangeRate;
+};
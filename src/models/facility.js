@@ -10,52 +10,27 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     state: {
-      type: DataTypes.ENUM,
-      allowNull: false,
-      values: [
-        'Abia',
-        'Adamawa',
-        'Anambra',
-        'Akwa Ibom',
-        'Bauchi',
-        'Bayelsa',
-        'Benue',
-        'Borno',
-        'Cross River',
-        'Delta',
-        'Ebonyi',
-        'Enugu',
-        'Edo',
-        'Ekiti',
-        'Abuja',
-        'Gombe',
-        'Imo',
-        'Jigawa',
-        'Kaduna',
-        'Kano',
-        'Katsina',
-        'Kebbi',
-        'Kogi',
-        'Kwara',
-        'Lagos',
-        'Nasarawa',
-        'Niger',
-        'Ogun',
-        'Ondo',
-        'Osun',
-        'Oyo',
-        'Plateau',
-        'Rivers',
-        'Sokoto',
-        'Taraba',
-        'Yobe',
-        'Zamfara'
-      ]
+      type: DataTypes.STRING,
+      allowNull: false
     },
     city: {
       type: DataTypes.STRING,
       allowNull: false
     },
+    country: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    cityId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'City',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
     address: {
       type: DataTypes.STRING,
       allowNull: false
@@ -87,13 +62,17 @@ module.exports = (sequelize, DataTypes) => {
     },
     imageUrl: {
       type: DataTypes.STRING,
-      allowNull: false
+      allowNull: true
     },
     addOns: {
       type: DataTypes.ARRAY(DataTypes.STRING),
       allowNull: true
+    },
+    addOnCosts: {
+      type: DataTypes.JSONB,
+      allowNull: true
     }
-  }, {});
+  }, { paranoid: true });
   Facility.associate = (models) => {
     Facility.belongsTo(models.Supplier, {
       as: 'owner',
@@ -107,6 +86,10 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
+    Facility.belongsTo(models.City, {
+      as: 'location',
+      foreignKey: 'cityId'
+    });
     Facility.hasMany(models.Room, {
       as: 'rooms',
       foreignKey: 'facilityId',
@@ -118,6 +101,14 @@ module.exports = (sequelize, DataTypes) => {
       as: 'amenities',
       foreignKey: 'facilityId'
     });
+    Facility.hasMany(models.Review, {
+      as: 'reviews',
+      foreignKey: 'facilityId'
+    });
+    Facility.hasMany(models.FacilityImage, {
+      as: 'images',
+      foreignKey: 'facilityId'
+    });
   };
   return Facility;
 };
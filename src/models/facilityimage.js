@@ -0,0 +1,56 @@
+module.exports = (sequelize, DataTypes) => {
+  const FacilityImage = sequelize.define('FacilityImage', {
+    facilityId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Facility',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    roomId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Room',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    url: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    thumbnailUrl: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    isCover: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {});
+  FacilityImage.associate = (models) => {
+    FacilityImage.belongsTo(models.Facility, {
+      as: 'facility',
+      foreignKey: 'facilityId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    FacilityImage.belongsTo(models.Room, {
+      as: 'room',
+      foreignKey: 'roomId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+  };
+  return FacilityImage;
+};
@@ -53,6 +53,26 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    originId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'City',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    destinationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'City',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
     departureDate: {
       type: DataTypes.DATE,
       allowNull: false
@@ -80,6 +100,14 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: 'CASCADE'
     });
     Request.hasMany(models.AccommodationBooking, {
+      as: 'bookings',
+      foreignKey: 'requestId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    Request.hasMany(models.TripLeg, {
+      as: 'legs',
+      foreignKey: 'requestId',
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
@@ -89,6 +117,12 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
+    Request.hasMany(models.RequestStatusHistory, {
+      as: 'statusHistory',
+      foreignKey: 'requestId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
   };
   return Request;
 };
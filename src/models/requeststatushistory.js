@@ -0,0 +1,65 @@
+module.exports = (sequelize, DataTypes) => {
+  const RequestStatusHistory = sequelize.define('RequestStatusHistory', {
+    requestId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Request',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    previousStatusId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Statuses',
+        key: 'id'
+      }
+    },
+    statusId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Statuses',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'User',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {});
+  RequestStatusHistory.associate = (models) => {
+    RequestStatusHistory.belongsTo(models.Request, {
+      as: 'request',
+      foreignKey: 'requestId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    RequestStatusHistory.belongsTo(models.Status, {
+      as: 'previousStatus',
+      foreignKey: 'previousStatusId'
+    });
+    RequestStatusHistory.belongsTo(models.Status, {
+      as: 'status',
+      foreignKey: 'statusId'
+    });
+    RequestStatusHistory.belongsTo(models.User, {
+      as: 'actor',
+      foreignKey: 'userId'
+    });
+  };
+  return RequestStatusHistory;
+};
@@ -0,0 +1,68 @@
+module.exports = (sequelize, DataTypes) => {
+  const Review = sequelize.define('Review', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'User',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    facilityId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Facility',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'AccommodationBooking',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        max: 5
+      }
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    reply: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {});
+  Review.associate = (models) => {
+    Review.belongsTo(models.User, {
+      as: 'reviewer',
+      foreignKey: 'userId'
+    });
+    Review.belongsTo(models.Facility, {
+      as: 'facility',
+      foreignKey: 'facilityId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    Review.belongsTo(models.AccommodationBooking, {
+      as: 'booking',
+      foreignKey: 'bookingId'
+    });
+  };
+  return Review;
+};
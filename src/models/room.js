@@ -41,7 +41,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 'available'
     }
-  }, {});
+  }, { paranoid: true });
 
   Room.associate = (models) => {
     Room.belongsTo(models.Facility, {
@@ -50,6 +50,14 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     });
+    Room.hasMany(models.FacilityImage, {
+      as: 'images',
+      foreignKey: 'roomId'
+    });
+    Room.hasMany(models.RoomRate, {
+      as: 'rates',
+      foreignKey: 'roomId'
+    });
     Room.belongsTo(models.RoomCategory, {
       as: 'roomCategory',
       foreignKey: 'roomCategoryId',
@@ -0,0 +1,68 @@
+module.exports = (sequelize, DataTypes) => {
+  const RoomRate = sequelize.define('RoomRate', {
+    roomId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Room',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Company',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    days: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: true
+    },
+    minNights: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    percentage: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {});
+  RoomRate.associate = (models) => {
+    RoomRate.belongsTo(models.Room, {
+      as: 'room',
+      foreignKey: 'roomId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    RoomRate.belongsTo(models.Company, {
+      as: 'company',
+      foreignKey: 'companyId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+  };
+  return RoomRate;
+};
@@ -0,0 +1,29 @@
+module.exports = (sequelize, DataTypes) => {
+  const State = sequelize.define('State', {
+    countryId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Country',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  }, {});
+  State.associate = (models) => {
+    State.belongsTo(models.Country, {
+      as: 'country',
+      foreignKey: 'countryId'
+    });
+    State.hasMany(models.City, {
+      as: 'cities',
+      foreignKey: 'stateId'
+    });
+  };
+  return State;
+};
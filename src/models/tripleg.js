@@ -0,0 +1,78 @@
+module.exports = (sequelize, DataTypes) => {
+  const TripLeg = sequelize.define('TripLeg', {
+    requestId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Request',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    legNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    origin: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    destination: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    originId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'City',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    destinationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'City',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    departureDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    isGap: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    accommodationBookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'AccommodationBooking',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    }
+  }, {});
+  TripLeg.associate = (models) => {
+    TripLeg.belongsTo(models.Request, {
+      as: 'request',
+      foreignKey: 'requestId',
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    TripLeg.belongsTo(models.AccommodationBooking, {
+      as: 'accommodation',
+      foreignKey: 'accommodationBookingId'
+    });
+  };
+  return TripLeg;
+};
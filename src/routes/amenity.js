@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { Permissions } from '../utils';
+import { AmenityController } from '../controllers';
+import { AuthMiddleware, RoleMiddleware, AmenityMiddleware } from '../middlewares';
+
+const router = Router();
+const {
+  getAmenities, addAmenity, updateAmenity, deleteAmenity
+} = AmenityController;
+const { onAmenityChange } = AmenityMiddleware;
+const { authenticate } = AuthMiddleware;
+const { verifyRoles } = RoleMiddleware;
+const { superAdmins } = Permissions;
+
+router.get('/', getAmenities);
+router.post('/', authenticate, verifyRoles(superAdmins), onAmenityChange, addAmenity);
+router.patch('/:amenityId', authenticate, verifyRoles(superAdmins), onAmenityChange, updateAmenity);
+router.delete('/:amenityId', authenticate, verifyRoles(superAdmins), deleteAmenity);
+
+export default router;
@@ -3,10 +3,12 @@ import { BookingController } from '../controllers';
 import { BookingMiddleware, AuthMiddleware } from '../middlewares';
 
 const router = Router();
-const { createAccBooking } = BookingController;
-const { validateFields } = BookingMiddleware;
+const { createAccBooking, updateAccBooking, cancelAccBooking } = BookingController;
+const { validateFields, verifyBookingChange } = BookingMiddleware;
 const { authenticate } = AuthMiddleware;
 
 router.post('/accommodation', authenticate, validateFields, createAccBooking);
+router.patch('/accommodation/:bookingId', authenticate, verifyBookingChange('modify'), updateAccBooking);
+router.delete('/accommodation/:bookingId', authenticate, verifyBookingChange('cancel'), cancelAccBooking);
 
 export default router;
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { Permissions } from '../utils';
+import { CompanyController } from '../controllers';
+import { AuthMiddleware, RoleMiddleware, TripRequestMiddleware } from '../middlewares';
+
+const router = Router();
+const { exportStatusHistory, getAnalytics } = CompanyController;
+const { onAnalyticsQuery } = TripRequestMiddleware;
+const { authenticate } = AuthMiddleware;
+const { verifyRoles } = RoleMiddleware;
+const { companyTravelAdmins } = Permissions;
+
+router.get('/analytics', authenticate, verifyRoles(companyTravelAdmins), onAnalyticsQuery, getAnalytics);
+router.get('/requests/status-history.csv', authenticate, verifyRoles(companyTravelAdmins), exportStatusHistory);
+
+export default router;
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { Permissions } from '../utils';
+import { ExchangeRateController } from '../controllers';
+import { AuthMiddleware, RoleMiddleware, ExchangeRateMiddleware } from '../middlewares';
+
+const router = Router();
+const { getExchangeRates, setExchangeRate } = ExchangeRateController;
+const { onExchangeRateUpdate } = ExchangeRateMiddleware;
+const { authenticate } = AuthMiddleware;
+const { verifyRoles } = RoleMiddleware;
+const { superAdmins } = Permissions;
+
+router.get('/', authenticate, getExchangeRates);
+router.put('/:currency', authenticate, verifyRoles(superAdmins), onExchangeRateUpdate, setExchangeRate);
+
+export default router;
@@ -1,20 +1,68 @@
 import { Router } from 'express';
-import { FacilityController } from '../controllers';
-import { AuthMiddleware, FacilityMiddleware, RoleMiddleware } from '../middlewares';
+import {
+  FacilityController, BookingController, ReviewController, ImageController, RateController
+} from '../controllers';
+import {
+  AuthMiddleware, BookingMiddleware, FacilityMiddleware, RoleMiddleware, ReviewMiddleware,
+  ImageMiddleware, RateMiddleware
+} from '../middlewares';
 import { Permissions } from '../utils';
 
 const router = Router();
 const {
-  addFacilitySupplier, createCompanyFacility, roomUpdate, amenitiesUpdate
+  addFacilitySupplier, createCompanyFacility, addRoom, roomUpdate, deleteRoom, amenitiesUpdate,
+  searchFacilities, getFacilities, getFacility, updateFacility, deleteFacility
 } = FacilityController;
+const { getSupplierBookings, changeBookingStatus, reserveRooms } = BookingController;
+const { createReview, getReviews, replyToReview } = ReviewController;
+const { addImages, updateImage, deleteImage } = ImageController;
+const {
+  getRates, addRate, updateRate, deleteRate
+} = RateController;
+const { onBookingQuery, verifySupplierBookingChange, onRoomReservation } = BookingMiddleware;
 const { authenticate } = AuthMiddleware;
-const { onCreateFacility, verifyFacility } = FacilityMiddleware;
+const {
+  onCreateFacility, onFacilitySearch, onFacilityQuery, onFacilityUpdate, verifyFacilityOwner,
+  onRoomCreate, onRoomUpdate
+} = FacilityMiddleware;
+const {
+  validateReview, validateReply, verifyReviewer, verifyFacilityReview
+} = ReviewMiddleware;
+const {
+  onImageUpload, onImageUpdate, verifyFacilityRoom, verifyFacilityImage
+} = ImageMiddleware;
+const { onRateChange, verifyRoomRate } = RateMiddleware;
 const { verifyRoles } = RoleMiddleware;
 const { supplierAdmin, companyTravelAdmins } = Permissions;
 
+router.get('/', onFacilityQuery, getFacilities);
+router.get('/search', authenticate, onFacilitySearch, searchFacilities);
 router.post('/supplier', authenticate, verifyRoles(supplierAdmin), onCreateFacility(), addFacilitySupplier);
 router.post('/company', authenticate, verifyRoles(companyTravelAdmins), onCreateFacility(true), createCompanyFacility);
-router.patch('/supplier/:facilityId/:roomId', authenticate, verifyRoles(supplierAdmin), verifyFacility, roomUpdate);
-router.patch('/supplier/:facilityId/', authenticate, verifyRoles(supplierAdmin), verifyFacility, amenitiesUpdate);
+router.get('/supplier/bookings', authenticate, verifyRoles(supplierAdmin), onBookingQuery, getSupplierBookings);
+router.patch('/supplier/bookings/:bookingId/confirm', authenticate, verifyRoles(supplierAdmin), verifySupplierBookingChange('confirm'), changeBookingStatus);
+router.patch('/supplier/bookings/:bookingId/decline', authenticate, verifyRoles(supplierAdmin), verifySupplierBookingChange('decline'), changeBookingStatus);
+router.patch('/supplier/bookings/:bookingId/check-in', authenticate, verifyRoles(supplierAdmin), verifySupplierBookingChange('checkIn'), changeBookingStatus);
+router.patch('/supplier/bookings/:bookingId/check-out', authenticate, verifyRoles(supplierAdmin), verifySupplierBookingChange('checkOut'), changeBookingStatus);
+router.patch('/supplier/:facilityId/:roomId', authenticate, verifyRoles(supplierAdmin), verifyFacilityOwner, verifyFacilityRoom, onRoomUpdate, roomUpdate);
+router.patch('/supplier/:facilityId/', authenticate, verifyRoles(supplierAdmin), verifyFacilityOwner, amenitiesUpdate);
+router.get('/:facilityId', getFacility);
+router.patch('/:facilityId', authenticate, verifyFacilityOwner, onFacilityUpdate, updateFacility);
+router.delete('/:facilityId', authenticate, verifyFacilityOwner, deleteFacility);
+router.post('/:facilityId/rooms', authenticate, verifyFacilityOwner, onRoomCreate, addRoom);
+router.patch('/:facilityId/rooms/:roomId', authenticate, verifyFacilityOwner, verifyFacilityRoom, onRoomUpdate, roomUpdate);
+router.delete('/:facilityId/rooms/:roomId', authenticate, verifyFacilityOwner, verifyFacilityRoom, deleteRoom);
+router.get('/:facilityId/rooms/:roomId/rates', authenticate, verifyFacilityOwner, verifyFacilityRoom, getRates);
+router.post('/:facilityId/rooms/:roomId/rates', authenticate, verifyFacilityOwner, verifyFacilityRoom, onRateChange(), addRate);
+router.patch('/:facilityId/rooms/:roomId/rates/:rateId', authenticate, verifyFacilityOwner, verifyFacilityRoom, verifyRoomRate, onRateChange(true), updateRate);
+router.delete('/:facilityId/rooms/:roomId/rates/:rateId', authenticate, verifyFacilityOwner, verifyFacilityRoom, verifyRoomRate, deleteRate);
+router.post('/:facilityId/reservations', authenticate, verifyRoles(companyTravelAdmins), verifyFacilityOwner, onRoomReservation, reserveRooms);
+router.get('/:facilityId/reviews', onFacilityQuery, getReviews);
+router.post('/:facilityId/reviews', authenticate, validateReview, verifyReviewer, createReview);
+router.patch('/:facilityId/reviews/:reviewId/reply', authenticate, verifyFacilityOwner, validateReply, verifyFacilityReview, replyToReview);
+router.post('/:facilityId/images', authenticate, verifyFacilityOwner, onImageUpload, addImages);
+router.post('/:facilityId/rooms/:roomId/images', authenticate, verifyFacilityOwner, verifyFacilityRoom, onImageUpload, addImages);
+router.patch('/:facilityId/images/:imageId', authenticate, verifyFacilityOwner, verifyFacilityImage, onImageUpdate, updateImage);
+router.delete('/:facilityId/images/:imageId', authenticate, verifyFacilityOwner, verifyFacilityImage, deleteImage);
 
 export default router;
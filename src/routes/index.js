@@ -9,6 +9,11 @@ import tripRoutes from './trip';
 import commentRoutes from './comment';
 import mockRoutes from './mock';
 import notificationRoutes from './notification';
+import companyRoutes from './company';
+import exchangeRateRoutes from './exchangeRate';
+import locationRoutes from './location';
+import amenityRoutes from './amenity';
+import roomCategoryRoutes from './roomCategory';
 
 const router = Router();
 
@@ -20,6 +25,11 @@ router.use('/trip', tripRoutes);
 router.use('/comment', commentRoutes);
 router.use('/mock', mockRoutes);
 router.use('/notification', notificationRoutes);
+router.use('/company', companyRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/locations', locationRoutes);
+router.use('/amenities', amenityRoutes);
+router.use('/room-categories', roomCategoryRoutes);
 router.use('/docs', swaggerUi.serve);
 router.get('/docs', swaggerUi.setup(swaggerDocument));
 
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { LocationController } from '../controllers';
+import { LocationMiddleware } from '../middlewares';
+
+const router = Router();
+const {
+  getCountries, getCountry, getState, searchCities
+} = LocationController;
+const { onLocationSearch } = LocationMiddleware;
+
+router.get('/countries', getCountries);
+router.get('/countries/:countryId', getCountry);
+router.get('/states/:stateId', getState);
+router.get('/cities', onLocationSearch, searchCities);
+
+export default router;
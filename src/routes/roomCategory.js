@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { Permissions } from '../utils';
+import { RoomCategoryController } from '../controllers';
+import { AuthMiddleware, RoleMiddleware, RoomCategoryMiddleware } from '../middlewares';
+
+const router = Router();
+const {
+  getRoomCategories, addRoomCategory, updateRoomCategory, deleteRoomCategory,
+  mergeRoomCategories
+} = RoomCategoryController;
+const { onRoomCategoryChange, onRoomCategoryMerge } = RoomCategoryMiddleware;
+const { authenticate } = AuthMiddleware;
+const { verifyRoles } = RoleMiddleware;
+const { superAdmins } = Permissions;
+
+router.get('/', getRoomCategories);
+router.post('/', authenticate, verifyRoles(superAdmins), onRoomCategoryChange(), addRoomCategory);
+router.patch('/:roomCategoryId', authenticate, verifyRoles(superAdmins), onRoomCategoryChange(true), updateRoomCategory);
+router.delete('/:roomCategoryId', authenticate, verifyRoles(superAdmins), deleteRoomCategory);
+router.post('/:roomCategoryId/merge', authenticate, verifyRoles(superAdmins), onRoomCategoryMerge, mergeRoomCategories);
+
+export default router;
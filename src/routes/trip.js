@@ -4,10 +4,22 @@ import { TripRequestMiddleware, AuthMiddleware } from '../middlewares';
 
 const router = Router();
 
-const { oneWayTripRequest } = RequestController;
-const { onTripRequest, tripCheckUser } = TripRequestMiddleware;
+const {
+  tripRequest, getTripRequest, getRequestStatusHistory, editTripRequest, cancelTripRequest,
+  updateRequestStatus
+} = RequestController;
+const {
+  onTripRequest, tripCheckUser, verifyStatusChange, verifyRequesterChange, verifyRequestAccess
+} = TripRequestMiddleware;
 const { authenticate } = AuthMiddleware;
 
-router.post('/request', authenticate, onTripRequest, tripCheckUser, oneWayTripRequest);
+router.post('/request', authenticate, onTripRequest, tripCheckUser, tripRequest);
+router.get('/request/:requestId', authenticate, verifyRequestAccess, getTripRequest);
+router.get('/request/:requestId/history', authenticate, verifyRequestAccess, getRequestStatusHistory);
+router.patch('/request/:requestId', authenticate, verifyRequesterChange('edit'), editTripRequest);
+router.delete('/request/:requestId', authenticate, verifyRequesterChange('cancel'), cancelTripRequest);
+router.patch('/request/:requestId/approve', authenticate, verifyStatusChange('approve'), updateRequestStatus);
+router.patch('/request/:requestId/reject', authenticate, verifyStatusChange('reject'), updateRequestStatus);
+router.patch('/request/:requestId/reopen', authenticate, verifyStatusChange('reopen'), updateRequestStatus);
 
 export default router;
@@ -1,20 +1,26 @@
 import { Router } from 'express';
 import { Permissions } from '../utils';
 import { UserController, RoleController, RequestController } from '../controllers';
-import { AuthMiddleware, RoleMiddleware } from '../middlewares';
+import {
+  AuthMiddleware, RoleMiddleware, TripRequestMiddleware, UserMiddleware
+} from '../middlewares';
 
 const router = Router();
 
 const { updateUserRole } = RoleController;
 const { verifyRoles } = RoleMiddleware;
-const { getUserRequests } = RequestController;
-const { userProfile, updateProfile } = UserController;
+const { getUserRequests, getPendingApprovals } = RequestController;
+const { userProfile, updateProfile, setLineManager } = UserController;
 const { isAuthenticated, authenticate } = AuthMiddleware;
+const { onRequestQuery } = TripRequestMiddleware;
+const { verifyLineManager, onProfileUpdate } = UserMiddleware;
 const { supplierAdmin } = Permissions;
 
-router.get('/requests', authenticate, getUserRequests);
+router.get('/requests', authenticate, onRequestQuery, getUserRequests);
+router.get('/requests/pending-approval', authenticate, onRequestQuery, getPendingApprovals);
 router.get('/profile/:userId', isAuthenticated, userProfile);
-router.put('/profile/:userId', isAuthenticated, updateProfile);
+router.put('/profile/:userId', isAuthenticated, onProfileUpdate, updateProfile);
+router.patch('/profile/:userId/line-manager', isAuthenticated, verifyLineManager, setLineManager);
 
 router.patch('/role', authenticate, verifyRoles(supplierAdmin), updateUserRole);
 
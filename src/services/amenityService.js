@@ -0,0 +1,95 @@
+import db from '../models';
+import { ApiError, Helpers } from '../utils';
+
+const { Amenity, Sequelize } = db;
+const { Op } = Sequelize;
+const { escapeLike } = Helpers;
+
+/**
+ * A collection of methods that handles the database interactions for the
+ * amenities facilities can offer.
+ *
+ * @class AmenityService
+ */
+export default class AmenityService {
+  /**
+   * Fetches all the amenities.
+   * @static
+   * @returns {Promise<array>} A promise object with the amenities ordered by label.
+   * @memberof AmenityService
+   */
+  static async getAmenities() {
+    return Amenity.findAll({ attributes: ['id', 'label'], order: [['label', 'ASC'], ['id', 'ASC']] });
+  }
+
+  /**
+   * Fetches an amenity.
+   * @static
+   * @param {number} amenityId - The id of the amenity.
+   * @returns {Promise<object>} A promise object with the amenity.
+   * @memberof AmenityService
+   */
+  static async getAmenity(amenityId) {
+    const amenity = await Amenity.findByPk(amenityId);
+    if (!amenity) throw new ApiError(404, `Amenity with id: ${amenityId} does not exist`);
+    return amenity;
+  }
+
+  /**
+   * Checks that no other amenity has a label, ignoring its case.
+   * @static
+   * @param {string} label - The label.
+   * @param {number} amenityId - The id of the amenity being given the label, if any.
+   * @returns {Promise<boolean>} A promise object with true if the label is not taken.
+   * @memberof AmenityService
+   */
+  static async verifyLabel(label, amenityId) {
+    const amenity = await Amenity.findOne({
+      where: {
+        label: { [Op.iLike]: escapeLike(label) },
+        ...(amenityId && { id: { [Op.ne]: amenityId } })
+      }
+    });
+    if (amenity) throw new ApiError(409, `An amenity with the label: ${amenity.label} already exists`);
+    return true;
+  }
+
+  /**
+   * Adds an amenity.
+   * @static
+   * @param {string} label - The label of the amenity.
+   * @returns {Promise<object>} A promise object with the amenity.
+   * @memberof AmenityService
+   */
+  static async addAmenity(label) {
+    await AmenityService.verifyLabel(label);
+    return Amenity.create({ label });
+  }
+
+  /**
+   * Changes the label of an amenity.
+   * @static
+   * @param {number} amenityId - The id of the amenity.
+   * @param {string} label - The new label.
+   * @returns {Promise<object>} A promise object with the updated amenity.
+   * @memberof AmenityService
+   */
+  static async updateAmenity(amenityId, label) {
+    const amenity = await AmenityService.getAmenity(amenityId);
+    await AmenityService.verifyLabel(label, amenityId);
+    return amenity.update({ label });
+  }
+
+  /**
+   * Deletes an amenity, which is also removed from the facilities that offered it.
+   * @static
+   * @param {number} amenityId - The id of the amenity.
+   * @returns {Promise<object>} A promise object with the deleted amenity.
+   * @memberof AmenityService
+   */
+  static async deleteAmenity(amenityId) {
+    const amenity = await AmenityService.getAmenity(amenityId);
+    await amenity.destroy();
+    return amenity;
+  }
+}
@@ -1,6 +1,14 @@
 import db from '../models';
+import { ApiError, BookingStatus } from '../utils';
+import RateService from './rateService';
 
-const { AccommodationBooking } = db;
+const {
+  AccommodationBooking, Room, Facility, User, sequelize, Sequelize
+} = db;
+const { Op } = Sequelize;
+const {
+  reserved, confirmed, cancelled, checkedOut
+} = BookingStatus;
 /**
  * A collection of methods that handles the business logic for booking travels
  *
@@ -9,7 +17,10 @@ const { AccommodationBooking } = db;
 export default class BookingService {
   /**
    *
-   * Create accommodation booking and saves it in the database
+   * Create accommodation booking and saves it in the database if the room is
+   * still available for the booking dates. The room is locked until the booking is
+   * saved so that concurrent bookings cannot take the same last room. The price of
+   * the booking is worked out from the current costs of the room and add-ons.
    * @static
    * @param {object} booking - booking properties to be saved in the database
    * @returns {Promise<object | null | string> } an object containing the booking
@@ -17,7 +28,461 @@ export default class BookingService {
    * @memberof BookingService
    */
   static async createAccBooking(booking) {
-    const { dataValues: newBooking } = await AccommodationBooking.create(booking);
+    return sequelize.transaction(async () => BookingService.bookRoom(booking));
+  }
+
+  /**
+   *
+   * Saves a booking of a room that is still available for the booking dates, which
+   * must be done in a transaction as the room is locked until the transaction ends.
+   * @static
+   * @param {object} booking - The booking properties to be saved in the database.
+   * @returns {Promise<object>} A promise object with the booking created.
+   * @memberof BookingService
+   */
+  static async bookRoom(booking) {
+    const { roomId, checkIn, checkOut } = booking;
+    const room = await BookingService.verifyRoomAvailability(roomId, checkIn, checkOut);
+    const facility = await Facility.findByPk(room.facilityId);
+    const price = await BookingService.priceBooking(booking, room, facility);
+    const { dataValues: newBooking } = await AccommodationBooking.create({
+      ...booking, ...price, status: BookingService.initialStatus(facility)
+    });
     return newBooking;
   }
+
+  /**
+   *
+   * Reserves rooms of a company facility in bulk for a team, such as for an offsite.
+   * Each room reserved is a booking of the user reserving them, which is confirmed
+   * straight away. The rooms are locked until all the bookings are saved, so either
+   * every room asked for is reserved or none is.
+   * @static
+   * @param {object} reservation - The reservation details.
+   * @param {number} reservation.userId - The id of the user reserving the rooms.
+   * @param {string} reservation.checkIn - The check in date of the stay.
+   * @param {string} reservation.checkOut - The check out date of the stay.
+   * @param {array} reservation.rooms - The roomId and count of each room to reserve.
+   * @returns {Promise<array>} A promise object with the bookings made.
+   * @memberof BookingService
+   */
+  static async reserveRooms({
+    userId, checkIn, checkOut, rooms
+  }) {
+    const reservations = rooms.reduce((bookings, { roomId, count }) => [
+      ...bookings, ...Array(count).fill({
+        userId, roomId, checkIn, checkOut
+      })
+    ], []);
+    return sequelize.transaction(async () => reservations
+      .reduce(async (previousBookings, booking) => {
+        const bookings = await previousBookings;
+        return [...bookings, await BookingService.bookRoom(booking)];
+      }, Promise.resolve([])));
+  }
+
+  /**
+   * Gives the status a new or modified booking at a facility starts in. Bookings at a
+   * company facility are only made by the company's employees, so they need no
+   * confirmation and start confirmed, while bookings at a supplier facility are
+   * reserved until the supplier confirms them.
+   * @static
+   * @param {object} facility - The facility of the room booked.
+   * @returns {string} The status of the booking.
+   * @memberof BookingService
+   */
+  static initialStatus({ companyType }) {
+    return companyType === 'company' ? BookingStatus.confirmed : BookingStatus.reserved;
+  }
+
+  /**
+   * Changes the dates of an accommodation booking if the room is still available for
+   * the new dates, without counting the booking itself. A booking at a supplier
+   * facility goes back to reserved so that the new dates can be confirmed, and the
+   * cost of its room is worked out again from the rates of the new nights while the
+   * add-ons keep the costs they were booked at. The booking is locked and its status
+   * checked again so that a concurrent change of its status is not overwritten.
+   * @static
+   * @param {number} bookingId - The id of the booking.
+   * @param {object} dates - The new checkIn and checkOut dates of the booking.
+   * @param {object} change - The statuses the booking can be modified from and the name
+   * of the change.
+   * @returns {Promise<object>} A promise object with the updated booking.
+   * @memberof BookingService
+   */
+  static async updateAccBooking(bookingId, { checkIn, checkOut }, { from, label } = {}) {
+    return sequelize.transaction(async () => {
+      const booking = await BookingService.lockBooking(bookingId, from, label);
+      const room = await BookingService
+        .verifyRoomAvailability(booking.roomId, checkIn, checkOut, bookingId);
+      const facility = await Facility.findByPk(room.facilityId, { paranoid: false });
+      const { nights, roomCost, stayCost } = await BookingService
+        .priceRoom(room, facility, booking.userId, checkIn, checkOut);
+      const { dataValues: updatedBooking } = await booking.update({
+        checkIn,
+        checkOut,
+        status: BookingService.initialStatus(facility),
+        ...(booking.totalCost !== null && {
+          nights,
+          roomCost,
+          totalCost: BookingService.sumCosts(stayCost, booking.addOnsCost)
+        })
+      });
+      return updatedBooking;
+    });
+  }
+
+  /**
+   * Updates the status of an accommodation booking. The booking is locked and its status
+   * checked again so that concurrent changes cannot both move it on from the same
+   * status, and a booking being confirmed must still have a room for its stay.
+   * @static
+   * @param {number} bookingId - The id of the booking.
+   * @param {string} status - The new status of the booking.
+   * @param {object} change - The statuses the booking can be changed from and the name
+   * of the change.
+   * @returns {Promise<object>} A promise object with the updated booking.
+   * @memberof BookingService
+   */
+  static async updateBookingStatus(bookingId, status, { from, label } = {}) {
+    return sequelize.transaction(async () => {
+      const booking = await BookingService.lockBooking(bookingId, from, label);
+      if (status === confirmed) {
+        await BookingService
+          .verifyRoomAvailability(booking.roomId, booking.checkIn, booking.checkOut, bookingId);
+      }
+      const { dataValues: updatedBooking } = await booking.update({ status });
+      return updatedBooking;
+    });
+  }
+
+  /**
+   * Locks an accommodation booking until the surrounding transaction ends and checks
+   * that its status allows a change.
+   * @static
+   * @param {number} bookingId - The id of the booking.
+   * @param {array} from - The statuses the booking can be changed from, if limited.
+   * @param {string} label - Name of the change, used if it is not allowed.
+   * @returns {Promise<object>} A promise object with the booking.
+   * @memberof BookingService
+   */
+  static async lockBooking(bookingId, from, label) {
+    const booking = await AccommodationBooking.findByPk(bookingId, { lock: true });
+    if (!booking) throw new ApiError(404, `Booking with id: ${bookingId} does not exist`);
+    if (from && !from.includes(booking.status)) {
+      throw new ApiError(409, `This booking cannot be ${label} while it is ${booking.status}`);
+    }
+    return booking;
+  }
+
+  /**
+   * Checks that a room can be booked and has a room left for a stay. The room is
+   * locked until the surrounding transaction ends so that concurrent bookings cannot
+   * take the same last room.
+   * @static
+   * @param {number} roomId - The id of the room.
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @param {number} bookingId - The id of a booking of the stay, that is not counted.
+   * @returns {Promise<object>} A promise object with the room if it is available or
+   * throws an error.
+   * @memberof BookingService
+   */
+  static async verifyRoomAvailability(roomId, checkIn, checkOut, bookingId) {
+    const room = await Room.findByPk(roomId, { lock: true, rejectOnEmpty: true });
+    if (room.roomStatus !== 'available') {
+      throw new ApiError(409, `Room with id: ${roomId} is not available for booking`);
+    }
+    const { [roomId]: bookedRooms = 0 } = await BookingService
+      .countBookedRooms(roomId, checkIn, checkOut, bookingId);
+    if (bookedRooms >= room.roomCount) {
+      throw new ApiError(409, `All rooms with id: ${roomId} are booked from ${checkIn} to ${checkOut}`);
+    }
+    return room;
+  }
+
+  /**
+   * Works out the price of a booking in Naira: the cost of the room for every night of
+   * the stay plus the cost of each add-on chosen. Add-ons without a cost are free, as
+   * is everything at a company facility, which is only booked by the company's
+   * employees.
+   * @static
+   * @param {object} booking - The user, the checkIn and checkOut dates and the add-ons
+   * chosen.
+   * @param {object} room - The room being booked.
+   * @param {object} facility - The facility of the room.
+   * @returns {Promise<object>} A promise object with the number of nights, the costs and
+   * the total cost of the booking.
+   * @memberof BookingService
+   */
+  static async priceBooking({
+    userId, checkIn, checkOut, addOns = []
+  }, room, facility) {
+    const unknownAddOn = addOns.find((addOn) => !(facility.addOns || []).includes(addOn));
+    if (unknownAddOn) {
+      throw new ApiError(400, `${unknownAddOn} is not an add-on of ${facility.name}`);
+    }
+    const isFree = facility.companyType === 'company';
+    const addOnCosts = (!isFree && facility.addOnCosts) || {};
+    const { nights, roomCost, stayCost } = await BookingService
+      .priceRoom(room, facility, userId, checkIn, checkOut);
+    const addOnsCost = BookingService
+      .sumCosts(...addOns.map((addOn) => addOnCosts[addOn] || 0));
+    return {
+      nights,
+      roomCost,
+      addOns,
+      addOnsCost,
+      totalCost: BookingService.sumCosts(stayCost, addOnsCost)
+    };
+  }
+
+  /**
+   * Works out the cost of a room for a stay in Naira from the rates that apply to each
+   * night for the user, including the rates negotiated with their company. Rooms
+   * without a cost or rates and the rooms of company facilities are free.
+   * @static
+   * @param {object} room - The room being booked.
+   * @param {object} facility - The facility of the room.
+   * @param {number} userId - The id of the user the room is booked for.
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @returns {Promise<object>} A promise object with the number of nights, the average
+   * cost of a night as the roomCost and the cost of the whole stay.
+   * @memberof BookingService
+   */
+  static async priceRoom(room, facility, userId, checkIn, checkOut) {
+    const nights = BookingService.countNights(checkIn, checkOut);
+    if (facility.companyType === 'company') return { nights, roomCost: 0, stayCost: 0 };
+    const { companyId } = await User.findByPk(userId, { attributes: ['companyId'] });
+    const { [room.id]: rates = [] } = await RateService
+      .findStayRates([room.id], companyId, checkIn, checkOut);
+    const stayCost = BookingService
+      .sumCosts(...RateService.priceNights(room, rates, checkIn, checkOut));
+    return { nights, roomCost: Math.round((stayCost / nights) * 100) / 100, stayCost };
+  }
+
+  /**
+   * Counts the nights of a stay.
+   * @static
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @returns {number} The number of nights.
+   * @memberof BookingService
+   */
+  static countNights(checkIn, checkOut) {
+    return Math.round((new Date(checkOut) - new Date(checkIn)) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Adds up costs, rounding the sum to two decimal places.
+   * @static
+   * @param {...number} costs - The costs to add up.
+   * @returns {number} The sum of the costs.
+   * @memberof BookingService
+   */
+  static sumCosts(...costs) {
+    const sum = costs.reduce((total, cost) => total + Number(cost || 0), 0);
+    return Math.round(sum * 100) / 100;
+  }
+
+  /**
+   * Builds the conditions of the bookings of room categories that take up a room during
+   * a stay. A booking that checks out on the day the stay checks in does not overlap it
+   * and cancelled or checked out bookings no longer take up a room. Search, booking and
+   * changes to room categories all use it so that they agree on the rooms that are free.
+   * @static
+   * @param {object} stay - The stay.
+   * @param {number|array} stay.roomId - The id or ids of the room categories.
+   * @param {string} stay.checkIn - The check in date of the stay, if it has one.
+   * @param {string} stay.checkOut - The check out date of the stay, if it has one.
+   * @param {number} stay.bookingId - The id of a booking that should not be counted.
+   * @returns {object} The conditions of the bookings.
+   * @memberof BookingService
+   */
+  static bookedRoomsQuery({
+    roomId, checkIn, checkOut, bookingId
+  }) {
+    return {
+      roomId,
+      status: { [Op.notIn]: [cancelled, checkedOut] },
+      ...(checkOut && { checkIn: { [Op.lt]: checkOut } }),
+      ...(checkIn && { checkOut: { [Op.gt]: checkIn } }),
+      ...(bookingId && { id: { [Op.ne]: bookingId } })
+    };
+  }
+
+  /**
+   * Counts the bookings of each room category that take up a room during a stay.
+   * @static
+   * @param {number|array} roomIds - The id or ids of the room categories.
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @param {number} bookingId - The id of a booking that should not be counted.
+   * @returns {Promise<object>} A promise object with the number of overlapping bookings
+   * keyed by room id.
+   * @memberof BookingService
+   */
+  static async countBookedRooms(roomIds, checkIn, checkOut, bookingId) {
+    if (Array.isArray(roomIds) && !roomIds.length) return {};
+    const bookings = await AccommodationBooking.findAll({
+      attributes: ['roomId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: BookingService.bookedRoomsQuery({
+        roomId: roomIds, checkIn, checkOut, bookingId
+      }),
+      group: ['roomId'],
+      raw: true
+    });
+    return bookings
+      .reduce((counts, { roomId, count }) => ({ ...counts, [roomId]: Number(count) }), {});
+  }
+
+  /**
+   * Fetches the bookings of room categories that take up a room from today on.
+   * @static
+   * @param {number|array} roomIds - The id or ids of the room categories.
+   * @returns {Promise<array>} A promise object with the roomId, checkIn and checkOut
+   * dates of the bookings.
+   * @memberof BookingService
+   */
+  static async findUpcomingBookings(roomIds) {
+    const today = new Date().toISOString().slice(0, 10);
+    return AccommodationBooking.findAll({
+      attributes: ['id', 'roomId', 'checkIn', 'checkOut'],
+      where: BookingService.bookedRoomsQuery({ roomId: roomIds, checkIn: today }),
+      raw: true
+    });
+  }
+
+  /**
+   * Counts the highest number of rooms of a room category booked for the same night
+   * from today on. The most bookings overlap on the night one of them starts, or on
+   * the first night for bookings that have already started.
+   * @static
+   * @param {number} roomId - The id of the room category.
+   * @returns {Promise<number>} A promise object with the number of rooms.
+   * @memberof BookingService
+   */
+  static async countPeakBookings(roomId) {
+    const today = new Date().toISOString().slice(0, 10);
+    const bookings = await BookingService.findUpcomingBookings(roomId);
+    return bookings.reduce((peak, { checkIn }) => {
+      const night = checkIn > today ? checkIn : today;
+      const { length } = bookings
+        .filter((booking) => booking.checkIn <= night && booking.checkOut > night);
+      return Math.max(peak, length);
+    }, 0);
+  }
+
+  /**
+   * Fetches the bookings of the facilities of a supplier, filtered and paginated. A
+   * date range matches the bookings with a stay, from the day of check in to the day
+   * of check out, that overlaps it.
+   * @static
+   * @param {number} supplierId - The id of the supplier.
+   * @param {object} query - The validated filters and pagination.
+   * @returns {Promise<object>} A promise object with the total number of bookings
+   * matched and the bookings of the page.
+   * @memberof BookingService
+   */
+  static async getSupplierBookings(supplierId, {
+    facilityId, roomId, status, from, to, page, limit
+  }) {
+    const where = {};
+    if (roomId) where.roomId = roomId;
+    if (status) where.status = status;
+    if (from) where.checkOut = { [Op.gte]: from };
+    if (to) where.checkIn = { [Op.lte]: to };
+    const { count, rows } = await AccommodationBooking.findAndCountAll({
+      where,
+      include: [
+        { association: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        {
+          model: Room,
+          as: 'room',
+          attributes: ['id', 'roomCategoryId', 'occupancyCount'],
+          required: true,
+          paranoid: false,
+          include: [{
+            model: Facility,
+            as: 'facility',
+            attributes: ['id', 'name'],
+            required: true,
+            paranoid: false,
+            where: { supplierId, ...(facilityId && { id: facilityId }) }
+          }]
+        }
+      ],
+      order: [['checkIn', 'ASC'], ['id', 'ASC']],
+      offset: (page - 1) * limit,
+      limit
+    });
+    return {
+      total: count, page, limit, bookings: rows
+    };
+  }
+
+  /**
+   * Fetches the bookings of a trip request that have not been cancelled and whose
+   * guest has not checked out yet.
+   * @static
+   * @param {number} requestId - The id of the trip request.
+   * @returns {Promise<array>} A promise object with the bookings.
+   * @memberof BookingService
+   */
+  static async findTripBookings(requestId) {
+    return AccommodationBooking.findAll({
+      where: { requestId, status: { [Op.notIn]: [cancelled, checkedOut] } },
+      raw: true
+    });
+  }
+
+  /**
+   * Cancels the reserved and confirmed bookings of a trip request that is no longer
+   * going ahead.
+   * @static
+   * @param {number} requestId - The id of the trip request.
+   * @returns {Promise<array>} A promise object with the ids of the bookings cancelled.
+   * @memberof BookingService
+   */
+  static async cancelTripBookings(requestId) {
+    const [, bookings] = await AccommodationBooking.update({ status: cancelled }, {
+      returning: true, where: { requestId, status: [reserved, confirmed] }
+    });
+    return bookings.map(({ id }) => id);
+  }
+
+  /**
+   * Find an accommodation booking
+   * @static
+   * @param {object} options - booking search value
+   * @returns {Promise<object>} A promise object with booking detail.
+   * @memberof BookingService
+   */
+  static async findBooking(options) {
+    return AccommodationBooking.findOne({ where: options });
+  }
+
+  /**
+   * Fetches an accommodation booking with its user, its trip request and the room
+   * and facility booked
+   * @static
+   * @param {number} bookingId - The id of the booking.
+   * @returns {Promise<object>} A promise object with booking detail.
+   * @memberof BookingService
+   */
+  static async findBookingById(bookingId) {
+    return AccommodationBooking.findByPk(bookingId, {
+      include: [
+        { association: 'user', attributes: ['id', 'firstName', 'lastName', 'preferredCurrency'] },
+        { association: 'request' },
+        {
+          model: Room,
+          as: 'room',
+          paranoid: false,
+          include: [{ model: Facility, as: 'facility', paranoid: false }]
+        }
+      ]
+    });
+  }
 }
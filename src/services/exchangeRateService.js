@@ -0,0 +1,71 @@
+import db from '../models';
+
+const { ExchangeRate, Sequelize } = db;
+const { Op } = Sequelize;
+const baseCurrency = 'Naira';
+
+/**
+ * A collection of methods that handles the database interactions for the exchange
+ * rates used to convert prices from Naira, the currency costs are recorded in, to
+ * the preferred currency of a user.
+ *
+ * @class ExchangeRateService
+ */
+class ExchangeRateService {
+  /**
+   * Fetches all the exchange rates.
+   * @static
+   * @returns {Promise<array>} - The exchange rates ordered by currency.
+   * @memberof ExchangeRateService
+   */
+  static async getExchangeRates() {
+    return ExchangeRate.findAll({ order: [['currency', 'ASC']] });
+  }
+
+  /**
+   * Fetches the exchange rate of a currency, ignoring the case of its name.
+   * @static
+   * @param {string} currency - The name of the currency e.g Dollar.
+   * @returns {Promise<object>} - The exchange rate or null if the currency has none.
+   * @memberof ExchangeRateService
+   */
+  static async findExchangeRate(currency) {
+    return ExchangeRate.findOne({ where: { currency: { [Op.iLike]: currency } } });
+  }
+
+  /**
+   * Sets the exchange rate of a currency, adding the currency if it has no rate yet.
+   * @static
+   * @param {string} currency - The name of the currency e.g Dollar.
+   * @param {number} rate - The amount of Naira one unit of the currency is worth.
+   * @returns {Promise<object>} - The updated or newly created exchange rate.
+   * @memberof ExchangeRateService
+   */
+  static async setExchangeRate(currency, rate) {
+    const exchangeRate = await ExchangeRateService.findExchangeRate(currency);
+    if (exchangeRate) return exchangeRate.update({ rate });
+    return ExchangeRate.create({ currency, rate });
+  }
+
+  /**
+   * Converts amounts in Naira to a currency. Amounts are left in Naira if the
+   * currency has no exchange rate.
+   * @static
+   * @param {object} amounts - The amounts to be converted, keyed by name.
+   * @param {string} currency - The currency to convert the amounts to.
+   * @returns {Promise<object>} - The converted amounts with the currency and
+   * exchange rate used.
+   * @memberof ExchangeRateService
+   */
+  static async convert(amounts, currency = baseCurrency) {
+    const exchangeRate = await ExchangeRateService.findExchangeRate(currency || baseCurrency);
+    const { currency: convertedTo, rate } = exchangeRate || { currency: baseCurrency, rate: 1 };
+    const converted = Object.keys(amounts).reduce((result, key) => ({
+      ...result,
+      [key]: amounts[key] === null ? null : Math.round((Number(amounts[key]) / rate) * 100) / 100
+    }), {});
+    return { ...converted, currency: convertedTo, exchangeRate: Number(rate) };
+  }
+}
+
+export default ExchangeRateService;
@@ -1,11 +1,17 @@
 import db from '../models';
 import { Helpers, ApiError } from '../utils';
+import ReviewService from './reviewService';
+import LocationService from './locationService';
+import RoomCategoryService from './roomCategoryService';
+import RateService from './rateService';
+import BookingService from './bookingService';
 
 
 const {
-  Facility, sequelize, RoomCategory, Room, AmenityFacility, Amenity
+  Facility, sequelize, Sequelize, RoomCategory, Room, AmenityFacility, Amenity, FacilityImage
 } = db;
-const { updateCollection } = Helpers;
+const { Op } = Sequelize;
+const { updateCollection, escapeLike } = Helpers;
 
 /**
  * A collection of methods that handles the database interactions
@@ -27,23 +33,136 @@ class FacilityService {
   }
 
   /**
-   * Checks the room category value and creates a new record for any category added
-   * by user.
+   * Fetches a page of the supplier facilities listed on the App along with their
+   * amenities and ratings. Company facilities are only open to the company's staff so they are
+   * not listed.
+   * @static
+   * @param {object} query - The pagination details.
+   * @param {number} query.page - The page of facilities to fetch.
+   * @param {number} query.limit - The number of facilities on a page.
+   * @returns {Promise<object>} A promise object with the total number of facilities
+   * and the facilities on the page.
+   * @memberof FacilityService
+   */
+  static async getFacilities({ page, limit }) {
+    const { count, rows } = await Facility.findAndCountAll({
+      where: { companyType: 'supplier' },
+      include: [{
+        model: Amenity,
+        as: 'amenities',
+        attributes: ['id', 'label'],
+        through: { attributes: [] }
+      }],
+      distinct: true,
+      order: [['id', 'ASC']],
+      offset: (page - 1) * limit,
+      limit
+    });
+    const ratings = await ReviewService.getRatings(rows.map(({ id }) => id));
+    return {
+      total: count,
+      page,
+      limit,
+      facilities: rows.map((facility) => ({ ...facility.toJSON(), ...ratings[facility.id] }))
+    };
+  }
+
+  /**
+   * Fetches a supplier facility with its rooms, amenities, rating and the image
+   * galleries of the facility and its rooms.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @returns {Promise<object>} A promise object with the facility details.
+   * @memberof FacilityService
+   */
+  static async getFacilityDetails(facilityId) {
+    const facility = await Facility.findOne({
+      where: { id: facilityId, companyType: 'supplier' },
+      include: [{
+        model: Room,
+        as: 'rooms',
+        include: [
+          { model: RoomCategory, as: 'roomCategory', attributes: ['id', 'label'] },
+          { model: FacilityImage, as: 'images' }
+        ]
+      }, {
+        model: Amenity,
+        as: 'amenities',
+        attributes: ['id', 'label'],
+        through: { attributes: [] }
+      }, {
+        model: FacilityImage,
+        as: 'images',
+        where: { roomId: null },
+        required: false
+      }],
+      order: [
+        ['rooms', 'id', 'ASC'],
+        ['images', 'position', 'ASC'],
+        ['rooms', 'images', 'position', 'ASC']
+      ]
+    });
+    if (!facility) throw new ApiError(404, 'This facility does not exist');
+    const { [facility.id]: rating } = await ReviewService.getRatings([facility.id]);
+    return { ...facility.toJSON(), ...rating };
+  }
+
+  /**
+   * Updates the core details of a facility such as its name, location, address and
+   * image.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @param {object} facilityInfo - The details to be updated.
+   * @returns {Promise<object>} A promise object with the updated facility.
+   * @memberof FacilityService
+   */
+  static async updateFacility(facilityId, facilityInfo) {
+    const { cityId } = facilityInfo;
+    const place = cityId && await LocationService.getPlace(cityId);
+    const [, [facility]] = await Facility.update({ ...facilityInfo, ...place },
+      { returning: true, where: { id: facilityId } });
+    return facility;
+  }
+
+  /**
+   * Soft deletes a facility so that it is no longer listed or bookable while its past
+   * bookings are kept. A facility with upcoming bookings cannot be deleted, and its
+   * rooms are locked like they are for a booking so that none can be booked meanwhile.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @returns {Promise<number>} A promise object with the number of facilities deleted.
+   * @memberof FacilityService
+   */
+  static async deleteFacility(facilityId) {
+    return sequelize.transaction(async () => {
+      const rooms = await Room.findAll({ where: { facilityId }, lock: true });
+      const { length: bookings } = await BookingService
+        .findUpcomingBookings(rooms.map(({ id }) => id));
+      if (bookings) {
+        throw new ApiError(409, `This facility has ${bookings} upcoming booking(s), it cannot be deleted until they are cancelled or over`);
+      }
+      return Facility.destroy({ where: { id: facilityId } });
+    });
+  }
+
+  /**
+   * Checks the room category value and puts a room picked as 'Others' in the
+   * category the user entered, which is only added if it does not exist yet.
    * @static
    * @param {array} rooms - An array of rooms of a specific facility.
    * @returns {Promise<Array>} A promise object with updated room properties.
    * @memberof FacilityService
    */
   static async sortRoomCategory(rooms) {
-    const updatedRooms = rooms.map(async (room) => {
-      const { dataValues: { label } } = await RoomCategory.findByPk(room.roomCategoryId);
-      if (label === 'Others') {
-        const { id } = await RoomCategory.create({ description: ' ', label: room.newCategory });
+    return rooms.reduce(async (previousRooms, room) => {
+      const updatedRooms = await previousRooms;
+      const roomCategory = await RoomCategoryService.getRoomCategory(room.roomCategoryId);
+      if (RoomCategoryService.isOthers(roomCategory)) {
+        const { id } = await RoomCategoryService.findOrAddRoomCategory(room.newCategory);
         room.roomCategoryId = id;
       }
-      return room;
-    });
-    return Promise.all(updatedRooms);
+      return [...updatedRooms, room];
+    }, Promise.resolve([]));
   }
 
   /**
@@ -72,18 +191,20 @@ class FacilityService {
 
 
   /**
-   * Creates a facility record in the database.
+   * Creates a facility record in the database. The names of its city, state and
+   * country are taken from the city it is located in.
    * @static
    * @param {object} facilityInfo - Facility data to be recorded in the database.
    * @returns {Promise<object>} A promise object with facility detail.
    * @memberof FacilityService
    */
   static async createFacility(facilityInfo) {
-    const { amenities } = facilityInfo;
+    const { amenities, cityId } = facilityInfo;
+    const place = await LocationService.getPlace(cityId);
     try {
       const rooms = await FacilityService.sortRoomCategory(facilityInfo.rooms);
       const result = await sequelize.transaction(async () => {
-        const { id: facilityId } = await Facility.create(facilityInfo);
+        const { id: facilityId } = await Facility.create({ ...facilityInfo, ...place });
         const updatedRooms = await updateCollection(rooms, { facilityId });
         const facilityAmenities = FacilityService.sortFacilityAmenities(amenities, facilityId);
         await AmenityFacility.bulkCreate(facilityAmenities);
@@ -99,18 +220,71 @@ class FacilityService {
   }
 
   /**
-   * Updates the room category status.
+   * Adds a room category to an existing facility. A room picked as 'Others' is put in
+   * the category the user entered and a facility can only have one room category of
+   * each category.
    * @static
-   * @param {number} roomId - Facility data to be recorded in the database.
-   * @param {string} roomStatus - status of availability.
-   * @returns {Promise<object>} A promise object with facility detail.
+   * @param {number} facilityId - The id of the facility.
+   * @param {object} roomInfo - The details of the room category.
+   * @returns {Promise<object>} A promise object with the room category.
+   * @memberof FacilityService
+   */
+  static async addRoom(facilityId, roomInfo) {
+    const [room] = await FacilityService.sortRoomCategory([roomInfo]);
+    const existingRoom = await Room.findOne({
+      where: { facilityId, roomCategoryId: room.roomCategoryId }
+    });
+    if (existingRoom) {
+      const { label } = await RoomCategoryService.getRoomCategory(room.roomCategoryId);
+      throw new ApiError(409, `This facility already has a ${label} room category, update it instead`);
+    }
+    return Room.create({ ...room, facilityId });
+  }
+
+  /**
+   * Updates the details of a room category of a facility. The number of rooms cannot
+   * be reduced below the number of rooms booked for the same night from today on. The
+   * room category is locked like it is for a booking, so that rooms cannot be booked
+   * while it is being reduced.
+   * @static
+   * @param {number} roomId - The id of the room category.
+   * @param {object} roomInfo - The details to be updated.
+   * @returns {Promise<object>} A promise object with the updated room category.
+   * @memberof FacilityService
+   */
+  static async updateRoom(roomId, roomInfo) {
+    return sequelize.transaction(async () => {
+      const room = await Room.findByPk(roomId, { lock: true, rejectOnEmpty: true });
+      const { roomCount } = roomInfo;
+      if (roomCount < room.roomCount) {
+        const bookedRooms = await BookingService.countPeakBookings(roomId);
+        if (roomCount < bookedRooms) {
+          throw new ApiError(409, `${bookedRooms} rooms of this category are booked for the same night, roomCount cannot be less than ${bookedRooms}`);
+        }
+      }
+      return room.update(roomInfo);
+    });
+  }
+
+  /**
+   * Soft deletes a room category of a facility so that it can no longer be booked
+   * while its past bookings are kept. A room category with upcoming bookings cannot
+   * be deleted.
+   * @static
+   * @param {number} roomId - The id of the room category.
+   * @returns {Promise<object>} A promise object with the deleted room category.
    * @memberof FacilityService
    */
-  static async roomStatusUpdate(roomId, roomStatus) {
-    const [rowaffected, [room]] = await Room.update({ roomStatus },
-      { returning: true, where: { id: roomId } });
-    if (!rowaffected) throw new ApiError(404, 'Room category not found');
-    return room;
+  static async deleteRoom(roomId) {
+    return sequelize.transaction(async () => {
+      const room = await Room.findByPk(roomId, { lock: true, rejectOnEmpty: true });
+      const { length: bookings } = await BookingService.findUpcomingBookings(roomId);
+      if (bookings) {
+        throw new ApiError(409, `This room category has ${bookings} upcoming booking(s), it cannot be removed until they are cancelled or over`);
+      }
+      await room.destroy();
+      return room;
+    });
   }
 
   /**
@@ -136,6 +310,85 @@ class FacilityService {
       throw new Error('Failed to create facility. Try again');
     }
   }
+
+  /**
+   * Searches the facilities a user can book for rooms that are still available
+   * for a stay. A room category is available if it can take the guests, is not
+   * marked unavailable and has fewer overlapping bookings than rooms. Each available
+   * room category is priced for the stay from the rates that apply to the user, and
+   * the facilities of the user's company come first and are free, so their lowest
+   * room cost is 0.
+   * @static
+   * @param {object} search - The search details.
+   * @param {number} search.companyId - The company of the user, whose facilities are
+   * searched along with those of suppliers.
+   * @param {string} search.country - The country of the facilities.
+   * @param {string} search.state - The state of the facilities.
+   * @param {string} search.city - The city of the facilities.
+   * @param {number} search.cityId - The id of the city of the facilities.
+   * @param {string} search.checkIn - The check in date of the stay.
+   * @param {string} search.checkOut - The check out date of the stay.
+   * @param {number} search.guests - The number of guests sharing a room.
+   * @param {array} search.amenities - Ids of amenities the facilities must all have.
+   * @returns {Promise<array>} A promise object with the facilities, their available
+   * rooms with their cost for the stay and average cost of a night, and the lowest
+   * average cost of a night of those rooms.
+   * @memberof FacilityService
+   */
+  static async searchFacilities({
+    companyId, country, state, city, cityId, checkIn, checkOut, guests, amenities = []
+  }) {
+    const where = { [Op.or]: [{ companyType: 'supplier' }, { companyId }] };
+    if (country) where.country = { [Op.iLike]: escapeLike(country) };
+    if (state) where.state = { [Op.iLike]: escapeLike(state) };
+    if (city) where.city = { [Op.iLike]: escapeLike(city) };
+    if (cityId) where.cityId = cityId;
+    const facilities = await Facility.findAll({
+      where,
+      include: [{
+        model: Room,
+        as: 'rooms',
+        required: true,
+        where: { roomStatus: 'available', occupancyCount: { [Op.gte]: guests } },
+        include: [{ model: RoomCategory, as: 'roomCategory', attributes: ['id', 'label'] }]
+      }, {
+        model: Amenity,
+        as: 'amenities',
+        attributes: ['id', 'label'],
+        through: { attributes: [] }
+      }],
+      order: [['companyType', 'ASC'], ['id', 'ASC'], ['rooms', 'id', 'ASC']]
+    });
+    const roomIds = facilities
+      .reduce((ids, { rooms }) => [...ids, ...rooms.map(({ id }) => id)], []);
+    const bookedRooms = await BookingService.countBookedRooms(roomIds, checkIn, checkOut);
+    const rates = await RateService.findStayRates(roomIds, companyId, checkIn, checkOut);
+    const nights = RateService.listNights(checkIn, checkOut).length;
+    return facilities
+      .filter((facility) => amenities
+        .every((amenityId) => facility.amenities.some(({ id }) => id === amenityId)))
+      .map((facility) => {
+        const isFree = facility.companyType === 'company';
+        const rooms = facility.rooms
+          .map((room) => {
+            const stayCost = isFree ? 0 : RateService
+              .priceNights(room, rates[room.id] || [], checkIn, checkOut)
+              .reduce((total, cost) => total + cost, 0);
+            return {
+              ...room.toJSON(),
+              availableRooms: room.roomCount - (bookedRooms[room.id] || 0),
+              stayCost: Math.round(stayCost * 100) / 100,
+              averageNightlyCost: Math.round((stayCost / nights) * 100) / 100
+            };
+          })
+          .filter(({ availableRooms }) => availableRooms > 0);
+        const lowestRoomCost = rooms
+          .map(({ averageNightlyCost }) => averageNightlyCost)
+          .reduce((lowest, cost) => (lowest === null || cost < lowest ? cost : lowest), null);
+        return { ...facility.toJSON(), rooms, lowestRoomCost };
+      })
+      .filter(({ rooms }) => rooms.length);
+  }
 }
 
 export default FacilityService;
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import Jimp from 'jimp';
+import db from '../models';
+import { ApiError, ImageStorage } from '../utils';
+
+const {
+  FacilityImage, Facility, Room, sequelize
+} = db;
+const thumbnailSize = { width: 320, height: 240 };
+const extensions = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+/**
+ * A collection of methods that handles the storage and database interactions
+ * for managing the image galleries of facilities and their room categories.
+ *
+ * @class ImageService
+ */
+export default class ImageService {
+  /**
+   * Find an image
+   * @static
+   * @param {object} options - image search value
+   * @returns {Promise<object>} A promise object with the image.
+   * @memberof ImageService
+   */
+  static async findImage(options) {
+    return FacilityImage.findOne({ where: options });
+  }
+
+  /**
+   * Fetches the images of the gallery of a facility or one of its room categories
+   * in their order.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @param {number} roomId - The id of the room category, null for the facility's own
+   * gallery.
+   * @returns {Promise<array>} A promise object with the images.
+   * @memberof ImageService
+   */
+  static async getGallery(facilityId, roomId = null) {
+    return FacilityImage.findAll({
+      where: { facilityId, roomId },
+      order: [['position', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Creates a thumbnail of an uploaded image, which also checks that the file is an
+   * image.
+   * @static
+   * @param {object} file - The uploaded file.
+   * @returns {Promise<Buffer>} A promise object with the content of the thumbnail.
+   * @memberof ImageService
+   */
+  static async createThumbnail({ buffer, mimetype, originalname }) {
+    let image;
+    try {
+      image = await Jimp.read(buffer);
+    } catch (err) {
+      throw new ApiError(400, `${originalname} is not a valid image`);
+    }
+    return image.cover(thumbnailSize.width, thumbnailSize.height).getBufferAsync(mimetype);
+  }
+
+  /**
+   * Stores an uploaded image and its thumbnail under a random name.
+   * @static
+   * @param {number} facilityId - The id of the facility of the image.
+   * @param {object} file - The uploaded file.
+   * @param {Buffer} thumbnail - The content of the thumbnail.
+   * @returns {Promise<object>} A promise object with the url and thumbnailUrl of the
+   * image.
+   * @memberof ImageService
+   */
+  static async storeImage(facilityId, { buffer, mimetype }, thumbnail) {
+    const name = `facility-${facilityId}-${crypto.randomBytes(8).toString('hex')}`;
+    const extension = extensions[mimetype];
+    const [url, thumbnailUrl] = await Promise.all([
+      ImageStorage.save(buffer, `${name}.${extension}`),
+      ImageStorage.save(thumbnail, `${name}-thumbnail.${extension}`)
+    ]);
+    return { url, thumbnailUrl };
+  }
+
+  /**
+   * Removes the files of images from storage.
+   * @static
+   * @param {array} images - The images with their url and thumbnailUrl.
+   * @returns {Promise<array>} A promise object that resolves once the files are removed.
+   * @memberof ImageService
+   */
+  static async removeFiles(images) {
+    return Promise.all(images.reduce((removed, { url, thumbnailUrl }) => [
+      ...removed, ImageStorage.remove(url), ImageStorage.remove(thumbnailUrl)
+    ], []));
+  }
+
+  /**
+   * Makes an image the image of its facility if it is in the facility's own gallery.
+   * @static
+   * @param {object} image - The cover image.
+   * @returns {Promise<object>} A promise object that resolves once the facility is updated.
+   * @memberof ImageService
+   */
+  static async setFacilityImage({ facilityId, roomId, url }) {
+    if (roomId) return null;
+    return Facility.update({ imageUrl: url }, { where: { id: facilityId } });
+  }
+
+  /**
+   * Adds uploaded images to the end of the gallery of a facility or one of its room
+   * categories. Every file is checked and given a thumbnail before any is stored. The
+   * first image of a gallery without a cover becomes its cover. The gallery is locked
+   * while the images are numbered so that concurrent uploads do not share positions.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @param {number} roomId - The id of the room category, null for the facility's own
+   * gallery.
+   * @param {array} files - The uploaded files.
+   * @returns {Promise<array>} A promise object with the images of the gallery.
+   * @memberof ImageService
+   */
+  static async addImages(facilityId, roomId, files) {
+    const thumbnails = await Promise.all(files.map(ImageService.createThumbnail));
+    const stored = await Promise.all(files
+      .map((file, index) => ImageService.storeImage(facilityId, file, thumbnails[index])));
+    try {
+      return await sequelize.transaction(async () => {
+        await ImageService.lockGallery(facilityId, roomId);
+        const gallery = await ImageService.getGallery(facilityId, roomId);
+        const hasCover = gallery.some(({ isCover }) => isCover);
+        const [firstImage] = await FacilityImage.bulkCreate(stored.map((urls, index) => ({
+          ...urls,
+          facilityId,
+          roomId,
+          position: gallery.length + index + 1,
+          isCover: !hasCover && index === 0
+        })), { returning: true });
+        if (!hasCover) await ImageService.setFacilityImage(firstImage);
+        return ImageService.getGallery(facilityId, roomId);
+      });
+    } catch (err) {
+      await ImageService.removeFiles(stored);
+      throw err;
+    }
+  }
+
+  /**
+   * Locks the gallery of a facility or one of its room categories until the surrounding
+   * transaction ends by locking the facility or room category it belongs to.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @param {number} roomId - The id of the room category, null for the facility's own
+   * gallery.
+   * @returns {Promise<object>} A promise object with the facility or room category.
+   * @memberof ImageService
+   */
+  static async lockGallery(facilityId, roomId) {
+    if (roomId) return Room.findByPk(roomId, { lock: true, paranoid: false });
+    return Facility.findByPk(facilityId, { lock: true, paranoid: false });
+  }
+
+  /**
+   * Numbers the images of a gallery in the order given and, if a cover is given,
+   * makes it the only cover of the gallery.
+   * @static
+   * @param {array} images - The images of the gallery in their new order.
+   * @param {number} coverId - The id of the new cover image.
+   * @returns {Promise<array>} A promise object that resolves once the images are updated.
+   * @memberof ImageService
+   */
+  static async arrangeGallery(images, coverId) {
+    return Promise.all(images.map(({ id }, index) => FacilityImage.update({
+      position: index + 1,
+      ...(coverId && { isCover: id === coverId })
+    }, { where: { id } })));
+  }
+
+  /**
+   * Moves an image to a position in its gallery and/or makes it the cover of the
+   * gallery. The other images are shifted to make room for it.
+   * @static
+   * @param {object} image - The image.
+   * @param {object} update - The changes to the image.
+   * @param {number} update.position - The new position of the image, starting at 1.
+   * @param {boolean} update.isCover - True to make the image the cover.
+   * @returns {Promise<array>} A promise object with the images of the gallery.
+   * @memberof ImageService
+   */
+  static async updateImage(image, { position, isCover }) {
+    const { facilityId, roomId } = image;
+    return sequelize.transaction(async () => {
+      const gallery = await ImageService.getGallery(facilityId, roomId);
+      const others = gallery.filter(({ id }) => id !== image.id);
+      const index = Math.min(position || image.position, gallery.length) - 1;
+      const ordered = [...others.slice(0, index), image, ...others.slice(index)];
+      await ImageService.arrangeGallery(ordered, isCover && image.id);
+      if (isCover) await ImageService.setFacilityImage(image);
+      return ImageService.getGallery(facilityId, roomId);
+    });
+  }
+
+  /**
+   * Deletes an image and closes the gap it leaves in its gallery. If it was the cover,
+   * the first of the remaining images becomes the cover.
+   * @static
+   * @param {object} image - The image.
+   * @returns {Promise<array>} A promise object with the remaining images of the gallery.
+   * @memberof ImageService
+   */
+  static async deleteImage(image) {
+    const { facilityId, roomId } = image;
+    const gallery = await sequelize.transaction(async () => {
+      await FacilityImage.destroy({ where: { id: image.id } });
+      const remaining = await ImageService.getGallery(facilityId, roomId);
+      const [cover = { facilityId, roomId, url: null }] = remaining;
+      await ImageService.arrangeGallery(remaining, image.isCover && cover.id);
+      if (image.isCover) await ImageService.setFacilityImage(cover);
+      return ImageService.getGallery(facilityId, roomId);
+    });
+    await ImageService.removeFiles([image]);
+    return gallery;
+  }
+}
@@ -8,6 +8,13 @@ import FacilityService from './facilityService';
 import RoomService from './roomService';
 import CommentService from './commentService';
 import NotificationService from './notificationService';
+import ExchangeRateService from './exchangeRateService';
+import ReviewService from './reviewService';
+import ImageService from './imageService';
+import LocationService from './locationService';
+import AmenityService from './amenityService';
+import RoomCategoryService from './roomCategoryService';
+import RateService from './rateService';
 
 export {
   UserService,
@@ -19,5 +26,12 @@ export {
   RequestService,
   RoomService,
   CommentService,
-  NotificationService
+  NotificationService,
+  ExchangeRateService,
+  ReviewService,
+  ImageService,
+  LocationService,
+  AmenityService,
+  RoomCategoryService,
+  RateService
 };
@@ -0,0 +1,156 @@
+import db from '../models';
+import { ApiError, Helpers } from '../utils';
+
+const {
+  Country, State, City, Sequelize
+} = db;
+const { Op } = Sequelize;
+const { escapeLike } = Helpers;
+const cityLocation = {
+  model: State,
+  as: 'state',
+  attributes: ['id', 'name'],
+  include: [{ model: Country, as: 'country', attributes: ['id', 'name', 'code'] }]
+};
+
+/**
+ * A collection of methods that handles the database interactions for the
+ * countries, states and cities that facilities and trips are located in.
+ *
+ * @class LocationService
+ */
+export default class LocationService {
+  /**
+   * Fetches all the countries.
+   * @static
+   * @returns {Promise<array>} A promise object with the countries ordered by name.
+   * @memberof LocationService
+   */
+  static async getCountries() {
+    return Country.findAll({ attributes: ['id', 'name', 'code'], order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Fetches a country with its states.
+   * @static
+   * @param {number} countryId - The id of the country.
+   * @returns {Promise<object>} A promise object with the country and its states
+   * ordered by name.
+   * @memberof LocationService
+   */
+  static async getCountry(countryId) {
+    const country = await Country.findByPk(countryId, {
+      attributes: ['id', 'name', 'code'],
+      include: [{ model: State, as: 'states', attributes: ['id', 'name'] }],
+      order: [['states', 'name', 'ASC']]
+    });
+    if (!country) throw new ApiError(404, `Country with id: ${countryId} does not exist`);
+    return country;
+  }
+
+  /**
+   * Fetches a state with its country and cities.
+   * @static
+   * @param {number} stateId - The id of the state.
+   * @returns {Promise<object>} A promise object with the state and its cities
+   * ordered by name.
+   * @memberof LocationService
+   */
+  static async getState(stateId) {
+    const state = await State.findByPk(stateId, {
+      attributes: ['id', 'name'],
+      include: [
+        { model: Country, as: 'country', attributes: ['id', 'name', 'code'] },
+        { model: City, as: 'cities', attributes: ['id', 'name'] }
+      ],
+      order: [['cities', 'name', 'ASC']]
+    });
+    if (!state) throw new ApiError(404, `State with id: ${stateId} does not exist`);
+    return state;
+  }
+
+  /**
+   * Gives the details of a city along with a label that names its state and country.
+   * @static
+   * @param {object} city - The city with its state and country.
+   * @returns {object} The details of the city.
+   * @memberof LocationService
+   */
+  static describeCity({ id, name, state }) {
+    const { country, ...stateDetails } = state.toJSON();
+    return {
+      id, name, label: `${name}, ${state.name}, ${country.name}`, state: stateDetails, country
+    };
+  }
+
+  /**
+   * Finds the cities whose name starts with the text typed so far, for autocomplete.
+   * @static
+   * @param {object} query - The search details.
+   * @param {string} query.search - The start of the name of the city.
+   * @param {number} query.countryId - The id of a country to search in.
+   * @param {number} query.limit - The highest number of cities to return.
+   * @returns {Promise<array>} A promise object with the cities ordered by name.
+   * @memberof LocationService
+   */
+  static async searchCities({ search, countryId, limit }) {
+    const cities = await City.findAll({
+      where: { name: { [Op.iLike]: `${escapeLike(search)}%` } },
+      include: [{ ...cityLocation, ...(countryId && { where: { countryId } }) }],
+      order: [['name', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+    return cities.map(LocationService.describeCity);
+  }
+
+  /**
+   * Gets the names of the city, state and country of a city, which are kept with
+   * the records located in it.
+   * @static
+   * @param {number} cityId - The id of the city.
+   * @returns {Promise<object>} A promise object with the cityId, city, state and
+   * country.
+   * @memberof LocationService
+   */
+  static async getPlace(cityId) {
+    const city = await City.findByPk(cityId, { include: [cityLocation] });
+    if (!city) throw new ApiError(404, `City with id: ${cityId} does not exist`);
+    const { state } = city;
+    return {
+      cityId: city.id, city: city.name, state: state.name, country: state.country.name
+    };
+  }
+
+  /**
+   * Finds the city a place typed by a user refers to. A place is the name of a city
+   * which can be followed by its state and/or country, separated by commas e.g
+   * "Accra" or "Accra, Ghana", the latter only being needed for a city whose name is
+   * shared with another city.
+   * @static
+   * @param {string} place - The place.
+   * @param {string} key - The name of the field the place was given in, used in errors.
+   * @returns {Promise<object>} A promise object with the id of the city and the name
+   * the place is recorded with.
+   * @memberof LocationService
+   */
+  static async findPlace(place, key) {
+    const [name, ...qualifiers] = place.split(',').map((part) => part.trim().toLowerCase());
+    const namesakes = await City.findAll({
+      where: { name: { [Op.iLike]: escapeLike(name) } },
+      include: [cityLocation]
+    });
+    const cities = namesakes.filter(({ state }) => qualifiers.every((qualifier) => [
+      state.name, state.country.name, state.country.code
+    ].some((value) => value.toLowerCase() === qualifier)));
+    if (!cities.length) {
+      throw new ApiError(400, `${key} must be a city from the list of locations, ${place} was not found`);
+    }
+    if (cities.length > 1) {
+      const { label } = LocationService.describeCity(cities[0]);
+      throw new ApiError(400, `${key} ${place} matches more than one city, add its state or country e.g ${label}`);
+    }
+    const [city] = cities;
+    const { label } = LocationService.describeCity(city);
+    return { id: city.id, name: namesakes.length > 1 ? label : city.name };
+  }
+}
@@ -0,0 +1,212 @@
+import db from '../models';
+import { ApiError } from '../utils';
+
+const { RoomRate, Company, Sequelize } = db;
+const { Op } = Sequelize;
+const day = 24 * 60 * 60 * 1000;
+
+/**
+ * A collection of methods that handles the database interactions for the rates of
+ * room categories and works out the price of each night of a stay from them. A rate
+ * sets the price of a night, or a percentage of the room cost, for the nights that
+ * fall within its dates and on its days of the week, in stays of at least its
+ * minimum number of nights. A rate with a company is a price negotiated with that
+ * company and only applies to the bookings of its employees.
+ *
+ * @class RateService
+ */
+export default class RateService {
+  /**
+   * Fetches the rates of a room category.
+   * @static
+   * @param {number} roomId - The id of the room category.
+   * @returns {Promise<array>} A promise object with the rates ordered by start date.
+   * @memberof RateService
+   */
+  static async getRates(roomId) {
+    return RoomRate.findAll({
+      where: { roomId },
+      include: [{ model: Company, as: 'company', attributes: ['id', 'companyName'] }],
+      order: [['startDate', 'ASC NULLS FIRST'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Find a rate
+   * @static
+   * @param {object} options - rate search value
+   * @returns {Promise<object>} A promise object with the rate.
+   * @memberof RateService
+   */
+  static async findRate(options) {
+    return RoomRate.findOne({ where: options });
+  }
+
+  /**
+   * Checks that the company a rate is negotiated with exists.
+   * @static
+   * @param {number} companyId - The id of the company, if any.
+   * @returns {Promise<boolean>} A promise object with true if there is no company or
+   * it exists.
+   * @memberof RateService
+   */
+  static async verifyCompany(companyId) {
+    if (companyId && !await Company.findByPk(companyId)) {
+      throw new ApiError(404, `Company with id: ${companyId} does not exist`);
+    }
+    return true;
+  }
+
+  /**
+   * Checks that a rate does not end before it starts.
+   * @static
+   * @param {object} dates - The startDate and endDate of the rate.
+   * @returns {boolean} True if the dates are in order.
+   * @memberof RateService
+   */
+  static verifyDates({ startDate, endDate }) {
+    if (startDate && endDate && endDate < startDate) {
+      throw new ApiError(400, 'endDate must be on or after startDate');
+    }
+    return true;
+  }
+
+  /**
+   * Adds a rate to a room category.
+   * @static
+   * @param {number} roomId - The id of the room category.
+   * @param {object} rateInfo - The details of the rate.
+   * @returns {Promise<object>} A promise object with the rate.
+   * @memberof RateService
+   */
+  static async addRate(roomId, rateInfo) {
+    RateService.verifyDates(rateInfo);
+    await RateService.verifyCompany(rateInfo.companyId);
+    return RoomRate.create({ ...rateInfo, roomId });
+  }
+
+  /**
+   * Updates a rate. A rate either has a price or a percentage, so giving one of them
+   * removes the other.
+   * @static
+   * @param {object} rate - The rate.
+   * @param {object} rateInfo - The details to be updated.
+   * @returns {Promise<object>} A promise object with the updated rate.
+   * @memberof RateService
+   */
+  static async updateRate(rate, rateInfo) {
+    const { startDate = rate.startDate, endDate = rate.endDate } = rateInfo;
+    RateService.verifyDates({ startDate, endDate });
+    await RateService.verifyCompany(rateInfo.companyId);
+    return rate.update({
+      ...(rateInfo.price !== undefined && { percentage: null }),
+      ...(rateInfo.percentage !== undefined && { price: null }),
+      ...rateInfo
+    });
+  }
+
+  /**
+   * Deletes a rate.
+   * @static
+   * @param {object} rate - The rate.
+   * @returns {Promise<object>} A promise object with the deleted rate.
+   * @memberof RateService
+   */
+  static async deleteRate(rate) {
+    await rate.destroy();
+    return rate;
+  }
+
+  /**
+   * Fetches the rates of room categories that can apply to the nights of a stay
+   * booked by an employee of a company.
+   * @static
+   * @param {array} roomIds - The ids of the room categories.
+   * @param {number} companyId - The id of the company of the user, if any.
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @returns {Promise<object>} A promise object with the rates keyed by room id.
+   * @memberof RateService
+   */
+  static async findStayRates(roomIds, companyId, checkIn, checkOut) {
+    if (!roomIds.length) return {};
+    const rates = await RoomRate.findAll({
+      where: {
+        roomId: roomIds,
+        companyId: { [Op.or]: [null, ...(companyId ? [companyId] : [])] },
+        startDate: { [Op.or]: [null, { [Op.lt]: checkOut }] },
+        endDate: { [Op.or]: [null, { [Op.gte]: checkIn }] }
+      }
+    });
+    return rates.reduce((roomRates, rate) => ({
+      ...roomRates, [rate.roomId]: [...(roomRates[rate.roomId] || []), rate]
+    }), {});
+  }
+
+  /**
+   * Lists the nights of a stay, each being the date it starts on.
+   * @static
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @returns {array} The dates of the nights.
+   * @memberof RateService
+   */
+  static listNights(checkIn, checkOut) {
+    const start = new Date(checkIn).getTime();
+    const count = Math.round((new Date(checkOut).getTime() - start) / day);
+    return Array.from({ length: count },
+      (night, index) => new Date(start + (index * day)).toISOString().slice(0, 10));
+  }
+
+  /**
+   * Picks the rate that sets the price of a night. Of the rates that apply to the
+   * night, a rate negotiated with the company comes first, then a rate with dates,
+   * then a rate for some days of the week and then the newest rate.
+   * @static
+   * @param {array} rates - The rates of the room category.
+   * @param {string} night - The date of the night.
+   * @param {number} nights - The number of nights of the stay.
+   * @returns {object} The rate or undefined if no rate applies.
+   * @memberof RateService
+   */
+  static findNightRate(rates, night, nights) {
+    const weekday = new Date(night).getUTCDay();
+    const rank = ({
+      companyId, startDate, endDate, days, id
+    }) => [Number(!!companyId), Number(!!(startDate || endDate)), Number(!!days), id];
+    const compare = (first, second) => {
+      const [firstRank, secondRank] = [rank(first), rank(second)];
+      const index = firstRank.findIndex((value, i) => value !== secondRank[i]);
+      return index === -1 ? 0 : secondRank[index] - firstRank[index];
+    };
+    const [rate] = rates
+      .filter(({
+        startDate, endDate, days, minNights
+      }) => (!startDate || night >= startDate) && (!endDate || night <= endDate)
+        && (!days || days.includes(weekday)) && nights >= minNights)
+      .sort(compare);
+    return rate;
+  }
+
+  /**
+   * Works out the cost of each night of a stay in a room category from its rates,
+   * in Naira. A night without a rate costs the room cost, and a night of a room
+   * category without a cost is free unless a rate gives it a price.
+   * @static
+   * @param {object} room - The room category.
+   * @param {array} rates - The rates of the room category.
+   * @param {string} checkIn - The check in date of the stay.
+   * @param {string} checkOut - The check out date of the stay.
+   * @returns {array} The cost of each night.
+   * @memberof RateService
+   */
+  static priceNights({ roomCost }, rates, checkIn, checkOut) {
+    const nights = RateService.listNights(checkIn, checkOut);
+    return nights.map((night) => {
+      const rate = RateService.findNightRate(rates, night, nights.length);
+      if (rate && rate.price !== null) return Number(rate.price);
+      if (rate) return Math.round(Number(roomCost || 0) * rate.percentage) / 100;
+      return Number(roomCost || 0);
+    });
+  }
+}
@@ -1,20 +1,30 @@
 import db from '../models';
+import { ApiError, Helpers, RequestStatus } from '../utils';
+import BookingService from './bookingService';
 
-const { Request, Status, User } = db;
+const {
+  Request, Status, User, Comment, TripLeg, AccommodationBooking, RequestStatusHistory,
+  sequelize, Sequelize
+} = db;
+const { Op } = Sequelize;
+const { extractArrayRecords, escapeLike } = Helpers;
 
 /**
  * RequestService class, interface for CompanyModel
  */
 export default class RequestService {
   /**
-  * Get user's request history from database
+  * Get a user's requests from the database, filtered, sorted and paginated.
   * @static
   * @param {integer} id - The user id
-  * @returns {Promise<object>} A promise object with user requests.
+  * @param {object} query - Validated query options.
+  * @returns {Promise<object>} A promise object with the total count, page details and requests.
   * @memberof RequestService
   */
-  static async getRequests(id) {
-    return Request.findAll({
+  static async getRequests(id, query) {
+    const { where, ...options } = RequestService.buildRequestQuery({ ...query, requesterId: id });
+    const { count, rows } = await Request.findAndCountAll({
+      ...options,
       include: [{
         model: Status,
         as: 'status',
@@ -23,21 +33,194 @@ export default class RequestService {
       {
         model: User,
         as: 'manager',
-        attributes: ['lineManager']
+        attributes: ['id', 'firstName', 'lastName']
+      },
+      {
+        model: TripLeg,
+        as: 'legs'
+      }],
+      where,
+      distinct: true,
+      order: [...options.order, [{ model: TripLeg, as: 'legs' }, 'legNumber', 'ASC']]
+    });
+    return {
+      total: count, page: query.page, limit: query.limit, requests: rows
+    };
+  }
+
+  /**
+  * Get the requests a manager is expected to act on, filtered, sorted and paginated.
+  * @static
+  * @param {integer} managerId - The id of the manager.
+  * @param {object} query - Validated query options.
+  * @returns {Promise<object>} A promise object with the total count, page details and requests.
+  * @memberof RequestService
+  */
+  static async getManagerRequests(managerId, query) {
+    const { where, ...options } = RequestService.buildRequestQuery(query);
+    const commentCount = sequelize.literal('(SELECT COUNT(*) FROM "Comments" WHERE "Comments"."requestId" = "Request"."id")::int');
+    const { count, rows } = await Request.findAndCountAll({
+      ...options,
+      attributes: { include: [[commentCount, 'commentCount']] },
+      include: [{
+        model: Status,
+        as: 'status',
+        attributes: ['label']
+      },
+      {
+        model: User,
+        as: 'requester',
+        attributes: ['id', 'firstName', 'lastName']
       }],
-      where: { requesterId: id }
+      where: { ...where, managerId }
     });
+    const requests = rows.map((row) => {
+      const request = row.get({ plain: true });
+      const { requester: { firstName, lastName } } = request;
+      return { ...request, requesterName: `${firstName} ${lastName}` };
+    });
+    return {
+      total: count, page: query.page, limit: query.limit, requests
+    };
   }
 
   /**
-    * Allows user to create a trip request
+  * Turns validated listing query parameters into the where, order, offset and limit
+  * options of a Request query. origin and destination match any part of the place,
+  * from and to bound the departureDate, and search runs a full-text search on purpose.
+  * Without a limit every matching request is fetched.
+  * @static
+  * @param {object} query - Validated query options.
+  * @returns {object} The query options.
+  * @memberof RequestService
+  */
+  static buildRequestQuery({
+    status, requesterId, tripType, origin, destination, from, to, search,
+    sortBy, order, page, limit
+  }) {
+    const where = {};
+    if (status) where.statusId = RequestStatus[status.toLowerCase()];
+    if (requesterId) where.requesterId = requesterId;
+    if (tripType) where.tripType = tripType;
+    if (origin) where.origin = { [Op.iLike]: `%${escapeLike(origin)}%` };
+    if (destination) where.destination = { [Op.iLike]: `%${escapeLike(destination)}%` };
+    if (from || to) {
+      where.departureDate = {};
+      if (from) where.departureDate[Op.gte] = from;
+      if (to) where.departureDate[Op.lte] = to;
+    }
+    if (search) {
+      where[Op.and] = [sequelize.where(
+        sequelize.fn('to_tsvector', 'english', sequelize.col('Request.purpose')),
+        '@@',
+        sequelize.fn('plainto_tsquery', 'english', search)
+      )];
+    }
+    return {
+      where,
+      order: [[sortBy, order], ['id', order]],
+      ...(limit && { offset: (page - 1) * limit, limit })
+    };
+  }
+
+  /**
+    * Allows user to create a trip request, the origin, destination and departureDate of
+    * a Multi-leg trip are taken from its first and last legs.
     * @param {object} tripreq - the trip details object.
     * @return {Promise<object>} A promise object with trip request detail.
     * @memberof RequestService
     */
   static async createTripRequest(tripreq) {
-    const { dataValues: newTripRequest } = await Request.create(tripreq);
-    return newTripRequest;
+    const { legs } = tripreq;
+    return sequelize.transaction(async () => {
+      const { dataValues: newTripRequest } = await Request.create({
+        ...tripreq, ...(legs && RequestService.summarizeLegs(legs))
+      });
+      const { id: requestId, statusId, requesterId: userId } = newTripRequest;
+      await RequestStatusHistory.create({ requestId, statusId, userId });
+      if (!legs) return newTripRequest;
+      const tripLegs = await RequestService.createLegs(requestId, legs);
+      return { ...newTripRequest, legs: tripLegs };
+    });
+  }
+
+  /**
+    * Replaces the details of a trip request, including its legs. The request is locked
+    * and its status checked again like it is for a change of status, and the stays
+    * booked for the trip must still be within its new dates.
+    * @static
+    * @param {integer} requestId - Primary key of the request to be updated.
+    * @param {object} tripreq - The validated trip request details.
+    * @param {object} change - The statuses the request can be edited from and the name
+    * of the change.
+    * @returns {Promise<object>} A promise object with the updated trip request.
+    * @memberof RequestService
+    */
+  static async updateTripRequest(requestId, { legs, ...tripreq }, { from, label } = {}) {
+    return sequelize.transaction(async () => {
+      await RequestService.lockRequest(requestId, from, label);
+      const [, [request]] = await Request.update({
+        returnDate: null, ...tripreq, ...(legs && RequestService.summarizeLegs(legs))
+      }, { returning: true, where: { id: requestId } });
+      await RequestService.verifyTripBookings(request);
+      await TripLeg.destroy({ where: { requestId } });
+      const tripLegs = legs ? await RequestService.createLegs(requestId, legs) : [];
+      return { ...request.dataValues, legs: tripLegs };
+    });
+  }
+
+  /**
+    * Checks that the stays booked for a trip are within its dates, starting on or after
+    * its departureDate and, for trips with a returnDate, ending on or before it.
+    * @static
+    * @param {object} request - The trip request.
+    * @returns {Promise<boolean>} A promise object that resolves as true if every stay is
+    * within the trip or throws an error.
+    * @memberof RequestService
+    */
+  static async verifyTripBookings({ id, departureDate, returnDate }) {
+    const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+    const bookings = await BookingService.findTripBookings(id);
+    const booking = bookings.find(({ checkIn, checkOut }) => checkIn < toDateString(departureDate)
+      || (returnDate && checkOut > toDateString(returnDate)));
+    if (booking) {
+      throw new ApiError(409, `The accommodation booked from ${booking.checkIn} to ${booking.checkOut} is not within the new dates of the trip, modify or cancel booking ${booking.id} first`);
+    }
+    return true;
+  }
+
+  /**
+    * Derives the origin, destination and departureDate of a Multi-leg trip from its legs.
+    * @static
+    * @param {array} legs - The ordered legs of the trip.
+    * @returns {object} The origin, destination, their cities and departureDate of the trip.
+    * @memberof RequestService
+    */
+  static summarizeLegs(legs) {
+    const [firstLeg] = legs;
+    const lastLeg = legs[legs.length - 1];
+    return {
+      origin: firstLeg.origin,
+      originId: firstLeg.originId,
+      destination: lastLeg.destination,
+      destinationId: lastLeg.destinationId,
+      departureDate: firstLeg.departureDate
+    };
+  }
+
+  /**
+    * Adds the legs of a Multi-leg trip to the database, numbered in the order given.
+    * @static
+    * @param {integer} requestId - Primary key of the trip request.
+    * @param {array} legs - The ordered legs of the trip.
+    * @returns {Promise<array>} A promise object with the created legs.
+    * @memberof RequestService
+    */
+  static async createLegs(requestId, legs) {
+    const tripLegs = await TripLeg.bulkCreate(legs.map((leg, index) => ({
+      ...leg, requestId, legNumber: index + 1
+    })));
+    return extractArrayRecords(tripLegs);
   }
 
   /**
@@ -51,4 +234,260 @@ export default class RequestService {
   static async findRequestById(requestId, options = {}) {
     return Request.findByPk(requestId, options);
   }
+
+  /**
+   * Fetches a request with everything needed to display it: the requester, manager,
+   * status, legs, comments, linked accommodation bookings and status history.
+   * @static
+   * @param {integer} requestId - Primary key of the request to be fetched.
+   * @returns {Promise<object>} - A promise object which resolves to the request.
+   * @memberof RequestService
+   */
+  static async getRequestDetails(requestId) {
+    const userAttributes = ['id', 'firstName', 'lastName', 'email'];
+    const request = await Request.findByPk(requestId, {
+      include: [
+        { model: User, as: 'requester', attributes: userAttributes },
+        { model: User, as: 'manager', attributes: userAttributes },
+        { model: Status, as: 'status', attributes: ['label'] },
+        { model: TripLeg, as: 'legs' },
+        { model: AccommodationBooking, as: 'bookings' },
+        {
+          model: Comment,
+          as: 'comments',
+          include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'] }]
+        },
+        {
+          model: RequestStatusHistory,
+          as: 'statusHistory',
+          include: RequestService.statusHistoryIncludes()
+        }
+      ],
+      order: [
+        [{ model: TripLeg, as: 'legs' }, 'legNumber', 'ASC'],
+        [{ model: Comment, as: 'comments' }, 'createdAt', 'ASC'],
+        [{ model: RequestStatusHistory, as: 'statusHistory' }, 'createdAt', 'ASC']
+      ]
+    });
+    if (!request) throw new ApiError(404, `Travel Request of id: ${requestId} doesn't exist`);
+    return request.get({ plain: true });
+  }
+
+  /**
+   * Fetches the status changes of a request in the order they were made.
+   * @static
+   * @param {integer} requestId - Primary key of the request.
+   * @returns {Promise<array>} - A promise object which resolves to the status changes.
+   * @memberof RequestService
+   */
+  static async getStatusHistory(requestId) {
+    const history = await RequestStatusHistory.findAll({
+      where: { requestId },
+      include: RequestService.statusHistoryIncludes(),
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+    return history.map((change) => change.get({ plain: true }));
+  }
+
+  /**
+   * Fetches the status changes of all the requests made by the staff of a company,
+   * flattened into one record per change for reporting.
+   * @static
+   * @param {integer} companyId - Primary key of the company.
+   * @returns {Promise<array>} - A promise object which resolves to the status changes.
+   * @memberof RequestService
+   */
+  static async getCompanyStatusHistory(companyId) {
+    const history = await RequestStatusHistory.findAll({
+      include: [
+        ...RequestService.statusHistoryIncludes(),
+        {
+          model: Request,
+          as: 'request',
+          attributes: ['id', 'origin', 'destination', 'departureDate'],
+          required: true,
+          include: [{
+            model: User,
+            as: 'requester',
+            attributes: ['id', 'firstName', 'lastName'],
+            where: { companyId }
+          }]
+        }
+      ],
+      order: [['requestId', 'ASC'], ['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+    return history.map(({
+      requestId, request, previousStatus, status, actor, reason, createdAt
+    }) => ({
+      requestId,
+      requester: `${request.requester.firstName} ${request.requester.lastName}`,
+      origin: request.origin,
+      destination: request.destination,
+      departureDate: request.departureDate,
+      previousStatus: previousStatus && previousStatus.label,
+      newStatus: status.label,
+      changedBy: actor && `${actor.firstName} ${actor.lastName}`,
+      changedById: actor && actor.id,
+      reason,
+      changedAt: createdAt
+    }));
+  }
+
+  /**
+   * Aggregates the trip requests made by the staff of a company, optionally within a
+   * window of departure dates. Rejected and cancelled requests are not counted as trips
+   * but are used for the approval rate, which is the share of decided requests that
+   * were approved.
+   * @static
+   * @param {integer} companyId - Primary key of the company.
+   * @param {object} window - The window of departure dates.
+   * @param {Date} window.from - The earliest departure date.
+   * @param {Date} window.to - The latest departure date.
+   * @returns {Promise<object>} - A promise object which resolves to the analytics.
+   * @memberof RequestService
+   */
+  static async getCompanyAnalytics(companyId, { from, to }) {
+    const { where } = RequestService.buildRequestQuery({ from, to });
+    const staff = {
+      model: User, as: 'requester', attributes: [], where: { companyId }
+    };
+    const { rejected, cancelled } = RequestStatus;
+    const trips = {
+      where: { ...where, statusId: { [Op.notIn]: [rejected, cancelled] } },
+      include: [staff],
+      raw: true
+    };
+    const tripCount = [sequelize.fn('COUNT', sequelize.col('Request.id')), 'trips'];
+    const [
+      perDestination, perDepartment, topTravelers, perStatus, [{ leadTime }]
+    ] = await Promise.all([
+      Request.findAll({
+        ...trips,
+        attributes: ['destination', tripCount],
+        group: ['destination'],
+        order: [[sequelize.literal('trips'), 'DESC'], ['destination', 'ASC']]
+      }),
+      Request.findAll({
+        ...trips,
+        attributes: [[sequelize.col('requester.department'), 'department'], tripCount],
+        group: ['requester.department'],
+        order: [[sequelize.literal('trips'), 'DESC']]
+      }),
+      Request.findAll({
+        ...trips,
+        include: [{ ...staff, attributes: ['id', 'firstName', 'lastName'] }],
+        attributes: [tripCount],
+        group: ['requester.id'],
+        order: [[sequelize.literal('trips'), 'DESC'], [sequelize.col('requester.id'), 'ASC']],
+        limit: 5
+      }),
+      Request.findAll({
+        where,
+        include: [staff],
+        attributes: ['statusId', tripCount],
+        group: ['statusId'],
+        raw: true
+      }),
+      Request.findAll({
+        ...trips,
+        attributes: [[sequelize.literal('AVG(EXTRACT(EPOCH FROM ("Request"."departureDate" - "Request"."createdAt")) / 86400)'), 'leadTime']]
+      })
+    ]);
+    const countOf = (statusId) => {
+      const row = perStatus.find((status) => status.statusId === statusId);
+      return row ? Number(row.trips) : 0;
+    };
+    const approved = countOf(RequestStatus.approved);
+    const decided = approved + countOf(RequestStatus.rejected);
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      from: from || null,
+      to: to || null,
+      totalTrips: perDestination.reduce((total, row) => total + Number(row.trips), 0),
+      tripsPerDestination: perDestination.map(({ destination, trips: count }) => ({
+        destination, trips: Number(count)
+      })),
+      tripsPerDepartment: perDepartment.map(({ department, trips: count }) => ({
+        department: department || 'Unassigned', trips: Number(count)
+      })),
+      approvalRate: decided ? round((approved / decided) * 100) : null,
+      averageLeadTimeDays: leadTime === null ? null : round(Number(leadTime)),
+      topTravelers: topTravelers.map((row) => ({
+        userId: row['requester.id'],
+        name: `${row['requester.firstName']} ${row['requester.lastName']}`,
+        trips: Number(row.trips)
+      }))
+    };
+  }
+
+  /**
+   * The associations included with a status change: the previous and new status
+   * labels and the user who made the change.
+   * @static
+   * @returns {array} - The include options.
+   * @memberof RequestService
+   */
+  static statusHistoryIncludes() {
+    return [
+      { model: Status, as: 'previousStatus', attributes: ['label'] },
+      { model: Status, as: 'status', attributes: ['label'] },
+      { model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName'] }
+    ];
+  }
+
+  /**
+   * Moves a request to a new status, logging the change in the request's status
+   * history and recording the reason (if any) as a comment on the request by the
+   * user who made the change. The request is locked and its status checked again so
+   * that concurrent changes cannot both move it on from the same status. The reserved
+   * and confirmed bookings of a request that is rejected or cancelled are cancelled
+   * with it, while a reopened request keeps its bookings until it is decided again.
+   * @static
+   * @param {integer} requestId - Primary key of the request to be updated.
+   * @param {integer} statusId - Primary key of the new status.
+   * @param {object} options - Details of the change.
+   * @param {integer} options.userId - Id of the user making the change.
+   * @param {string} options.reason - Reason for the change.
+   * @param {array} options.from - Ids of the statuses the request can be changed from.
+   * @param {string} options.label - Name of the change, used if it is not allowed.
+   * @returns {Promise<object>} - A promise object which resolves to the updated request
+   * with the ids of the bookings cancelled.
+   * @memberof RequestService
+   */
+  static async updateStatus(requestId, statusId, {
+    userId, reason, from, label
+  }) {
+    return sequelize.transaction(async () => {
+      const request = await RequestService.lockRequest(requestId, from, label);
+      const { statusId: previousStatusId } = request;
+      await request.update({ statusId });
+      await RequestStatusHistory.create({
+        requestId, previousStatusId, statusId, userId, reason
+      });
+      if (reason) await Comment.create({ message: reason, requestId, userId });
+      const cancelledBookings = [RequestStatus.rejected, RequestStatus.cancelled].includes(statusId)
+        ? await BookingService.cancelTripBookings(requestId) : [];
+      return { ...request.dataValues, cancelledBookings };
+    });
+  }
+
+  /**
+   * Locks a request until the surrounding transaction ends and checks that its status
+   * allows a change.
+   * @static
+   * @param {integer} requestId - Primary key of the request.
+   * @param {array} from - Ids of the statuses the request can be changed from, if limited.
+   * @param {string} label - Name of the change, used if it is not allowed.
+   * @returns {Promise<object>} - A promise object which resolves to the request.
+   * @memberof RequestService
+   */
+  static async lockRequest(requestId, from, label) {
+    const request = await Request.findByPk(requestId, { lock: true });
+    if (!request) throw new ApiError(404, 'Request not found');
+    if (from && !from.includes(request.statusId)) {
+      const status = await Status.findByPk(request.statusId);
+      throw new ApiError(409, `This request cannot be ${label} while it is ${status.label.toLowerCase()}`);
+    }
+    return request;
+  }
 }
@@ -0,0 +1,118 @@
+import db from '../models';
+
+const { Review, sequelize } = db;
+
+/**
+ * A collection of methods that handles the database interactions
+ * for managing the reviews of facilities.
+ *
+ * @class ReviewService
+ */
+export default class ReviewService {
+  /**
+   * Fetches a review based on it's primary key.
+   * @static
+   * @param {number} reviewId - Primary key of the review to be fetched.
+   * @param {object} options - Additional query information
+   * @returns {Promise<object>} A promise object with the review.
+   * @memberof ReviewService
+   */
+  static async findReviewById(reviewId, options = {}) {
+    return Review.findByPk(reviewId, options);
+  }
+
+  /**
+   * Find a review
+   * @static
+   * @param {object} options - review search value
+   * @returns {Promise<object>} A promise object with the review.
+   * @memberof ReviewService
+   */
+  static async findReview(options) {
+    return Review.findOne({ where: options });
+  }
+
+  /**
+   * Creates a review of a facility.
+   * @static
+   * @param {object} review - The review with its userId, facilityId, bookingId, rating
+   * and comment.
+   * @returns {Promise<object>} A promise object with the review.
+   * @memberof ReviewService
+   */
+  static async createReview(review) {
+    const { dataValues: newReview } = await Review.create(review);
+    return newReview;
+  }
+
+  /**
+   * Adds the reply of a facility to a review.
+   * @static
+   * @param {number} reviewId - The id of the review.
+   * @param {string} reply - The reply to the review.
+   * @returns {Promise<object>} A promise object with the updated review.
+   * @memberof ReviewService
+   */
+  static async replyToReview(reviewId, reply) {
+    const [, [review]] = await Review.update({ reply },
+      { returning: true, where: { id: reviewId } });
+    return review;
+  }
+
+  /**
+   * Fetches a page of the reviews of a facility, the latest first, along with the
+   * names of the reviewers.
+   * @static
+   * @param {number} facilityId - The id of the facility.
+   * @param {object} query - The pagination details.
+   * @param {number} query.page - The page of reviews to fetch.
+   * @param {number} query.limit - The number of reviews on a page.
+   * @returns {Promise<object>} A promise object with the total number of reviews and
+   * the reviews on the page.
+   * @memberof ReviewService
+   */
+  static async getReviews(facilityId, { page, limit }) {
+    const { count, rows } = await Review.findAndCountAll({
+      where: { facilityId },
+      include: [{ association: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      offset: (page - 1) * limit,
+      limit
+    });
+    return {
+      total: count, page, limit, reviews: rows
+    };
+  }
+
+  /**
+   * Works out the average rating and the number of reviews of facilities. The
+   * average rating is rounded to one decimal place and is null for a facility
+   * without reviews.
+   * @static
+   * @param {array} facilityIds - The ids of the facilities.
+   * @returns {Promise<object>} A promise object with the averageRating and
+   * reviewCount of each facility keyed by facility id.
+   * @memberof ReviewService
+   */
+  static async getRatings(facilityIds) {
+    const ratings = facilityIds.length ? await Review.findAll({
+      attributes: [
+        'facilityId',
+        [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'reviewCount']
+      ],
+      where: { facilityId: facilityIds },
+      group: ['facilityId'],
+      raw: true
+    }) : [];
+    const noRating = facilityIds
+      .reduce((all, id) => ({ ...all, [id]: { averageRating: null, reviewCount: 0 } }), {});
+    return ratings.reduce((all, { facilityId, averageRating, reviewCount }) => ({
+      ...all,
+      [facilityId]: {
+        averageRating: Math.round(Number(averageRating) * 10) / 10,
+        reviewCount: Number(reviewCount)
+      }
+    }), noRating);
+  }
+}
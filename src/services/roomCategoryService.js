@@ -0,0 +1,211 @@
+import db from '../models';
+import { ApiError, Helpers } from '../utils';
+
+const {
+  RoomCategory, Room, sequelize, Sequelize
+} = db;
+const { Op } = Sequelize;
+const { escapeLike } = Helpers;
+const othersLabel = 'Others';
+
+/**
+ * A collection of methods that handles the database interactions for the
+ * categories of rooms facilities offer. The 'Others' category is picked by users
+ * adding a category that is not listed, so it cannot be renamed, deleted or merged
+ * with the listed categories.
+ *
+ * @class RoomCategoryService
+ */
+export default class RoomCategoryService {
+  /**
+   * Fetches all the room categories.
+   * @static
+   * @returns {Promise<array>} A promise object with the room categories ordered by
+   * label.
+   * @memberof RoomCategoryService
+   */
+  static async getRoomCategories() {
+    return RoomCategory.findAll({
+      attributes: ['id', 'label', 'description'],
+      order: [['label', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Fetches a room category.
+   * @static
+   * @param {number} roomCategoryId - The id of the room category.
+   * @returns {Promise<object>} A promise object with the room category.
+   * @memberof RoomCategoryService
+   */
+  static async getRoomCategory(roomCategoryId) {
+    const roomCategory = await RoomCategory.findByPk(roomCategoryId);
+    if (!roomCategory) throw new ApiError(404, `Room category with id: ${roomCategoryId} does not exist`);
+    return roomCategory;
+  }
+
+  /**
+   * Checks that the rooms of a facility being created are in room categories that
+   * exist and that a new category is entered for the rooms in the 'Others' category.
+   * @static
+   * @param {array} rooms - The rooms of the facility.
+   * @returns {Promise<boolean>} A promise object with true if the room categories are
+   * valid.
+   * @memberof RoomCategoryService
+   */
+  static async verifyRoomCategories(rooms) {
+    const categoryIds = rooms.map(({ roomCategoryId }) => roomCategoryId);
+    const categories = await RoomCategory.findAll({ where: { id: categoryIds } });
+    rooms.forEach(({ roomCategoryId, newCategory }) => {
+      const roomCategory = categories.find(({ id }) => id === Number(roomCategoryId));
+      if (!roomCategory) throw new ApiError(404, `Room category with id: ${roomCategoryId} does not exist`);
+      if (RoomCategoryService.isOthers(roomCategory) && !newCategory) {
+        throw new ApiError(400, 'Please enter a newCategory for the rooms in the Others category');
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Checks if a room category is the 'Others' category.
+   * @static
+   * @param {object} roomCategory - The room category.
+   * @returns {boolean} True if it is the 'Others' category.
+   * @memberof RoomCategoryService
+   */
+  static isOthers({ label }) {
+    return label === othersLabel;
+  }
+
+  /**
+   * Fetches the oldest room category with a label, ignoring its case.
+   * @static
+   * @param {string} label - The label.
+   * @param {number} roomCategoryId - The id of a room category to leave out, if any.
+   * @returns {Promise<object>} A promise object with the room category or null if
+   * there is none.
+   * @memberof RoomCategoryService
+   */
+  static async findByLabel(label, roomCategoryId) {
+    return RoomCategory.findOne({
+      where: {
+        label: { [Op.iLike]: escapeLike(label) },
+        ...(roomCategoryId && { id: { [Op.ne]: roomCategoryId } })
+      },
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Checks that no other room category has a label, ignoring its case.
+   * @static
+   * @param {string} label - The label.
+   * @param {number} roomCategoryId - The id of the room category being given the
+   * label, if any.
+   * @returns {Promise<boolean>} A promise object with true if the label is not taken.
+   * @memberof RoomCategoryService
+   */
+  static async verifyLabel(label, roomCategoryId) {
+    const roomCategory = await RoomCategoryService.findByLabel(label, roomCategoryId);
+    if (roomCategory) {
+      throw new ApiError(409, `A room category with the label: ${roomCategory.label} already exists`);
+    }
+    return true;
+  }
+
+  /**
+   * Adds a room category.
+   * @static
+   * @param {object} details - The label and description of the room category.
+   * @returns {Promise<object>} A promise object with the room category.
+   * @memberof RoomCategoryService
+   */
+  static async addRoomCategory({ label, description }) {
+    await RoomCategoryService.verifyLabel(label);
+    return RoomCategory.create({ label, description });
+  }
+
+  /**
+   * Finds the room category with the label a user entered after picking 'Others',
+   * adding the category if it does not exist yet so that it is not duplicated.
+   * @static
+   * @param {string} label - The label entered.
+   * @returns {Promise<object>} A promise object with the room category.
+   * @memberof RoomCategoryService
+   */
+  static async findOrAddRoomCategory(label) {
+    const roomCategory = await RoomCategoryService.findByLabel(label.trim());
+    return roomCategory || RoomCategory.create({ label: label.trim(), description: ' ' });
+  }
+
+  /**
+   * Changes the label and/or description of a room category.
+   * @static
+   * @param {number} roomCategoryId - The id of the room category.
+   * @param {object} details - The new label and/or description.
+   * @returns {Promise<object>} A promise object with the updated room category.
+   * @memberof RoomCategoryService
+   */
+  static async updateRoomCategory(roomCategoryId, details) {
+    const roomCategory = await RoomCategoryService.getRoomCategory(roomCategoryId);
+    const { label } = details;
+    if (label && label !== roomCategory.label) {
+      if (RoomCategoryService.isOthers(roomCategory)) {
+        throw new ApiError(400, 'The Others category cannot be renamed');
+      }
+      await RoomCategoryService.verifyLabel(label, roomCategoryId);
+    }
+    return roomCategory.update(details);
+  }
+
+  /**
+   * Deletes a room category that no room is in. A room category with rooms has to be
+   * merged into another category instead, as deleting it would delete its rooms.
+   * @static
+   * @param {number} roomCategoryId - The id of the room category.
+   * @returns {Promise<object>} A promise object with the deleted room category.
+   * @memberof RoomCategoryService
+   */
+  static async deleteRoomCategory(roomCategoryId) {
+    const roomCategory = await RoomCategoryService.getRoomCategory(roomCategoryId);
+    if (RoomCategoryService.isOthers(roomCategory)) {
+      throw new ApiError(400, 'The Others category cannot be deleted');
+    }
+    const rooms = await Room.count({ where: { roomCategoryId } });
+    if (rooms) {
+      throw new ApiError(409, `This room category has ${rooms} room(s), merge it into another category instead`);
+    }
+    await roomCategory.destroy();
+    return roomCategory;
+  }
+
+  /**
+   * Merges room categories into another, moving their rooms to it and deleting them.
+   * @static
+   * @param {number} roomCategoryId - The id of the room category kept.
+   * @param {array} categoryIds - The ids of the room categories merged into it.
+   * @returns {Promise<object>} A promise object with the room category kept and the
+   * number of rooms moved to it.
+   * @memberof RoomCategoryService
+   */
+  static async mergeRoomCategories(roomCategoryId, categoryIds) {
+    if (categoryIds.includes(roomCategoryId)) {
+      throw new ApiError(400, 'A room category cannot be merged into itself');
+    }
+    const roomCategory = await RoomCategoryService.getRoomCategory(roomCategoryId);
+    const categories = await RoomCategory.findAll({ where: { id: categoryIds } });
+    const missingId = categoryIds.find((id) => !categories.some((category) => category.id === id));
+    if (missingId) throw new ApiError(404, `Room category with id: ${missingId} does not exist`);
+    const isOthers = RoomCategoryService.isOthers(roomCategory);
+    if (categories.some((category) => RoomCategoryService.isOthers(category) !== isOthers)) {
+      throw new ApiError(400, 'The Others category can only be merged with another Others category');
+    }
+    const roomsMoved = await sequelize.transaction(async () => {
+      const [count] = await Room.update({ roomCategoryId },
+        { where: { roomCategoryId: categoryIds } });
+      await RoomCategory.destroy({ where: { id: categoryIds } });
+      return count;
+    });
+    return { ...roomCategory.toJSON(), roomsMoved };
+  }
+}
@@ -8,12 +8,18 @@ const { Room } = db;
  */
 export default class RoomService {
   /**
-   * Find a room
+   * Find a room of a facility that has not been deleted, along with the company
+   * type and owner of the facility
    * @param {number | object | string} options - room search value
    * @returns {Promise<object>} A promise object with room detail.
    * @memberof RoomService
    */
   static async findRoom(options) {
-    return Room.findOne({ where: options });
+    return Room.findOne({
+      where: options,
+      include: [{
+        association: 'facility', attributes: ['id', 'companyType', 'companyId'], required: true
+      }]
+    });
   }
 }
@@ -48,6 +48,23 @@ export default class UserService {
     return User.findOne({ where: options });
   }
 
+  /**
+   * Finds the users that have any of the given roles
+   *
+   * @param {object} options - An object containing query options e.g {supplierId}
+   * @param {array} roleIds - The ids of the roles
+   * @returns {Promise<array>} A promise object with the details of the users.
+   */
+  static async findByRoles(options, roleIds) {
+    return User.findAll({
+      where: options,
+      attributes: ['id', 'firstName', 'lastName', 'email'],
+      include: [{
+        association: 'roles', where: { id: roleIds }, attributes: [], through: { attributes: [] }
+      }]
+    });
+  }
+
   /**
    * Update user password in the database
    *
@@ -0,0 +1,148 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import faker from 'faker';
+import sinon from 'sinon';
+import server from '..';
+import db from '../models';
+import { AuthController } from '../controllers';
+import { newCompanyUser } from './dummies';
+
+chai.use(chaiHttp);
+
+describe('Amenity route endpoints', () => {
+  let adminToken;
+  let userToken;
+  let amenity;
+  before(async () => {
+    const res = {
+      cookie() { return this; },
+      status() { return this; },
+      json(obj) { return obj; }
+    };
+    const { data: { admin, signupToken } } = await AuthController.companySignUp({
+      body: {
+        firstName: 'Tunde',
+        lastName: 'Alao',
+        email: faker.internet.email(),
+        password: 'Elijah38490',
+        companyName: faker.company.companyName(),
+        companyAddress: '12, Allen Avenue',
+        companySizeId: 1,
+        companyPlanId: 1
+      }
+    }, res);
+    adminToken = admin.token;
+    const { data: user } = await AuthController.userSignup({
+      body: {
+        ...newCompanyUser, email: faker.internet.email(), signupToken, roleId: 5
+      }
+    }, res);
+    userToken = user.token;
+  });
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('GET /api/amenities', () => {
+    it('should get all the amenities ordered by label', async () => {
+      const response = await chai.request(server).get('/api/amenities');
+      expect(response).to.have.status(200);
+      const labels = response.body.data.map(({ label }) => label);
+      expect(labels).to.include.members(['Gym', 'Laundry', 'Swimming Pool']);
+      expect(labels).to.eql([...labels].sort());
+    });
+    it('should return a 500 error response if something goes wrong while getting the amenities', async () => {
+      sinon.stub(db.Amenity, 'findAll').rejects(new Error('Connection lost'));
+      const response = await chai.request(server).get('/api/amenities');
+      expect(response).to.have.status(500);
+    });
+  });
+
+  describe('POST /api/amenities', () => {
+    it('should prevent a user who is not an admin from adding an amenity', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/amenities')
+        .send({ label: 'Helipad' })
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(403);
+    });
+    it('should return a validation error if the label is missing', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/amenities')
+        .send({ label: ' ' })
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please enter a label for the amenity between 2 and 50 characters long');
+    });
+    it('should add an amenity', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/amenities')
+        .send({ label: ' Helipad ' })
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(201);
+      ({ data: amenity } = response.body);
+      expect(amenity.label).to.eql('Helipad');
+    });
+    it('should not add an amenity whose label is already taken', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/amenities')
+        .send({ label: 'HELIPAD' })
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.eql('An amenity with the label: Helipad already exists');
+    });
+  });
+
+  describe('PATCH /api/amenities/:amenityId', () => {
+    it('should change the label of an amenity', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/amenities/${amenity.id}`)
+        .send({ label: 'Rooftop Helipad' })
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: amenity.id, label: 'Rooftop Helipad' });
+    });
+    it('should not give an amenity the label of another amenity', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/amenities/${amenity.id}`)
+        .send({ label: 'laundry' })
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.eql('An amenity with the label: Laundry already exists');
+    });
+    it('should return a 404 error if the amenity does not exist', async () => {
+      const responses = await Promise.all(['99999', 'gym'].map((id) => chai
+        .request(server)
+        .patch(`/api/amenities/${id}`)
+        .send({ label: 'Cinema' })
+        .set('Cookie', `token=${adminToken}`)));
+      responses.forEach((response) => expect(response).to.have.status(404));
+      expect(responses[0].body.error.message).to.eql('Amenity with id: 99999 does not exist');
+    });
+  });
+
+  describe('DELETE /api/amenities/:amenityId', () => {
+    it('should delete an amenity', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`/api/amenities/${amenity.id}`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(await db.Amenity.findByPk(amenity.id)).to.eql(null);
+    });
+    it('should return a 404 error if the amenity does not exist', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`/api/amenities/${amenity.id}`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(404);
+    });
+  });
+});
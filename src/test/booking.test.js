@@ -4,17 +4,32 @@ import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import faker from 'faker';
 import server from '../index';
+import db from '../models';
 import { BookingController, AuthController } from '../controllers';
-import { newSupplier, newFacility } from './dummies';
+import { newSupplier, newFacility, newCompanyUser } from './dummies';
 
 chai.use(chaiHttp);
 chai.use(sinonChai);
 
-const { supplierSignup } = AuthController;
+const { supplierSignup, companySignUp, userSignup } = AuthController;
 
 describe('Booking Test', () => {
   let roomId;
+  let smallRoomId;
   let adminToken;
+  let supplierAdminId;
+  let travelerToken;
+  let travelerId;
+  let requestId;
+  let pendingRequestId;
+  const trip = {
+    tripType: 'Round-Trip',
+    origin: 'Lagos',
+    destination: 'Abuja',
+    departureDate: '2030-12-01',
+    returnDate: '2031-06-30',
+    purpose: 'Quarterly review'
+  };
   before(async () => {
     const supplierData = { ...newSupplier, email: faker.internet.email() };
     const supReq = {
@@ -29,6 +44,7 @@ describe('Booking Test', () => {
 
     const supplierResponse = await supplierSignup(supReq, res);
     adminToken = supplierResponse.data.user.token;
+    supplierAdminId = supplierResponse.data.user.id;
 
     const roomResponse = await chai
       .request(server)
@@ -36,6 +52,30 @@ describe('Booking Test', () => {
       .set('Authorization', `Bearer ${adminToken}`)
       .send(newFacility);
     roomId = roomResponse.body.data.rooms[0].id;
+    smallRoomId = roomResponse.body.data.rooms[1].id;
+
+    const { data: { admin, signupToken } } = await companySignUp({
+      body: {
+        firstName: 'Tolu',
+        lastName: 'Ade',
+        email: faker.internet.email(),
+        password: 'Elijah38490',
+        companyName: faker.company.companyName(),
+        companyAddress: '12, Allen Avenue',
+        companySizeId: 1,
+        companyPlanId: 1
+      }
+    }, res);
+    const { data: { id: managerId } } = await userSignup({
+      body: {
+        ...newCompanyUser, email: faker.internet.email(), signupToken, roleId: 4
+      }
+    }, res);
+    travelerToken = admin.token;
+    travelerId = admin.id;
+    const requestDetails = { ...trip, requesterId: travelerId, managerId };
+    ({ id: requestId } = await db.Request.create({ ...requestDetails, statusId: 1 }));
+    ({ id: pendingRequestId } = await db.Request.create(requestDetails));
   });
 
   afterEach(() => sinon.restore());
@@ -44,24 +84,158 @@ describe('Booking Test', () => {
       const booking = {
         checkIn: '2030-12-20',
         checkOut: '2030-12-30',
-        userId: 1,
+        requestId,
         roomId
       };
 
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(201);
       expect(response.body.data).to.include({
         checkIn: '2030-12-20',
         checkOut: '2030-12-30',
-        userId: 1
+        userId: travelerId,
+        requestId
+      });
+      expect(response.body.data.price).to.eql({
+        nights: 10,
+        roomCost: 5000,
+        addOnsCost: 0,
+        totalCost: 50000,
+        currency: 'Naira',
+        exchangeRate: 1
       });
     });
 
-    it('should fail validation if userId is not provided', async () => {
+    it('should add the cost of the add-ons chosen to the price of a booking', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-22', requestId, roomId, addOns: ['wifi', 'coffee shop']
+        });
+      expect(response).to.have.status(201);
+      expect(response.body.data.addOns).to.eql(['wifi', 'coffee shop']);
+      expect(response.body.data.price).to.include({ addOnsCost: 2500, totalCost: 12500 });
+    });
+
+    it('should not book an add-on the facility does not offer', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-22', requestId, roomId, addOns: ['spa']
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('spa is not an add-on of Sheraton Hotels');
+    });
+
+    it('should show the price of a booking in the preferred currency of the user', async () => {
+      await chai
+        .request(server)
+        .put('/api/exchange-rates/Dollar')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ rate: 400 });
+      await db.User.update({ preferredCurrency: 'dollar' }, { where: { id: travelerId } });
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-22', requestId, roomId
+        });
+      await db.User.update({ preferredCurrency: 'Naira' }, { where: { id: travelerId } });
+      expect(response).to.have.status(201);
+      expect(response.body.data.totalCost).to.equal('10000.00');
+      expect(response.body.data.price).to.eql({
+        nights: 2,
+        roomCost: 12.5,
+        addOnsCost: 0,
+        totalCost: 25,
+        currency: 'Dollar',
+        exchangeRate: 400
+      });
+    });
+
+    it('should not book accommodation for a trip request that does not exist', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-30', requestId: 9999, roomId
+        });
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Travel Request of id: 9999 doesn\'t exist');
+    });
+
+    it('should not book accommodation for the trip request of another user', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-30', requestId, roomId
+        });
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You can only book accommodation for your own trip requests');
+    });
+
+    it('should not book accommodation for a trip request that is not approved', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-30', requestId: pendingRequestId, roomId
+        });
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.equal('Accommodation can only be booked for an approved trip request');
+    });
+
+    it('should not book accommodation for another user', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-12-20', checkOut: '2030-12-30', requestId, roomId, userId: 1
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('"userId" is not allowed');
+    });
+
+    it('should not book a stay that starts before the departure date of the trip', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2030-11-30', checkOut: '2030-12-03', requestId, roomId
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkIn must not be before the departure date of the trip, 2030-12-01');
+    });
+
+    it('should not book a stay that ends after the return date of the trip', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${travelerToken}`)
+        .send({
+          checkIn: '2031-06-28', checkOut: '2031-07-01', requestId, roomId
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkOut must not be after the return date of the trip, 2031-06-30');
+    });
+
+    it('should fail validation if requestId is not provided', async () => {
       const booking = {
         checkIn: '2030-12-20',
         checkOut: '2030-12-30'
@@ -70,16 +244,16 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
-      expect(response.body.error.message).to.equal('userId is required!');
+      expect(response.body.error.message).to.equal('requestId is required!');
     });
 
-    it('should fail validation if userId is empty', async () => {
+    it('should fail validation if requestId is empty', async () => {
       const booking = {
-        userId: '',
+        requestId: '',
         roomId: 2,
         checkIn: '2030-12-20',
         checkOut: '2030-12-30'
@@ -88,16 +262,16 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
-      expect(response.body.error.message).to.equal('userId should not be empty');
+      expect(response.body.error.message).to.equal('requestId should not be empty');
     });
 
-    it('should fail validation if userId is negative', async () => {
+    it('should fail validation if requestId is negative', async () => {
       const booking = {
-        userId: -1,
+        requestId: -1,
         checkIn: '2030-12-20',
         checkOut: '2030-12-30'
       };
@@ -105,16 +279,16 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
-      expect(response.body.error.message).to.equal('userId must be a positive number');
+      expect(response.body.error.message).to.equal('requestId must be a positive number');
     });
 
     it('should fail validation if roomId is not provided', async () => {
       const booking = {
-        userId: 1,
+        requestId,
         checkIn: '2030-12-20',
         checkOut: '2030-12-30'
       };
@@ -122,7 +296,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -131,7 +305,7 @@ describe('Booking Test', () => {
 
     it('should fail validation if roomId is empty', async () => {
       const booking = {
-        userId: 1,
+        requestId,
         roomId: '',
         checkIn: '2030-12-20',
         checkOut: '2030-12-30'
@@ -140,7 +314,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -149,7 +323,7 @@ describe('Booking Test', () => {
 
     it('should fail validation if roomId is negative', async () => {
       const booking = {
-        userId: 1,
+        requestId,
         roomId: -1,
         checkIn: '2030-12-20',
         checkOut: '2030-12-30'
@@ -158,7 +332,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -174,7 +348,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -191,7 +365,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -208,7 +382,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -225,7 +399,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -241,7 +415,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -258,11 +432,11 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
-      expect(response.body.error.message).to.equal('checkOut must be larger than or equal to checkIn');
+      expect(response.body.error.message).to.equal('checkOut must be after checkIn');
     });
 
     it('should fail validation if wrong checkOut format is provided', async () => {
@@ -275,7 +449,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -292,7 +466,7 @@ describe('Booking Test', () => {
       const response = await chai
         .request(server)
         .post('/api/booking/accommodation')
-        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Authorization', `Bearer ${travelerToken}`)
         .send(booking);
       expect(response).to.have.status(400);
       expect(response.body.error).to.be.a('object');
@@ -300,6 +474,304 @@ describe('Booking Test', () => {
     });
   });
 
+  describe('Room availability', () => {
+    const book = (booking) => chai
+      .request(server)
+      .post('/api/booking/accommodation')
+      .set('Authorization', `Bearer ${travelerToken}`)
+      .send({ requestId, roomId: smallRoomId, ...booking });
+
+    it('should book rooms until all the rooms are taken for the dates', async () => {
+      const first = await book({ checkIn: '2031-02-01', checkOut: '2031-02-05' });
+      const second = await book({ checkIn: '2031-02-04', checkOut: '2031-02-08' });
+      const third = await book({ checkIn: '2031-02-04', checkOut: '2031-02-05' });
+      expect(first).to.have.status(201);
+      expect(second).to.have.status(201);
+      expect(third).to.have.status(409);
+      expect(third.body.error.message).to.equal(`All rooms with id: ${smallRoomId} are booked from 2031-02-04 to 2031-02-05`);
+    });
+    it('should book a room from the day an overlapping booking checks out', async () => {
+      const response = await book({ checkIn: '2031-02-05', checkOut: '2031-02-07' });
+      expect(response).to.have.status(201);
+    });
+    it('should not let concurrent bookings take the same last room', async () => {
+      await book({ checkIn: '2031-03-01', checkOut: '2031-03-03' });
+      const responses = await Promise.all([
+        book({ checkIn: '2031-03-02', checkOut: '2031-03-04' }),
+        book({ checkIn: '2031-03-02', checkOut: '2031-03-04' })
+      ]);
+      expect(responses.map(({ status }) => status).sort()).to.eql([201, 409]);
+    });
+    it('should not count the room of a guest who has checked out as taken', async () => {
+      await book({ checkIn: '2031-03-10', checkOut: '2031-03-12' });
+      const { body: { data: { id } } } = await book({ checkIn: '2031-03-10', checkOut: '2031-03-12' });
+      await db.AccommodationBooking.update({ status: 'checked-out' }, { where: { id } });
+      const response = await book({ checkIn: '2031-03-11', checkOut: '2031-03-12' });
+      expect(response).to.have.status(201);
+    });
+  });
+
+  describe('Booking changes', () => {
+    let bookingId;
+    const countNotifications = () => db.Notification.count({ where: { userId: supplierAdminId } });
+    const book = (booking) => chai
+      .request(server)
+      .post('/api/booking/accommodation')
+      .set('Authorization', `Bearer ${travelerToken}`)
+      .send({ requestId, roomId: smallRoomId, ...booking });
+    const modify = (id, dates, token = travelerToken) => chai
+      .request(server)
+      .patch(`/api/booking/accommodation/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(dates);
+    const cancel = (id, token = travelerToken) => chai
+      .request(server)
+      .delete(`/api/booking/accommodation/${id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    before(async () => {
+      await book({ checkIn: '2031-04-01', checkOut: '2031-04-03' });
+      const response = await book({ checkIn: '2031-04-01', checkOut: '2031-04-03' });
+      bookingId = response.body.data.id;
+    });
+
+    it('should reserve a new booking and notify the supplier admins of the facility', async () => {
+      const notifications = await countNotifications();
+      const response = await book({ checkIn: '2031-05-01', checkOut: '2031-05-03' });
+      expect(response).to.have.status(201);
+      expect(response.body.data.status).to.equal('reserved');
+      expect(await countNotifications()).to.equal(notifications + 1);
+    });
+    it('should not book a stay that checks out on the day it checks in', async () => {
+      const response = await book({ checkIn: '2031-05-01', checkOut: '2031-05-01' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkOut must be after checkIn');
+    });
+    it('should not modify a booking to check out on the day it checks in', async () => {
+      const response = await modify(bookingId, { checkOut: '2031-04-01' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkOut must be after checkIn');
+    });
+    it('should not modify a booking that does not exist', async () => {
+      const response = await modify(9999, { checkOut: '2031-04-04' });
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Booking with id: 9999 does not exist');
+    });
+    it('should not let a user modify the booking of another user', async () => {
+      const response = await modify(bookingId, { checkOut: '2031-04-04' }, adminToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to modify this booking');
+    });
+    it('should fail validation if no new dates are provided', async () => {
+      const response = await modify(bookingId, {});
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkIn or checkOut is required!');
+    });
+    it('should fail validation if the new checkOut is before the current checkIn', async () => {
+      const response = await modify(bookingId, { checkOut: '2031-03-30' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkOut must be after checkIn');
+    });
+    it('should modify a booking without counting the booking itself as taken', async () => {
+      const notifications = await countNotifications();
+      const response = await modify(bookingId, { checkIn: '2031-04-02', checkOut: '2031-04-05' });
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({
+        checkIn: '2031-04-02', checkOut: '2031-04-05', status: 'reserved'
+      });
+      expect(response.body.data.price).to.include({ nights: 3, totalCost: 45000 });
+      expect(await countNotifications()).to.equal(notifications + 1);
+    });
+    it('should not modify a booking to dates outside its trip', async () => {
+      const response = await modify(bookingId, { checkOut: '2031-07-02' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('checkOut must not be after the return date of the trip, 2031-06-30');
+    });
+    it('should not modify a booking to dates when all the rooms are booked', async () => {
+      const response = await modify(bookingId, { checkIn: '2031-02-04', checkOut: '2031-02-05' });
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal(`All rooms with id: ${smallRoomId} are booked from 2031-02-04 to 2031-02-05`);
+    });
+    it('should not let a user cancel the booking of another user', async () => {
+      const response = await cancel(bookingId, adminToken);
+      expect(response).to.have.status(403);
+    });
+    it('should cancel a booking and notify the supplier admins of the facility', async () => {
+      const notifications = await countNotifications();
+      const response = await cancel(bookingId);
+      expect(response).to.have.status(200);
+      expect(response.body.data.status).to.equal('cancelled');
+      expect(await countNotifications()).to.equal(notifications + 1);
+    });
+    it('should not change a booking that has been cancelled', async () => {
+      const cancelled = await cancel(bookingId);
+      const modified = await modify(bookingId, { checkOut: '2031-04-06' });
+      expect(cancelled).to.have.status(409);
+      expect(cancelled.body.error.message).to.equal('This booking cannot be cancelled while it is cancelled');
+      expect(modified).to.have.status(409);
+      expect(modified.body.error.message).to.equal('This booking cannot be modified while it is cancelled');
+    });
+    it('should free the room of a cancelled booking for new bookings', async () => {
+      const first = await book({ checkIn: '2031-04-02', checkOut: '2031-04-03' });
+      const second = await book({ checkIn: '2031-04-02', checkOut: '2031-04-03' });
+      expect(first).to.have.status(201);
+      expect(second).to.have.status(409);
+    });
+  });
+
+  describe('Supplier booking management', () => {
+    let confirmedId;
+    let declinedId;
+    let otherSupplierToken;
+    const countNotifications = () => db.Notification.count({ where: { userId: travelerId } });
+    const book = (booking) => chai
+      .request(server)
+      .post('/api/booking/accommodation')
+      .set('Authorization', `Bearer ${travelerToken}`)
+      .send({ requestId, roomId, ...booking });
+    const changeStatus = (id, action, token = adminToken) => chai
+      .request(server)
+      .patch(`/api/facility/supplier/bookings/${id}/${action}`)
+      .set('Authorization', `Bearer ${token}`);
+    const listBookings = (query = '', token = adminToken) => chai
+      .request(server)
+      .get(`/api/facility/supplier/bookings${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    before(async () => {
+      const res = {
+        cookie() { return this; },
+        status() { return this; },
+        json(obj) { return obj; }
+      };
+      ({ body: { data: { id: confirmedId } } } = await book({ checkIn: '2031-05-10', checkOut: '2031-05-12' }));
+      ({ body: { data: { id: declinedId } } } = await book({ checkIn: '2031-05-11', checkOut: '2031-05-13' }));
+      const { data: { user } } = await supplierSignup({
+        body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+      }, res);
+      otherSupplierToken = user.token;
+    });
+
+    it('should prevent a user who is not a supplier admin from listing bookings', async () => {
+      const response = await listBookings('', travelerToken);
+      expect(response).to.have.status(403);
+    });
+    it('should list the bookings of the facilities of the supplier with their guests', async () => {
+      const response = await listBookings('?limit=100');
+      expect(response).to.have.status(200);
+      const { total, bookings } = response.body.data;
+      expect(total).to.equal(bookings.length);
+      expect(bookings[0].user).to.include.keys('firstName', 'lastName', 'email');
+      expect(bookings.every(({ room }) => room.facility.name === 'Sheraton Hotels')).to.equal(true);
+    });
+    it('should not list the bookings of other suppliers', async () => {
+      const response = await listBookings('', otherSupplierToken);
+      expect(response).to.have.status(200);
+      expect(response.body.data.total).to.equal(0);
+    });
+    it('should not list bookings for a supplier admin who is not in a supplier', async () => {
+      const res = {
+        cookie() { return this; },
+        status() { return this; },
+        json(obj) { return obj; }
+      };
+      const { data: { user } } = await supplierSignup({
+        body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+      }, res);
+      await db.User.update({ supplierId: null }, { where: { id: user.id } });
+      const response = await listBookings('', user.token);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not an admin of a supplier');
+    });
+    it('should filter the bookings by room, status and dates', async () => {
+      const response = await listBookings(`?roomId=${roomId}&status=reserved&from=2031-05-13&to=2031-05-31`);
+      expect(response).to.have.status(200);
+      const { bookings } = response.body.data;
+      expect(bookings.map(({ id }) => id)).to.eql([declinedId]);
+    });
+    it('should return a validation error for an unknown status', async () => {
+      const response = await listBookings('?status=booked');
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.equal('status must be one of reserved, confirmed, cancelled, checked-in, checked-out');
+    });
+    it('should not let a supplier admin manage the bookings of another supplier', async () => {
+      const response = await changeStatus(confirmedId, 'confirm', otherSupplierToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to manage this booking');
+    });
+    it('should not manage a booking that does not exist', async () => {
+      const response = await changeStatus(9999, 'confirm');
+      expect(response).to.have.status(404);
+    });
+    it('should confirm a reservation and notify the guest', async () => {
+      const notifications = await countNotifications();
+      const response = await changeStatus(confirmedId, 'confirm');
+      expect(response).to.have.status(200);
+      expect(response.body.data.status).to.equal('confirmed');
+      expect(await countNotifications()).to.equal(notifications + 1);
+      const { message } = await db.Notification.findOne({ where: { userId: travelerId }, order: [['id', 'DESC']] });
+      expect(message).to.equal('Your booking at Sheraton Hotels from 2031-05-10 to 2031-05-12 has been confirmed');
+    });
+    it('should not confirm a booking that is already confirmed', async () => {
+      const response = await changeStatus(confirmedId, 'confirm');
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal('This booking cannot be confirmed while it is confirmed');
+    });
+    it('should check a guest in and out of a confirmed booking', async () => {
+      const checkedIn = await changeStatus(confirmedId, 'check-in');
+      const checkedOut = await changeStatus(confirmedId, 'check-out');
+      expect(checkedIn.body.data.status).to.equal('checked-in');
+      expect(checkedOut.body.data.status).to.equal('checked-out');
+    });
+    it('should not check out a guest who has not checked in', async () => {
+      const response = await changeStatus(declinedId, 'check-out');
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal('This booking cannot be checked out while it is reserved');
+    });
+    it('should not let a cancellation overwrite a check in made at the same time', async () => {
+      const { body: { data: { id } } } = await book({ checkIn: '2031-05-24', checkOut: '2031-05-26' });
+      await changeStatus(id, 'confirm');
+      const [cancellation, checkIn] = await Promise.all([
+        chai.request(server)
+          .delete(`/api/booking/accommodation/${id}`)
+          .set('Authorization', `Bearer ${travelerToken}`),
+        changeStatus(id, 'check-in')
+      ]);
+      expect([cancellation.status, checkIn.status].sort()).to.eql([200, 409]);
+      const { status } = await db.AccommodationBooking.findByPk(id);
+      expect(status).to.equal(checkIn.status === 200 ? 'checked-in' : 'cancelled');
+    });
+    it('should decline a reservation', async () => {
+      const response = await changeStatus(declinedId, 'decline');
+      expect(response).to.have.status(200);
+      expect(response.body.data.status).to.equal('cancelled');
+    });
+    it('should only let one of a concurrent confirmation and decline change a booking', async () => {
+      const { body: { data: { id } } } = await book({ checkIn: '2031-05-20', checkOut: '2031-05-22' });
+      const responses = await Promise.all([
+        changeStatus(id, 'confirm'), changeStatus(id, 'decline')
+      ]);
+      const [confirmation] = responses;
+      expect(responses.map(({ status }) => status).sort()).to.eql([200, 409]);
+      const { status } = await db.AccommodationBooking.findByPk(id);
+      expect(status).to.equal(confirmation.status === 200 ? 'confirmed' : 'cancelled');
+    });
+    it('should not confirm a reservation if all the rooms are booked for its stay', async () => {
+      const stay = {
+        userId: travelerId, roomId: smallRoomId, checkIn: '2031-08-01', checkOut: '2031-08-03', status: 'reserved'
+      };
+      const [{ id }] = await Promise.all([
+        db.AccommodationBooking.create(stay),
+        db.AccommodationBooking.create({ ...stay, status: 'confirmed' }),
+        db.AccommodationBooking.create({ ...stay, status: 'confirmed' })
+      ]);
+      const response = await changeStatus(id, 'confirm');
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal(`All rooms with id: ${smallRoomId} are booked from 2031-08-01 to 2031-08-03`);
+    });
+  });
+
   describe('Booking Method', () => {
     it('fake sever error in accommodation booking controller', async () => {
       const req = {
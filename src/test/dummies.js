@@ -22,8 +22,7 @@ export const newSupplier = {
 
 export const newFacility = {
   name: 'Sheraton Hotels',
-  state: 'Lagos',
-  city: 'Ajah',
+  cityId: 80,
   address: '123, St. Micheal str Ajah, Lagos state',
   imageUrl: 'https://cloudinary/sheraton-lagos',
   description: 'Hotels and suite',
@@ -40,7 +39,8 @@ export const newFacility = {
     roomCost: 15000
   }],
   amenities: [1, 2, 3, 4],
-  addOns: ['wifi', 'coffee shop']
+  addOns: ['wifi', 'coffee shop'],
+  addOnCosts: { 'coffee shop': 2500 }
 };
 
 export const newCompany = {
@@ -83,8 +83,7 @@ export const createCompanyFacility = [
     }],
     description: 'A nice place to stay for all your ever',
     addOns: ['parking lot', 'free-wifi'],
-    state: 'Ondo',
-    city: 'Akure',
+    cityId: 94,
     address: '30, Ojumu Crescent',
     name: 'Bliss World',
     imageUrl: 'http://www.google.com'
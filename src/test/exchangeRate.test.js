@@ -0,0 +1,104 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import faker from 'faker';
+import server from '..';
+import { AuthController } from '../controllers';
+import { newCompanyUser } from './dummies';
+
+chai.use(chaiHttp);
+
+describe('Exchange rate route endpoints', () => {
+  let adminToken;
+  let userToken;
+  before(async () => {
+    const res = {
+      cookie() { return this; },
+      status() { return this; },
+      json(obj) { return obj; }
+    };
+    const { data: { admin, signupToken } } = await AuthController.companySignUp({
+      body: {
+        firstName: 'Kemi',
+        lastName: 'Bello',
+        email: faker.internet.email(),
+        password: 'Elijah38490',
+        companyName: faker.company.companyName(),
+        companyAddress: '4, Awolowo Road',
+        companySizeId: 1,
+        companyPlanId: 1
+      }
+    }, res);
+    adminToken = admin.token;
+    const { data: user } = await AuthController.userSignup({
+      body: {
+        ...newCompanyUser, email: faker.internet.email(), signupToken, roleId: 5
+      }
+    }, res);
+    userToken = user.token;
+  });
+
+  describe('GET /api/exchange-rates', () => {
+    it('should prevent an unauthenticated user from getting the exchange rates', async () => {
+      const response = await chai.request(server).get('/api/exchange-rates');
+      expect(response).to.have.status(401);
+    });
+    it('should get the exchange rates', async () => {
+      const response = await chai
+        .request(server)
+        .get('/api/exchange-rates')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      const naira = response.body.data.find(({ currency }) => currency === 'Naira');
+      expect(Number(naira.rate)).to.equal(1);
+    });
+  });
+
+  describe('PUT /api/exchange-rates/:currency', () => {
+    it('should prevent a user who is not an admin from setting an exchange rate', async () => {
+      const response = await chai
+        .request(server)
+        .put('/api/exchange-rates/Euro')
+        .set('Cookie', `token=${userToken}`)
+        .send({ rate: 410 });
+      expect(response).to.have.status(403);
+    });
+    it('should not set an exchange rate that is not a positive number', async () => {
+      const response = await chai
+        .request(server)
+        .put('/api/exchange-rates/Euro')
+        .set('Cookie', `token=${adminToken}`)
+        .send({ rate: -410 });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('Please enter a rate that is a positive number');
+    });
+    it('should not change the exchange rate of the base currency', async () => {
+      const response = await chai
+        .request(server)
+        .put('/api/exchange-rates/naira')
+        .set('Cookie', `token=${adminToken}`)
+        .send({ rate: 2 });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.equal('The exchange rate of Naira, the base currency, cannot be changed');
+    });
+    it('should update the exchange rate of a currency', async () => {
+      const response = await chai
+        .request(server)
+        .put('/api/exchange-rates/euro')
+        .set('Cookie', `token=${adminToken}`)
+        .send({ rate: 410.5 });
+      expect(response).to.have.status(200);
+      expect(response.body.data.currency).to.equal('Euro');
+      expect(Number(response.body.data.rate)).to.equal(410.5);
+    });
+    it('should add a currency that has no exchange rate yet', async () => {
+      const response = await chai
+        .request(server)
+        .put('/api/exchange-rates/Cedi')
+        .set('Cookie', `token=${adminToken}`)
+        .send({ rate: 65 });
+      expect(response).to.have.status(200);
+      expect(response.body.data.currency).to.equal('Cedi');
+    });
+  });
+});
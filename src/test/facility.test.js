@@ -4,10 +4,11 @@ import chaiHttp from 'chai-http';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import server from '..';
+import db from '../models';
 import {
   createCompanyFacility, newCompanyUser, newSupplier, newFacility
 } from './dummies';
-import { FacilityService } from '../services';
+import { FacilityService, BookingService } from '../services';
 import { FacilityController, AuthController } from '../controllers';
 
 chai.use(chaiHttp);
@@ -84,6 +85,27 @@ describe('Facility route endpoints', () => {
       expect(response.body.data).to.have.property('rooms');
       expect(response.body.data).to.have.property('amenities');
     });
+    it('should record the city, state and country of the city a facility is in', async () => {
+      const kumasi = await db.City.findOne({ where: { name: 'Kumasi' } });
+      const response = await chai
+        .request(server)
+        .post('/api/facility/supplier')
+        .send({ ...newFacility, cityId: kumasi.id })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(201);
+      expect(response.body.data).to.include({
+        cityId: kumasi.id, city: 'Kumasi', state: 'Ashanti', country: 'Ghana'
+      });
+    });
+    it('should return a 404 error if the city of the facility does not exist', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/facility/supplier')
+        .send({ ...newFacility, cityId: 99999 })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('City with id: 99999 does not exist');
+    });
   });
   describe('PATCH /api/facility/supplier/:supplierId/:roomId', () => {
     it('should successfully update a room category - 201', async () => {
@@ -223,4 +245,751 @@ describe('Facility route endpoints', () => {
       expect(res.json).to.have.been.calledWith(errorResponse);
     });
   });
+  describe('GET /api/facility/search', () => {
+    let token;
+    let smallRoom;
+    const searchUrl = '/api/facility/search?state=Kwara&city=ilorin&checkIn=2033-05-10&checkOut=2033-05-12';
+    before(async () => {
+      ({ data: { token } } = companyUserSignUpResponse);
+      const { rooms } = await FacilityService.createFacility({
+        ...newFacility,
+        name: 'Kwara Suites',
+        cityId: 72,
+        companyType: 'supplier',
+        amenities: [1, 2],
+        rooms: [{
+          roomCount: 1, roomCategoryId: 1, occupancyCount: 2, roomCost: 8000
+        }, {
+          roomCount: 2, roomCategoryId: 2, occupancyCount: 4, roomCost: 12000
+        }]
+      });
+      [smallRoom] = rooms.sort((a, b) => a.id - b.id);
+    });
+    it('should prevent an unauthenticated user from searching facilities', async () => {
+      const response = await chai.request(server).get(searchUrl);
+      expect(response).to.have.status(401);
+      expect(response.body.error.message).to.eql('Access denied, Token required');
+    });
+    it('should return a validation error if checkIn is missing', async () => {
+      const response = await chai
+        .request(server)
+        .get('/api/facility/search?checkOut=2033-05-12')
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('Please enter a checkIn date in the format YYYY-MM-DD');
+    });
+    it('should return a validation error if checkOut is not after checkIn', async () => {
+      const response = await chai
+        .request(server)
+        .get('/api/facility/search?checkIn=2033-05-12&checkOut=2033-05-12')
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please enter a checkOut date in the format YYYY-MM-DD that is after checkIn');
+    });
+    it('should return a validation error if amenities is not a list of ids', async () => {
+      const response = await chai
+        .request(server)
+        .get(`${searchUrl}&amenities=wifi`)
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('amenities must be a comma separated list of amenity ids');
+    });
+    it('should match the percent sign and underscore in a location literally', async () => {
+      const response = await chai
+        .request(server)
+        .get('/api/facility/search?state=Kw_ra&city=%25&checkIn=2033-05-10&checkOut=2033-05-12')
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.eql([]);
+    });
+    it('should return facilities with available rooms and their lowest room cost', async () => {
+      const response = await chai
+        .request(server)
+        .get(searchUrl)
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.be.an('array').with.lengthOf(1);
+      const [facility] = response.body.data;
+      expect(facility.name).to.eql('Kwara Suites');
+      expect(facility.rooms.length).to.eql(2);
+      expect(facility.rooms[0].availableRooms).to.eql(1);
+      expect(Number(facility.lowestRoomCost)).to.eql(8000);
+    });
+    it('should only return rooms that can take the number of guests', async () => {
+      const response = await chai
+        .request(server)
+        .get(`${searchUrl}&guests=3`)
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(200);
+      const [facility] = response.body.data;
+      expect(facility.rooms.length).to.eql(1);
+      expect(facility.rooms[0].occupancyCount).to.eql(4);
+      expect(Number(facility.lowestRoomCost)).to.eql(12000);
+    });
+    it('should only return facilities that have all the amenities', async () => {
+      const withAmenities = await chai
+        .request(server)
+        .get(`${searchUrl}&amenities=1,2`)
+        .set('Cookie', `token=${token}`);
+      expect(withAmenities.body.data.length).to.eql(1);
+      const withoutAmenities = await chai
+        .request(server)
+        .get(`${searchUrl}&amenities=1,9`)
+        .set('Cookie', `token=${token}`);
+      expect(withoutAmenities).to.have.status(200);
+      expect(withoutAmenities.body.data).to.eql([]);
+    });
+    it('should leave out rooms that are fully booked for the dates', async () => {
+      const { data: { id: userId } } = companyUserSignUpResponse;
+      await BookingService.createAccBooking({
+        userId, roomId: smallRoom.id, checkIn: '2033-05-11', checkOut: '2033-05-14'
+      });
+      const response = await chai
+        .request(server)
+        .get(searchUrl)
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(200);
+      const [facility] = response.body.data;
+      expect(facility.rooms.length).to.eql(1);
+      expect(facility.rooms[0].id).to.not.eql(smallRoom.id);
+      expect(Number(facility.lowestRoomCost)).to.eql(12000);
+    });
+    it('should search facilities by the id of their city or the name of their country', async () => {
+      const responses = await Promise.all([
+        'cityId=72', 'country=nigeria&state=KWARA', 'country=Kenya&state=Kwara'
+      ].map((location) => chai
+        .request(server)
+        .get(`/api/facility/search?${location}&checkIn=2033-05-10&checkOut=2033-05-12`)
+        .set('Cookie', `token=${token}`)));
+      const names = responses.map(({ body }) => body.data.map(({ name }) => name));
+      expect(names).to.eql([['Kwara Suites'], ['Kwara Suites'], []]);
+    });
+    it('should return rooms whose bookings end on the day of check in', async () => {
+      const response = await chai
+        .request(server)
+        .get('/api/facility/search?state=Kwara&checkIn=2033-05-14&checkOut=2033-05-16')
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data[0].rooms.length).to.eql(2);
+    });
+    it('should return a 500 error response if something goes wrong while searching', async () => {
+      sinon.stub(db.Facility, 'findAll').rejects(new Error('Connection lost'));
+      const response = await chai
+        .request(server)
+        .get(searchUrl)
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(500);
+    });
+  });
+  describe('Facility listing, detail, update and deletion', () => {
+    const res = {
+      status() {
+        return this;
+      },
+      cookie() {
+        return this;
+      },
+      json(obj) {
+        return obj;
+      }
+    };
+    let ownerToken;
+    let otherSupplierToken;
+    let companyAdminToken;
+    let facility;
+    let companyFacility;
+    let bookingId;
+    before(async () => {
+      const signUp = (email) => AuthController.supplierSignup({
+        body: { ...newSupplier, email, password: 'Elijah38490' }
+      }, res);
+      const [owner, otherSupplier] = await Promise.all([
+        signUp(faker.internet.email()), signUp(faker.internet.email())
+      ]);
+      ownerToken = owner.data.user.token;
+      otherSupplierToken = otherSupplier.data.user.token;
+      ({ data: { admin: { token: companyAdminToken } } } = adminSignUpResponse);
+      const { data: { company: { id: companyId } } } = adminSignUpResponse;
+      facility = await FacilityService.createFacility({
+        ...newFacility,
+        name: 'Ikoyi Lodge',
+        companyType: 'supplier',
+        supplierId: owner.data.supplier.id,
+        amenities: [1, 2]
+      });
+      companyFacility = await FacilityService.createFacility({
+        ...newFacility, name: 'Andela Lodge', companyType: 'company', companyId
+      });
+    });
+    it('should list a page of supplier facilities without signing in', async () => {
+      const response = await chai.request(server).get('/api/facility');
+      expect(response).to.have.status(200);
+      const { data } = response.body;
+      expect(data.page).to.eql(1);
+      expect(data.limit).to.eql(10);
+      expect(data.total).to.be.at.least(2);
+      expect(data.facilities.every(({ companyType }) => companyType === 'supplier')).to.eql(true);
+      expect(data.facilities[0]).to.have.property('amenities');
+    });
+    it('should return the facilities on the page requested', async () => {
+      const response = await chai.request(server).get('/api/facility?page=2&limit=1');
+      expect(response).to.have.status(200);
+      expect(response.body.data.page).to.eql(2);
+      expect(response.body.data.facilities.length).to.eql(1);
+    });
+    it('should return a validation error if page is not a positive number', async () => {
+      const response = await chai.request(server).get('/api/facility?page=0');
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('page must be a number that is at least 1');
+    });
+    it('should return a facility with its rooms and amenities', async () => {
+      const response = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.name).to.eql('Ikoyi Lodge');
+      expect(response.body.data.rooms.length).to.eql(facility.rooms.length);
+      expect(response.body.data.rooms[0]).to.have.property('roomCategory');
+      expect(response.body.data.amenities.map(({ id }) => id)).to.have.members([1, 2]);
+    });
+    it('should not return a facility that does not exist or belongs to a company', async () => {
+      const [missing, internal, invalid] = await Promise.all([
+        chai.request(server).get('/api/facility/99999'),
+        chai.request(server).get(`/api/facility/${companyFacility.id}`),
+        chai.request(server).get('/api/facility/lodge')
+      ]);
+      [missing, internal, invalid].forEach((response) => {
+        expect(response).to.have.status(404);
+        expect(response.body.error.message).to.eql('This facility does not exist');
+      });
+    });
+    it('should prevent an unauthenticated user from updating a facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${facility.id}`)
+        .send({ name: 'Ikoyi Suites' });
+      expect(response).to.have.status(401);
+    });
+    it('should prevent a supplier from updating a facility it does not own', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${facility.id}`)
+        .send({ name: 'Ikoyi Suites' })
+        .set('authorization', `Bearer ${otherSupplierToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should return a validation error if a field is invalid', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${facility.id}`)
+        .send({ name: 'Ik' })
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please enter a valid name for your facility, It should be atleast 3 characters long');
+    });
+    it('should return a validation error if there is nothing to update', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${facility.id}`)
+        .send({ rooms: [] })
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('Please provide at least one of name, description, cityId, address, imageUrl, addOns or addOnCosts to update');
+    });
+    it('should update the core details of a facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${facility.id}`)
+        .send({ name: 'Ikoyi Suites', address: '12, Bourdillon Road', rooms: [] })
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.name).to.eql('Ikoyi Suites');
+      expect(response.body.data.address).to.eql('12, Bourdillon Road');
+      expect(response.body.data.description).to.eql(newFacility.description);
+    });
+    it('should move a facility to another city', async () => {
+      const nairobi = await db.City.findOne({ where: { name: 'Nairobi' } });
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${facility.id}`)
+        .send({ cityId: nairobi.id })
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({
+        cityId: nairobi.id, city: 'Nairobi', state: 'Nairobi', country: 'Kenya'
+      });
+    });
+    it('should let a company travel admin update a facility of the company', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${companyFacility.id}`)
+        .send({ description: 'Guest house for visiting staff' })
+        .set('Cookie', `token=${companyAdminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.description).to.eql('Guest house for visiting staff');
+    });
+    it('should prevent a supplier admin from updating a room of another supplier', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/supplier/${facility.id}/${facility.rooms[0].id}`)
+        .send({ roomStatus: 'unavailable' })
+        .set('authorization', `Bearer ${otherSupplierToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should prevent a supplier admin from updating the amenities of a company facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/supplier/${companyFacility.id}/`)
+        .send({ amenities: [1] })
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should not update a room that belongs to another facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/supplier/${facility.id}/${companyFacility.rooms[0].id}`)
+        .send({ roomStatus: 'unavailable' })
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('Room category not found');
+      const room = await db.Room.findByPk(companyFacility.rooms[0].id);
+      expect(room.roomStatus).to.eql('available');
+    });
+    it('should prevent a company admin from deleting a supplier facility', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`/api/facility/${facility.id}`)
+        .set('Cookie', `token=${companyAdminToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should not delete a facility with upcoming bookings', async () => {
+      const { data: { id: userId } } = companyUserSignUpResponse;
+      ({ id: bookingId } = await BookingService.createAccBooking({
+        userId, roomId: facility.rooms[0].id, checkIn: '2033-08-10', checkOut: '2033-08-12'
+      }));
+      const response = await chai
+        .request(server)
+        .delete(`/api/facility/${facility.id}`)
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.eql('This facility has 1 upcoming booking(s), it cannot be deleted until they are cancelled or over');
+      const detail = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(detail).to.have.status(200);
+    });
+    it('should soft delete a facility and keep its bookings', async () => {
+      await BookingService.updateBookingStatus(bookingId, 'cancelled');
+      const response = await chai
+        .request(server)
+        .delete(`/api/facility/${facility.id}`)
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.id).to.eql(facility.id);
+      const detail = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(detail).to.have.status(404);
+      const { room } = await BookingService.findBookingById(bookingId);
+      expect(room.facility.id).to.eql(facility.id);
+      expect(room.facility.deletedAt).to.not.eql(null);
+    });
+    it('should return a 404 error when deleting a facility that was deleted', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`/api/facility/${facility.id}`)
+        .set('authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('This facility does not exist');
+    });
+    it('should return a 500 error response if something goes wrong while listing', async () => {
+      sinon.stub(db.Facility, 'findAndCountAll').rejects(new Error('Connection lost'));
+      const response = await chai.request(server).get('/api/facility');
+      expect(response).to.have.status(500);
+    });
+  });
+  describe('Company facilities', () => {
+    let travelAdminToken;
+    let travelAdminId;
+    let employeeToken;
+    let requestId;
+    let companyFacility;
+    let guestRoom;
+    let suiteRoom;
+    let bookingId;
+    let outsiderToken;
+    before(async () => {
+      const res = {
+        cookie() { return this; },
+        status() { return this; },
+        json(obj) { return obj; }
+      };
+      const supplier = await AuthController.supplierSignup({
+        body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+      }, res);
+      await chai
+        .request(server)
+        .post('/api/facility/supplier')
+        .set('Authorization', `Bearer ${supplier.data.user.token}`)
+        .send({ ...newFacility, name: 'Akure Royal', cityId: 94 });
+      const signUpCompany = () => AuthController.companySignUp({
+        body: {
+          ...newCompanyAdmin,
+          email: faker.internet.email(),
+          companyName: faker.company.companyName()
+        }
+      }, res);
+      const [company, outsider] = await Promise.all([signUpCompany(), signUpCompany()]);
+      ({ token: travelAdminToken, id: travelAdminId } = company.data.admin);
+      outsiderToken = outsider.data.admin.token;
+      const signUpEmployee = (roleId) => AuthController.userSignup({
+        body: {
+          ...newCompanyUser,
+          email: faker.internet.email(),
+          companyId: company.data.company.id,
+          roleId
+        }
+      }, res);
+      const [manager, employee] = await Promise.all([signUpEmployee(4), signUpEmployee(5)]);
+      employeeToken = employee.data.token;
+      ({ id: requestId } = await db.Request.create({
+        tripType: 'One-way',
+        origin: 'Lagos',
+        destination: 'Akure',
+        departureDate: '2031-02-01',
+        purpose: 'Team offsite',
+        requesterId: employee.data.id,
+        managerId: manager.data.id,
+        statusId: 1
+      }));
+      const response = await chai
+        .request(server)
+        .post('/api/facility/company')
+        .set('Authorization', `Bearer ${travelAdminToken}`)
+        .send({
+          ...facilityData,
+          name: 'Akure Guesthouse',
+          addOns: ['parking lot'],
+          addOnCosts: { 'parking lot': 1000 }
+        });
+      ({ facility: companyFacility } = response.body.data);
+      [guestRoom, suiteRoom] = companyFacility.rooms.sort((a, b) => a.id - b.id);
+    });
+    const reserveUrl = () => `/api/facility/${companyFacility.id}/reservations`;
+
+    it('should let an employee book a room of their company facility for free', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({
+          checkIn: '2031-02-01', checkOut: '2031-02-04', requestId, roomId: guestRoom.id, addOns: ['parking lot']
+        });
+      expect(response).to.have.status(201);
+      ({ id: bookingId } = response.body.data);
+      expect(response.body.data.status).to.equal('confirmed');
+      expect(response.body.data.price).to.include({ roomCost: 0, addOnsCost: 0, totalCost: 0 });
+    });
+    it('should prevent someone outside the company from booking its facility', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/booking/accommodation')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({
+          checkIn: '2031-02-01', checkOut: '2031-02-04', requestId, roomId: guestRoom.id
+        });
+      expect(response).to.have.status(403);
+      expect(response.body.error.message)
+        .to.equal('Only employees of the company that owns this facility can book its rooms');
+    });
+    it('should keep a booking of a company facility confirmed when its dates change', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/booking/accommodation/${bookingId}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ checkOut: '2031-02-05' });
+      expect(response).to.have.status(200);
+      expect(response.body.data.status).to.equal('confirmed');
+      expect(response.body.data.price.totalCost).to.equal(0);
+    });
+    it('should list the company facilities of an employee first in search', async () => {
+      const response = await chai
+        .request(server)
+        .get('/api/facility/search?cityId=94&checkIn=2031-02-01&checkOut=2031-02-04')
+        .set('Cookie', `token=${employeeToken}`);
+      expect(response).to.have.status(200);
+      const [first, ...others] = response.body.data;
+      expect(first).to.include({ name: 'Akure Guesthouse', lowestRoomCost: 0 });
+      expect(others.map(({ name }) => name)).to.include('Akure Royal');
+      const outsiderSearch = await chai
+        .request(server)
+        .get('/api/facility/search?cityId=94&checkIn=2031-02-01&checkOut=2031-02-04')
+        .set('Cookie', `token=${outsiderToken}`);
+      expect(outsiderSearch.body.data.map(({ name }) => name)).to.not.include('Akure Guesthouse');
+    });
+    it('should prevent a user who is not a travel admin of the company from reserving rooms', async () => {
+      const response = await chai
+        .request(server)
+        .post(reserveUrl())
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ checkIn: '2031-02-01', checkOut: '2031-02-04', rooms: [{ roomId: guestRoom.id }] });
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to manage this facility');
+    });
+    it('should return a validation error if no rooms are given', async () => {
+      const response = await chai
+        .request(server)
+        .post(reserveUrl())
+        .set('Authorization', `Bearer ${travelAdminToken}`)
+        .send({ checkIn: '2031-02-01', checkOut: '2031-02-04', rooms: [] });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.equal('rooms must be a list of different roomIds, each with a count of rooms to reserve between 1 and 50');
+    });
+    it('should return a 404 error if a room is not a room of the facility', async () => {
+      const { id: otherRoomId } = await db.Room.findOne({
+        where: { facilityId: { [db.Sequelize.Op.ne]: companyFacility.id } }
+      });
+      const response = await chai
+        .request(server)
+        .post(reserveUrl())
+        .set('Authorization', `Bearer ${travelAdminToken}`)
+        .send({ checkIn: '2031-02-01', checkOut: '2031-02-04', rooms: [{ roomId: otherRoomId }] });
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal(`Room with id: ${otherRoomId} is not a room of this facility`);
+    });
+    it('should reserve no rooms if there are not enough rooms left', async () => {
+      const response = await chai
+        .request(server)
+        .post(reserveUrl())
+        .set('Authorization', `Bearer ${travelAdminToken}`)
+        .send({
+          checkIn: '2031-02-02',
+          checkOut: '2031-02-03',
+          rooms: [{ roomId: suiteRoom.id }, { roomId: guestRoom.id, count: 3 }]
+        });
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.equal(`All rooms with id: ${guestRoom.id} are booked from 2031-02-02 to 2031-02-03`);
+      expect(await db.AccommodationBooking.count({ where: { roomId: suiteRoom.id } })).to.equal(0);
+    });
+    it('should reserve rooms in bulk for a team', async () => {
+      const response = await chai
+        .request(server)
+        .post(reserveUrl())
+        .set('Authorization', `Bearer ${travelAdminToken}`)
+        .send({
+          checkIn: '2031-02-02',
+          checkOut: '2031-02-03',
+          rooms: [{ roomId: suiteRoom.id }, { roomId: guestRoom.id, count: 2 }]
+        });
+      expect(response).to.have.status(201);
+      expect(response.body.data.map((booking) => booking.roomId))
+        .to.eql([suiteRoom.id, guestRoom.id, guestRoom.id]);
+      response.body.data.forEach((booking) => {
+        expect(booking).to.include({ userId: travelAdminId, requestId: null, status: 'confirmed' });
+        expect(booking.price.totalCost).to.equal(0);
+      });
+    });
+  });
+  describe('Room categories of a facility', () => {
+    let ownerToken;
+    let otherSupplierToken;
+    let companyAdminToken;
+    let userId;
+    let facility;
+    let companyFacility;
+    let singleRoom;
+    before(async () => {
+      const res = {
+        cookie() { return this; },
+        status() { return this; },
+        json(obj) { return obj; }
+      };
+      const signUp = () => AuthController.supplierSignup({
+        body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+      }, res);
+      const [owner, otherSupplier] = await Promise.all([signUp(), signUp()]);
+      ownerToken = owner.data.user.token;
+      otherSupplierToken = otherSupplier.data.user.token;
+      ({ data: { admin: { token: companyAdminToken } } } = adminSignUpResponse);
+      ({ data: { id: userId } } = companyUserSignUpResponse);
+      facility = await FacilityService.createFacility({
+        ...newFacility, name: 'Lekki Suites', companyType: 'supplier', supplierId: owner.data.supplier.id
+      });
+      companyFacility = await FacilityService.createFacility({
+        ...newFacility,
+        name: 'Yaba Lodge',
+        companyType: 'company',
+        companyId: adminSignUpResponse.data.company.id
+      });
+    });
+    const roomsUrl = (facilityId = facility.id) => `/api/facility/${facilityId}/rooms`;
+    const book = (checkIn, checkOut, status) => db.AccommodationBooking.create({
+      userId, roomId: singleRoom.id, checkIn, checkOut, status
+    });
+
+    it('should let a supplier admin add a room category to their facility', async () => {
+      const response = await chai
+        .request(server)
+        .post(roomsUrl())
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          roomCategoryId: 1, roomCount: 3, occupancyCount: 1, roomCost: 8000, description: 'Cosy room'
+        });
+      expect(response).to.have.status(201);
+      singleRoom = response.body.data;
+      expect(singleRoom).to.include({
+        facilityId: facility.id, roomCategoryId: 1, roomCount: 3, roomStatus: 'available'
+      });
+      const detail = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(detail.body.data.rooms.map(({ id }) => id)).to.include(singleRoom.id);
+    });
+    it('should not add a room category the facility already has', async () => {
+      const response = await chai
+        .request(server)
+        .post(roomsUrl())
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send(newFacility.rooms[1]);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal('This facility already has a Double room category, update it instead');
+    });
+    it('should require a cost for a room category of a supplier facility', async () => {
+      const { roomCost, ...room } = newFacility.rooms[0];
+      const response = await chai
+        .request(server)
+        .post(roomsUrl())
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...room, roomCategoryId: 3 });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('Please fill in a cost for the room');
+    });
+    it('should let a company travel admin add a room category without a cost', async () => {
+      const response = await chai
+        .request(server)
+        .post(roomsUrl(companyFacility.id))
+        .set('Cookie', `token=${companyAdminToken}`)
+        .send({ roomCategoryId: 1, roomCount: 4, occupancyCount: 1 });
+      expect(response).to.have.status(201);
+      expect(response.body.data.facilityId).to.equal(companyFacility.id);
+      const room = await db.Room.findByPk(response.body.data.id);
+      expect(room.roomCost).to.equal(null);
+    });
+    it('should prevent a supplier admin from adding a room category to another facility', async () => {
+      const response = await chai
+        .request(server)
+        .post(roomsUrl())
+        .set('Authorization', `Bearer ${otherSupplierToken}`)
+        .send({
+          roomCategoryId: 3, roomCount: 1, occupancyCount: 3, roomCost: 9000
+        });
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should update the cost, count, occupancy and description of a room category', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`${roomsUrl()}/${singleRoom.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          roomCost: 9500, roomCount: 4, occupancyCount: 2, description: 'Cosy room with a view'
+        });
+      expect(response).to.have.status(201);
+      expect(response.body.data).to.include({
+        roomCount: 4, occupancyCount: 2, description: 'Cosy room with a view'
+      });
+      expect(Number(response.body.data.roomCost)).to.equal(9500);
+    });
+    it('should update more than the availability through the supplier route', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/supplier/${facility.id}/${singleRoom.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ roomCost: 9000 });
+      expect(response).to.have.status(201);
+      expect(Number(response.body.data.roomCost)).to.equal(9000);
+    });
+    it('should return a validation error if there is nothing to update', async () => {
+      const [supplierResponse, companyResponse] = await Promise.all([
+        chai
+          .request(server)
+          .patch(`${roomsUrl()}/${singleRoom.id}`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ roomCategoryId: 2 }),
+        chai
+          .request(server)
+          .patch(`${roomsUrl(companyFacility.id)}/${companyFacility.rooms[0].id}`)
+          .set('Cookie', `token=${companyAdminToken}`)
+          .send({ roomCost: 2000 })
+      ]);
+      expect(supplierResponse).to.have.status(400);
+      expect(supplierResponse.body.error.message)
+        .to.equal('Please provide at least one of occupancyCount, roomCount, roomCost, description or roomStatus to update');
+      expect(companyResponse).to.have.status(400);
+      expect(companyResponse.body.error.message)
+        .to.equal('Please provide at least one of occupancyCount, roomCount, description or roomStatus to update');
+    });
+    it('should not reduce the number of rooms below the rooms booked for the same night', async () => {
+      await Promise.all([
+        book('2034-03-01', '2034-03-03', 'confirmed'),
+        book('2034-03-02', '2034-03-04', 'reserved'),
+        book('2034-03-03', '2034-03-05', 'reserved'),
+        book('2034-03-02', '2034-03-03', 'cancelled')
+      ]);
+      const response = await chai
+        .request(server)
+        .patch(`${roomsUrl()}/${singleRoom.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ roomCount: 1 });
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.equal('2 rooms of this category are booked for the same night, roomCount cannot be less than 2');
+      const room = await db.Room.findByPk(singleRoom.id);
+      expect(room.roomCount).to.equal(4);
+    });
+    it('should reduce the number of rooms if the booked rooms still fit', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`${roomsUrl()}/${singleRoom.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ roomCount: 2 });
+      expect(response).to.have.status(201);
+      expect(response.body.data.roomCount).to.equal(2);
+    });
+    it('should not remove a room category that has upcoming bookings', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`${roomsUrl()}/${singleRoom.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.equal('This room category has 3 upcoming booking(s), it cannot be removed until they are cancelled or over');
+    });
+    it('should return a 404 error when removing a room category of another facility', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`${roomsUrl()}/${companyFacility.rooms[0].id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Room category not found');
+    });
+    it('should remove a room category and keep its past bookings', async () => {
+      await db.AccommodationBooking.update({ status: 'cancelled' },
+        { where: { roomId: singleRoom.id } });
+      const pastBooking = await book('2019-01-01', '2019-01-03', 'checked-out');
+      const response = await chai
+        .request(server)
+        .delete(`${roomsUrl()}/${singleRoom.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.id).to.equal(singleRoom.id);
+      const detail = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(detail.body.data.rooms.map(({ id }) => id)).to.not.include(singleRoom.id);
+      const { room } = await BookingService.findBookingById(pastBooking.id);
+      expect(room.id).to.equal(singleRoom.id);
+      expect(room.deletedAt).to.not.eql(null);
+    });
+  });
 });
@@ -0,0 +1,229 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import faker from 'faker';
+import fs from 'fs';
+import path from 'path';
+import Jimp from 'jimp';
+import server from '..';
+import db from '../models';
+import { AuthController } from '../controllers';
+import { FacilityService, ImageService } from '../services';
+import { newSupplier, newFacility } from './dummies';
+
+chai.use(chaiHttp);
+
+const uploadedFile = (url) => path.resolve('uploads', path.basename(url));
+
+describe('Facility image gallery route endpoints', () => {
+  let supplierToken;
+  let otherSupplierToken;
+  let facility;
+  let otherFacility;
+  let png;
+  let jpeg;
+  let gallery;
+  before(async () => {
+    const res = {
+      cookie() { return this; },
+      status() { return this; },
+      json(obj) { return obj; }
+    };
+    const signUpSupplier = () => AuthController.supplierSignup({
+      body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+    }, res);
+    const [supplier, otherSupplier] = await Promise.all([signUpSupplier(), signUpSupplier()]);
+    supplierToken = supplier.data.user.token;
+    otherSupplierToken = otherSupplier.data.user.token;
+    [facility, otherFacility] = await Promise.all(['Lekki Court', 'Ikeja Court']
+      .map((name) => FacilityService.createFacility({
+        ...newFacility, name, companyType: 'supplier', supplierId: supplier.data.supplier.id
+      })));
+    const image = await Jimp.create(640, 480, '#2e86c1');
+    [png, jpeg] = await Promise.all([
+      image.getBufferAsync(Jimp.MIME_PNG), image.getBufferAsync(Jimp.MIME_JPEG)
+    ]);
+  });
+  after(async () => {
+    await ImageService.removeFiles(await db.FacilityImage.findAll());
+  });
+
+  describe('POST /api/facility/:facilityId/images', () => {
+    const imagesUrl = () => `/api/facility/${facility.id}/images`;
+    it('should prevent an admin of another supplier from uploading images', async () => {
+      const response = await chai
+        .request(server)
+        .post(imagesUrl())
+        .attach('images', png, 'lobby.png')
+        .set('authorization', `Bearer ${otherSupplierToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should return an error if no image is uploaded', async () => {
+      const response = await chai
+        .request(server)
+        .post(imagesUrl())
+        .field('caption', 'lobby')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('Please upload at least one image in the images field');
+    });
+    it('should only accept JPEG and PNG images', async () => {
+      const response = await chai
+        .request(server)
+        .post(imagesUrl())
+        .attach('images', Buffer.from('check in at noon'), 'notes.txt')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('notes.txt must be a JPEG or PNG image');
+    });
+    it('should reject a file that is not really an image', async () => {
+      const response = await chai
+        .request(server)
+        .post(imagesUrl())
+        .attach('images', png, 'lobby.png')
+        .attach('images', Buffer.from('not an image'), 'pool.png')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('pool.png is not a valid image');
+      expect(await db.FacilityImage.count({ where: { facilityId: facility.id } })).to.eql(0);
+    });
+    it('should reject an image that is too large', async () => {
+      const response = await chai
+        .request(server)
+        .post(imagesUrl())
+        .attach('images', Buffer.alloc(5 * 1024 * 1024 + 1), 'lobby.png')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('Each image must not be larger than 5MB');
+    });
+    it('should store the images with thumbnails and make the first one the cover', async () => {
+      const response = await chai
+        .request(server)
+        .post(imagesUrl())
+        .attach('images', png, 'lobby.png')
+        .attach('images', jpeg, 'pool.jpg')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(201);
+      ({ data: gallery } = response.body);
+      expect(gallery.map(({ position }) => position)).to.eql([1, 2]);
+      expect(gallery.map(({ isCover }) => isCover)).to.eql([true, false]);
+      expect(gallery[0].url).to.match(/^\/uploads\/facility-\d+-\w+\.png$/);
+      expect(gallery[1].url).to.match(/\.jpg$/);
+      const thumbnail = await Jimp.read(uploadedFile(gallery[0].thumbnailUrl));
+      expect([thumbnail.bitmap.width, thumbnail.bitmap.height]).to.eql([320, 240]);
+      const image = await chai.request(server).get(gallery[1].url);
+      expect(image).to.have.status(200);
+      expect(image).to.have.header('content-type', 'image/jpeg');
+    });
+    it('should show the gallery and cover image in the facility details', async () => {
+      const response = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.imageUrl).to.eql(gallery[0].url);
+      expect(response.body.data.images.map(({ id }) => id)).to.eql(gallery.map(({ id }) => id));
+    });
+  });
+
+  describe('POST /api/facility/:facilityId/rooms/:roomId/images', () => {
+    it('should add images to the gallery of a room category', async () => {
+      const [room] = facility.rooms;
+      const response = await chai
+        .request(server)
+        .post(`/api/facility/${facility.id}/rooms/${room.id}/images`)
+        .attach('images', png, 'suite.png')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(201);
+      expect(response.body.data.length).to.eql(1);
+      expect(response.body.data[0].roomId).to.eql(room.id);
+      expect(response.body.data[0].isCover).to.eql(true);
+      const details = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(details.body.data.images.length).to.eql(2);
+      expect(details.body.data.imageUrl).to.eql(gallery[0].url);
+      const { images } = details.body.data.rooms.find(({ id }) => id === room.id);
+      expect(images.length).to.eql(1);
+    });
+    it('should give images uploaded at the same time their own positions in a gallery', async () => {
+      const [, room] = facility.rooms;
+      const upload = (name) => chai
+        .request(server)
+        .post(`/api/facility/${facility.id}/rooms/${room.id}/images`)
+        .attach('images', png, name)
+        .set('authorization', `Bearer ${supplierToken}`);
+      const responses = await Promise.all([upload('bed.png'), upload('bath.png')]);
+      responses.forEach((response) => expect(response).to.have.status(201));
+      const images = await ImageService.getGallery(facility.id, room.id);
+      expect(images.map(({ position }) => position)).to.eql([1, 2]);
+      expect(images.filter(({ isCover }) => isCover).length).to.eql(1);
+    });
+    it('should return a 404 error if the room category belongs to another facility', async () => {
+      const response = await chai
+        .request(server)
+        .post(`/api/facility/${facility.id}/rooms/${otherFacility.rooms[0].id}/images`)
+        .attach('images', png, 'suite.png')
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('Room category not found');
+    });
+  });
+
+  describe('PATCH /api/facility/:facilityId/images/:imageId', () => {
+    const imagePath = (image) => `/api/facility/${facility.id}/images/${image.id}`;
+    it('should return a validation error if isCover is false', async () => {
+      const response = await chai
+        .request(server)
+        .patch(imagePath(gallery[1]))
+        .send({ isCover: false })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('isCover can only be set to true, make another image the cover instead');
+    });
+    it('should return a 404 error if the image belongs to another facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${otherFacility.id}/images/${gallery[1].id}`)
+        .send({ position: 1 })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql(`Image with id: ${gallery[1].id} does not exist`);
+    });
+    it('should move an image to a new position in its gallery', async () => {
+      const response = await chai
+        .request(server)
+        .patch(imagePath(gallery[1]))
+        .send({ position: 1 })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.map(({ id }) => id)).to.eql([gallery[1].id, gallery[0].id]);
+      expect(response.body.data.map(({ position }) => position)).to.eql([1, 2]);
+      expect(response.body.data[1].isCover).to.eql(true);
+    });
+    it('should make an image the cover of its gallery and of the facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(imagePath(gallery[1]))
+        .send({ isCover: true })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(200);
+      const covers = response.body.data.filter(({ isCover }) => isCover);
+      expect(covers.map(({ id }) => id)).to.eql([gallery[1].id]);
+      const { imageUrl } = await db.Facility.findByPk(facility.id);
+      expect(imageUrl).to.eql(gallery[1].url);
+    });
+  });
+
+  describe('DELETE /api/facility/:facilityId/images/:imageId', () => {
+    it('should delete an image and its files and pick a new cover', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`/api/facility/${facility.id}/images/${gallery[1].id}`)
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.length).to.eql(1);
+      expect(response.body.data[0]).to.include({ id: gallery[0].id, position: 1, isCover: true });
+      expect(fs.existsSync(uploadedFile(gallery[1].url))).to.eql(false);
+      expect(fs.existsSync(uploadedFile(gallery[1].thumbnailUrl))).to.eql(false);
+      const { imageUrl } = await db.Facility.findByPk(facility.id);
+      expect(imageUrl).to.eql(gallery[0].url);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import server from '..';
+import db from '../models';
+
+chai.use(chaiHttp);
+
+describe('Location route endpoints', () => {
+  let ghana;
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('GET /api/locations/countries', () => {
+    it('should get all the countries', async () => {
+      const response = await chai.request(server).get('/api/locations/countries');
+      expect(response).to.have.status(200);
+      const names = response.body.data.map(({ name }) => name);
+      expect(names).to.include.members(['Ghana', 'Kenya', 'Nigeria']);
+      expect(names).to.eql([...names].sort());
+      ghana = response.body.data.find(({ name }) => name === 'Ghana');
+      expect(ghana.code).to.eql('GH');
+    });
+    it('should return a 500 error response if something goes wrong while getting the countries', async () => {
+      sinon.stub(db.Country, 'findAll').rejects(new Error('Connection lost'));
+      const response = await chai.request(server).get('/api/locations/countries');
+      expect(response).to.have.status(500);
+    });
+  });
+
+  describe('GET /api/locations/countries/:countryId', () => {
+    it('should get a country with its states', async () => {
+      const response = await chai.request(server).get(`/api/locations/countries/${ghana.id}`);
+      expect(response).to.have.status(200);
+      const { states } = response.body.data;
+      expect(states.length).to.eql(16);
+      expect(states[0].name).to.eql('Ahafo');
+    });
+    it('should return a 404 error if the country does not exist', async () => {
+      const responses = await Promise.all(['99999', 'ghana']
+        .map((id) => chai.request(server).get(`/api/locations/countries/${id}`)));
+      responses.forEach((response) => expect(response).to.have.status(404));
+      expect(responses[0].body.error.message).to.eql('Country with id: 99999 does not exist');
+    });
+  });
+
+  describe('GET /api/locations/states/:stateId', () => {
+    it('should get a state with its country and cities', async () => {
+      const { stateId } = await db.City.findOne({ where: { name: 'Kumasi' } });
+      const response = await chai.request(server).get(`/api/locations/states/${stateId}`);
+      expect(response).to.have.status(200);
+      const { name, country, cities } = response.body.data;
+      expect(name).to.eql('Ashanti');
+      expect(country.name).to.eql('Ghana');
+      expect(cities.map((city) => city.name)).to.eql(['Ejisu', 'Kumasi', 'Obuasi']);
+    });
+    it('should return a 404 error if the state does not exist', async () => {
+      const response = await chai.request(server).get('/api/locations/states/99999');
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('State with id: 99999 does not exist');
+    });
+  });
+
+  describe('GET /api/locations/cities', () => {
+    it('should find the cities whose name starts with the search', async () => {
+      const response = await chai.request(server).get('/api/locations/cities?search=nai');
+      expect(response).to.have.status(200);
+      const [nairobi] = response.body.data;
+      expect(nairobi).to.include({ name: 'Nairobi', label: 'Nairobi, Nairobi, Kenya' });
+      expect(nairobi.state.name).to.eql('Nairobi');
+      expect(nairobi.country).to.include({ name: 'Kenya', code: 'KE' });
+    });
+    it('should only find cities in the country given', async () => {
+      const everywhere = await chai.request(server).get('/api/locations/cities?search=k&limit=50');
+      const countries = new Set(everywhere.body.data.map(({ country }) => country.name));
+      expect(countries.size).to.be.above(1);
+      const response = await chai
+        .request(server)
+        .get(`/api/locations/cities?search=k&countryId=${ghana.id}&limit=50`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.length).to.be.above(0);
+      expect(response.body.data.every(({ country }) => country.name === 'Ghana')).to.eql(true);
+    });
+    it('should treat the search as text rather than a pattern', async () => {
+      const response = await chai.request(server).get('/api/locations/cities?search=%25');
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.eql([]);
+    });
+    it('should return a validation error if there is no search', async () => {
+      const response = await chai.request(server).get('/api/locations/cities');
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('Please enter the start of the name of a city to search for');
+    });
+  });
+});
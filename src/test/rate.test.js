@@ -0,0 +1,239 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import faker from 'faker';
+import server from '..';
+import db from '../models';
+import { AuthController } from '../controllers';
+import { FacilityService, BookingService } from '../services';
+import {
+  newSupplier, newFacility, newCompanyUser, createCompanyFacility
+} from './dummies';
+
+chai.use(chaiHttp);
+
+const [newCompanyAdmin] = createCompanyFacility;
+const res = {
+  cookie() { return this; },
+  status() { return this; },
+  json(obj) { return obj; }
+};
+
+describe('Room rate route endpoints', () => {
+  let ownerToken;
+  let otherSupplierToken;
+  let travelAdminToken;
+  let outsiderId;
+  let employeeId;
+  let employeeToken;
+  let companyId;
+  let facility;
+  let companyFacility;
+  let room;
+  let weekendRate;
+  let bookingId;
+  before(async () => {
+    const signUpSupplier = () => AuthController.supplierSignup({
+      body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+    }, res);
+    const signUpCompany = () => AuthController.companySignUp({
+      body: {
+        ...newCompanyAdmin, email: faker.internet.email(), companyName: faker.company.companyName()
+      }
+    }, res);
+    const [owner, otherSupplier, company, outsider] = await Promise.all([
+      signUpSupplier(), signUpSupplier(), signUpCompany(), signUpCompany()
+    ]);
+    ownerToken = owner.data.user.token;
+    otherSupplierToken = otherSupplier.data.user.token;
+    travelAdminToken = company.data.admin.token;
+    outsiderId = outsider.data.admin.id;
+    companyId = company.data.company.id;
+    const employee = await AuthController.userSignup({
+      body: {
+        ...newCompanyUser, email: faker.internet.email(), companyId, roleId: 5
+      }
+    }, res);
+    ({ id: employeeId, token: employeeToken } = employee.data);
+    facility = await FacilityService.createFacility({
+      ...newFacility, name: 'Rate Suites', companyType: 'supplier', supplierId: owner.data.supplier.id
+    });
+    [room] = facility.rooms.sort((a, b) => a.id - b.id);
+    companyFacility = await FacilityService.createFacility({
+      ...newFacility, name: 'Rate Lodge', companyType: 'company', companyId
+    });
+  });
+  const ratesUrl = (roomId = room.id, facilityId = facility.id) => `/api/facility/${facilityId}/rooms/${roomId}/rates`;
+  const addRate = (rate, token = ownerToken) => chai
+    .request(server)
+    .post(ratesUrl())
+    .set('Authorization', `Bearer ${token}`)
+    .send(rate);
+
+  describe('POST /api/facility/:facilityId/rooms/:roomId/rates', () => {
+    it('should add a weekend rate as a percentage of the room cost', async () => {
+      const response = await addRate({ label: 'Weekend', days: [5, 6], percentage: 150 });
+      expect(response).to.have.status(201);
+      weekendRate = response.body.data;
+      expect(weekendRate).to.include({
+        roomId: room.id, label: 'Weekend', percentage: 150, minNights: 1
+      });
+      expect(weekendRate.days).to.eql([5, 6]);
+    });
+    it('should add holiday, long stay and negotiated company rates', async () => {
+      const responses = await Promise.all([
+        addRate({
+          label: 'Christmas', startDate: '2032-12-20', endDate: '2032-12-31', price: 20000
+        }),
+        addRate({ label: 'Long stay', minNights: 7, percentage: 80 }),
+        addRate({ label: 'Corporate', companyId, price: 4500 })
+      ]);
+      responses.forEach((response) => expect(response).to.have.status(201));
+    });
+    it('should require either a price or a percentage', async () => {
+      const responses = await Promise.all([
+        addRate({ label: 'Weekday' }),
+        addRate({ label: 'Weekday', price: 4000, percentage: 80 })
+      ]);
+      responses.forEach((response) => {
+        expect(response).to.have.status(400);
+        expect(response.body.error.message)
+          .to.equal('Please provide either a price or a percentage of the room cost for the rate');
+      });
+    });
+    it('should return a validation error if the days or dates are invalid', async () => {
+      const [days, dates] = await Promise.all([
+        addRate({ label: 'Weekend', days: [6, 7], price: 6000 }),
+        addRate({
+          label: 'Easter', startDate: '2032-03-30', endDate: '2032-03-27', price: 9000
+        })
+      ]);
+      expect(days).to.have.status(400);
+      expect(days.body.error.message)
+        .to.equal('days must be a list of different days of the week from 0 for Sunday to 6 for Saturday');
+      expect(dates).to.have.status(400);
+      expect(dates.body.error.message).to.equal('endDate must be on or after startDate');
+    });
+    it('should return a 404 error if the company of the rate does not exist', async () => {
+      const response = await addRate({ label: 'Corporate', companyId: 99999, price: 4000 });
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Company with id: 99999 does not exist');
+    });
+    it('should prevent a supplier admin from adding a rate to another facility', async () => {
+      const response = await addRate({ label: 'Weekday', price: 4000 }, otherSupplierToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to manage this facility');
+    });
+    it('should not add a rate to a room of a company facility', async () => {
+      const response = await chai
+        .request(server)
+        .post(ratesUrl(companyFacility.rooms[0].id, companyFacility.id))
+        .set('Authorization', `Bearer ${travelAdminToken}`)
+        .send({ label: 'Weekday', price: 4000 });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.equal('The rooms of company facilities are free and cannot have rates');
+    });
+  });
+
+  describe('GET /api/facility/:facilityId/rooms/:roomId/rates', () => {
+    it('should get the rates of a room category with their company', async () => {
+      const response = await chai
+        .request(server)
+        .get(ratesUrl())
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(200);
+      const labels = response.body.data.map(({ label }) => label);
+      expect(labels).to.have.members(['Weekend', 'Long stay', 'Corporate', 'Christmas']);
+      expect(labels[0]).to.equal('Weekend');
+      expect(labels[3]).to.equal('Christmas');
+      const corporate = response.body.data.find(({ label }) => label === 'Corporate');
+      expect(corporate.company.id).to.equal(companyId);
+    });
+  });
+
+  describe('Pricing with rates', () => {
+    const book = (userId, checkIn, checkOut) => BookingService.createAccBooking({
+      userId, roomId: room.id, checkIn, checkOut
+    });
+    it('should price weekend nights with the weekend rate', async () => {
+      const booking = await book(outsiderId, '2032-06-03', '2032-06-07');
+      ({ id: bookingId } = booking);
+      expect(booking).to.include({ nights: 4, roomCost: '6250.00', totalCost: '25000.00' });
+    });
+    it('should price nights within the dates of a rate with it over the weekend rate', async () => {
+      const booking = await book(outsiderId, '2032-12-23', '2032-12-26');
+      expect(booking).to.include({ nights: 3, roomCost: '20000.00', totalCost: '60000.00' });
+    });
+    it('should only apply a rate to stays of at least its minimum number of nights', async () => {
+      const booking = await book(outsiderId, '2032-06-07', '2032-06-14');
+      expect(booking).to.include({ nights: 7, totalCost: '35000.00' });
+    });
+    it('should price the bookings of the employees of a company with its negotiated rate', async () => {
+      const booking = await book(employeeId, '2032-06-03', '2032-06-07');
+      expect(booking).to.include({ nights: 4, roomCost: '4500.00', totalCost: '18000.00' });
+    });
+    it('should price the rooms found in a search for the user', async () => {
+      const search = (token) => chai
+        .request(server)
+        .get('/api/facility/search?cityId=80&checkIn=2032-06-03&checkOut=2032-06-07')
+        .set('Authorization', `Bearer ${token}`);
+      const [employeeSearch, ownerSearch] = await Promise.all([
+        search(employeeToken), search(ownerToken)
+      ]);
+      expect(employeeSearch).to.have.status(200);
+      const findRoom = ({ body }) => {
+        const rateSuites = body.data.find(({ id }) => id === facility.id);
+        return [rateSuites, rateSuites.rooms.find(({ id }) => id === room.id)];
+      };
+      const [employeeFacility, employeeRoom] = findRoom(employeeSearch);
+      expect(employeeRoom).to.include({ stayCost: 18000, averageNightlyCost: 4500 });
+      expect(employeeFacility.lowestRoomCost).to.equal(4500);
+      const [, ownerRoom] = findRoom(ownerSearch);
+      expect(ownerRoom).to.include({ stayCost: 25000, averageNightlyCost: 6250 });
+    });
+    it('should price a modified booking again from the rates of its new nights', async () => {
+      const booking = await BookingService
+        .updateAccBooking(bookingId, { checkIn: '2032-06-05', checkOut: '2032-06-07' });
+      expect(booking).to.include({ nights: 2, roomCost: 6250, totalCost: 12500 });
+    });
+  });
+
+  describe('PATCH and DELETE /api/facility/:facilityId/rooms/:roomId/rates/:rateId', () => {
+    it('should replace the percentage of a rate with a price', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`${ratesUrl()}/${weekendRate.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ price: 8000 });
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ price: 8000, percentage: null });
+    });
+    it('should not update a rate to end before it starts', async () => {
+      const { id } = await db.RoomRate.findOne({ where: { label: 'Christmas', roomId: room.id } });
+      const response = await chai
+        .request(server)
+        .patch(`${ratesUrl()}/${id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ endDate: '2032-12-19' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('endDate must be on or after startDate');
+    });
+    it('should return a 404 error if the rate is not a rate of the room category', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`${ratesUrl(facility.rooms[1].id)}/${weekendRate.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal(`Rate with id: ${weekendRate.id} does not exist`);
+    });
+    it('should delete a rate', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`${ratesUrl()}/${weekendRate.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.id).to.equal(weekendRate.id);
+      expect(await db.RoomRate.findByPk(weekendRate.id)).to.equal(null);
+    });
+  });
+});
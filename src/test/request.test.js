@@ -4,15 +4,17 @@ import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import server from '..';
 import {
-  newCompanyUser, createCompanyFacility, newRequest, tripRequest
+  newCompanyUser, createCompanyFacility, newRequest, tripRequest, newFacility, newSupplier
 } from './dummies';
 import { AuthController, RequestController } from '../controllers';
-import { RequestService } from '../services';
+import { RequestService, FacilityService } from '../services';
 import db from '../models';
 
-const { Request } = db;
+const {
+  Request, Notification, Comment, AccommodationBooking
+} = db;
 
-const { companySignUp, userSignup } = AuthController;
+const { companySignUp, userSignup, supplierSignup } = AuthController;
 
 chai.use(chaiHttp);
 chai.use(sinonChai);
@@ -25,6 +27,9 @@ describe('Request route endpoints', () => {
   let companyAdminResponse;
   let requester;
   let adminId;
+  let adminToken;
+  let lineManager;
+  let superAdminToken;
   before(async () => {
     const reqCompany = { body: { ...companyAdmin, email: 'baystef@slack.com', companyName: 'paystack' } };
 
@@ -42,16 +47,29 @@ describe('Request route endpoints', () => {
 
     companyAdminResponse = await companySignUp(reqCompany, res);
     const { data: { signupToken, admin } } = companyAdminResponse;
+    const { companyId } = admin;
     const reqUser = {
       body: {
-        ...newCompanyUser, email: 'steve@google.com', signupToken, roleId: 5
+        ...newCompanyUser, email: 'steve@google.com', signupToken, companyId, roleId: 5
+      }
+    };
+    const reqManager = {
+      body: {
+        ...newCompanyUser, firstName: 'Ada', lastName: 'Obi', email: 'ada@google.com', signupToken, companyId, roleId: 4
       }
     };
     const companyUserResponse = await userSignup(reqUser, res);
+    lineManager = (await userSignup(reqManager, res)).data;
     userToken = companyUserResponse.data.token;
     userId = companyUserResponse.data.id;
     requester = companyUserResponse.data;
     adminId = admin.id;
+    adminToken = admin.token;
+    const { data: { user: superAdmin } } = await supplierSignup({
+      body: { ...newSupplier, email: 'super.admin@barefoot.com', password: 'Elijah38490' }
+    }, res);
+    await db.RoleUser.update({ roleId: 1 }, { where: { userId: superAdmin.id } });
+    superAdminToken = superAdmin.token;
   });
   afterEach(() => {
     sinon.restore();
@@ -83,6 +101,57 @@ describe('Request route endpoints', () => {
       const response = await chai.request(server).get('/api/users/requests').set('Cookie', `token=${userToken}`);
       expect(response).to.have.status(200);
       expect(response.body.status).to.equal('success');
+      expect(response.body.data).to.be.an('array');
+    });
+  });
+
+  describe('PATCH api/users/profile/:userId/line-manager', () => {
+    it('should not create a trip request if the requester has no line manager', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({ ...tripRequest, departureDate: '2030-11-07' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('Please update your profile with your Line Manager');
+    });
+    it('should return validation error if lineManagerId is invalid', async () => {
+      const response = await chai
+        .request(server).patch(`/api/users/profile/${userId}/line-manager`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ lineManagerId: 'Jude' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('Please enter a valid lineManagerId');
+    });
+    it('should not let a user be their own line manager when their id is sent as a string', async () => {
+      const response = await chai
+        .request(server).patch(`/api/users/profile/${userId}/line-manager`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ lineManagerId: `${userId}` });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('You cannot be your own line manager');
+    });
+    it('should not set a user who is not a manager as line manager', async () => {
+      const response = await chai
+        .request(server).patch(`/api/users/profile/${userId}/line-manager`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ lineManagerId: adminId });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal(`User with id: ${adminId} is not a manager`);
+    });
+    it('should not set a line manager outside the user\'s company', async () => {
+      const response = await chai
+        .request(server).patch(`/api/users/profile/${userId}/line-manager`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ lineManagerId: 9999 });
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('User with id: 9999 does not exist in your company');
+    });
+    it('should successfully set the line manager of a user', async () => {
+      const response = await chai
+        .request(server).patch(`/api/users/profile/${userId}/line-manager`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ lineManagerId: lineManager.id });
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ lineManagerId: lineManager.id, lineManager: 'Ada Obi' });
     });
   });
 
@@ -90,7 +159,7 @@ describe('Request route endpoints', () => {
     it('should successfully create a one-way trip request', async () => {
       const response = await chai
         .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
-        .send({ ...tripRequest, managerId: adminId });
+        .send(tripRequest);
       expect(response).to.have.status(201);
       expect(response.body.data).to.include({
         purpose: 'Official',
@@ -100,6 +169,166 @@ describe('Request route endpoints', () => {
       });
     });
 
+    it('should successfully create a round trip request for the requester\'s line manager', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          ...tripRequest, tripType: 'Round-Trip', departureDate: '2030-11-07', returnDate: '2030-11-14'
+        });
+      expect(response).to.have.status(201);
+      expect(response.body.data).to.include({
+        tripType: 'Round-Trip',
+        managerId: lineManager.id,
+        departureDate: '2030-11-07T00:00:00.000Z',
+        returnDate: '2030-11-14T00:00:00.000Z'
+      });
+    });
+
+    it('should return validation error if a round trip has no returnDate', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          ...tripRequest, tripType: 'Round-Trip', departureDate: '2030-11-07'
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('returnDate is required!');
+    });
+
+    it('should return validation error if returnDate is before departureDate', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          ...tripRequest, tripType: 'Round-Trip', departureDate: '2030-11-07', returnDate: '2030-11-01'
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('returnDate must be after departureDate');
+    });
+
+    it('should return validation error if a round trip returns on the day it departs', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          ...tripRequest, tripType: 'Round-Trip', departureDate: '2030-11-07', returnDate: '2030-11-07'
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('returnDate must be after departureDate');
+    });
+
+    it('should return validation error if a one-way trip has a returnDate', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          ...tripRequest, departureDate: '2030-11-07', returnDate: '2030-11-14'
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('returnDate is only allowed for Round-Trip requests');
+    });
+
+    it('should successfully create a multi-leg trip request', async () => {
+      const legs = [
+        { origin: 'Lagos', destination: 'Accra', departureDate: '2030-11-07' },
+        { origin: 'Accra', destination: 'Nairobi', departureDate: '2030-11-10' },
+        {
+          origin: 'Kigali', destination: 'Lagos', departureDate: '2030-11-14', isGap: true
+        }
+      ];
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          purpose: 'Regional sales tour', tripType: 'Multi-leg', legs
+        });
+      expect(response).to.have.status(201);
+      expect(response.body.data).to.include({
+        tripType: 'Multi-leg',
+        origin: 'Lagos',
+        destination: 'Lagos',
+        departureDate: '2030-11-07T00:00:00.000Z'
+      });
+      expect(response.body.data.legs).to.have.length(3);
+      expect(response.body.data.legs[2]).to.include({ legNumber: 3, origin: 'Kigali', isGap: true });
+    });
+
+    it('should record the cities a trip starts and ends in', async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          ...tripRequest, origin: 'accra, Ghana', destination: 'NAIROBI', departureDate: '2030-11-07'
+        });
+      expect(response).to.have.status(201);
+      const [accra, nairobi] = await Promise.all(['Accra', 'Nairobi']
+        .map((name) => db.City.findOne({ where: { name } })));
+      expect(response.body.data).to.include({
+        origin: 'Accra', originId: accra.id, destination: 'Nairobi', destinationId: nairobi.id
+      });
+    });
+
+    it('should return validation error if a place is not in the list of locations', async () => {
+      const responses = await Promise.all([
+        { ...tripRequest, destination: 'Atlantis', departureDate: '2030-11-07' },
+        { ...tripRequest, origin: 'Accra, Kenya', departureDate: '2030-11-07' },
+        {
+          purpose: 'Regional sales tour',
+          tripType: 'Multi-leg',
+          legs: [
+            { origin: 'Lagos', destination: 'Accra', departureDate: '2030-11-07' },
+            { origin: 'Accra', destination: 'Gotham', departureDate: '2030-11-10' }
+          ]
+        }
+      ].map((trip) => chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send(trip)));
+      responses.forEach((response) => expect(response).to.have.status(400));
+      expect(responses.map(({ body }) => body.error.message)).to.eql([
+        'destination must be a city from the list of locations, Atlantis was not found',
+        'origin must be a city from the list of locations, Accra, Kenya was not found',
+        'leg 2 destination must be a city from the list of locations, Gotham was not found'
+      ]);
+    });
+
+    it('should return validation error if a leg does not start where the previous one ended', async () => {
+      const legs = [
+        { origin: 'Lagos', destination: 'Accra', departureDate: '2030-11-07' },
+        { origin: 'Nairobi', destination: 'Lagos', departureDate: '2030-11-10' }
+      ];
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          purpose: 'Regional sales tour', tripType: 'Multi-leg', legs
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('leg 2 must start from Accra or be marked as a gap');
+    });
+
+    it('should return validation error if the legs are not in chronological order', async () => {
+      const legs = [
+        { origin: 'Lagos', destination: 'Accra', departureDate: '2030-11-07' },
+        { origin: 'Accra', destination: 'Lagos', departureDate: '2030-11-01' }
+      ];
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          purpose: 'Regional sales tour', tripType: 'Multi-leg', legs
+        });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('leg 2 departureDate must be larger than or equal to leg 1 departureDate');
+    });
+
+    it('should return a 404 error if a leg references a booking that does not belong to the requester', async () => {
+      const legs = [
+        {
+          origin: 'Lagos', destination: 'Accra', departureDate: '2030-11-07', accommodationBookingId: 9999
+        },
+        { origin: 'Accra', destination: 'Lagos', departureDate: '2030-11-10' }
+      ];
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({
+          purpose: 'Regional sales tour', tripType: 'Multi-leg', legs
+        });
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Accommodation booking with id: 9999 does not exist');
+    });
+
     it('should return validation error tripType is invalid', async () => {
       const response = await chai
         .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
@@ -175,4 +404,554 @@ describe('Request route endpoints', () => {
       expect(response.body.error.message).to.equal('departureDate should not be empty');
     });
   });
+
+  describe('PATCH and DELETE api/trip/request/:requestId', () => {
+    let requestId;
+    const latestNotification = () => Notification.findOne({
+      where: { userId: lineManager.id }, order: [['id', 'DESC']]
+    });
+    before(async () => {
+      const { id } = await Request.create({
+        ...newRequest, departureDate: '2030-12-01', requesterId: requester.id, managerId: lineManager.id
+      });
+      requestId = id;
+    });
+
+    it('should prevent a user who is not the requester from editing a request', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${adminToken}`)
+        .send({ destination: 'Kano' });
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to modify this request');
+    });
+    it('should return validation error if the edit is invalid', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ destination: 'Ab' });
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('destination must not be less than 3 letters');
+    });
+    it('should successfully edit a pending request and notify the manager', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ destination: 'Kano' });
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: requestId, origin: 'Lagos', destination: 'Kano' });
+      const notification = await latestNotification();
+      expect(notification.message).to.equal('Mike Tyson has edited their travel request to Kano');
+    });
+    it('should keep the current details of a request when changing it to a round trip', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ tripType: 'Round-Trip', returnDate: '2030-12-10' });
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({
+        tripType: 'Round-Trip',
+        destination: 'Kano',
+        departureDate: '2030-12-01T00:00:00.000Z',
+        returnDate: '2030-12-10T00:00:00.000Z'
+      });
+    });
+    it('should return a 404 error when cancelling a request that does not exist', async () => {
+      const response = await chai
+        .request(server).delete('/api/trip/request/9999')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Travel Request of id: 9999 doesn\'t exist');
+    });
+    it('should successfully cancel a pending request and notify the manager', async () => {
+      const response = await chai
+        .request(server).delete(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: requestId, statusId: 4 });
+      const notification = await latestNotification();
+      expect(notification.message).to.equal('Mike Tyson has cancelled their travel request to Kano');
+    });
+    it('should not edit a request that is no longer pending', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ destination: 'Jos' });
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal('This request cannot be edited while it is cancelled');
+    });
+  });
+
+  describe('GET api/users/requests/pending-approval', () => {
+    let requestId;
+    before(async () => {
+      const { id } = await Request.create({
+        ...newRequest, departureDate: '2031-01-15', requesterId: requester.id, managerId: adminId
+      });
+      requestId = id;
+      await Comment.create({ message: 'Please attach the agenda', userId: adminId, requestId });
+    });
+
+    it('should get the pending requests of a manager with the requester name and comment count', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests/pending-approval?from=2031-01-01&to=2031-01-31')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ total: 1, page: 1, limit: 10 });
+      const [request] = response.body.data.requests;
+      expect(request).to.include({
+        id: requestId,
+        requesterName: `${requester.firstName} ${requester.lastName}`,
+        commentCount: 1
+      });
+    });
+    it('should return an empty list if the manager has no requests matching the filters', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests/pending-approval?status=approved&from=2031-01-01')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.total).to.equal(0);
+      expect(response.body.data.requests).to.eql([]);
+    });
+    it('should not list the requests of another manager', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests/pending-approval')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.total).to.equal(0);
+    });
+    it('should return validation error if the query is invalid', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests/pending-approval?limit=500')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('limit must be a number between 1 and 100');
+    });
+  });
+
+  describe('PATCH api/trip/request/:requestId/approve|reject|reopen', () => {
+    let requestId;
+    before(async () => {
+      const { id } = await Request.create({
+        ...newRequest, requesterId: requester.id, managerId: adminId
+      });
+      requestId = id;
+    });
+
+    it('should prevent a user who is not the manager from approving a request', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/approve`)
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to update the status of this request');
+    });
+    it('should prevent a travel admin from approving their own request', async () => {
+      const { id } = await Request.create({
+        ...newRequest, requesterId: adminId, managerId: lineManager.id
+      });
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${id}/approve`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You cannot update the status of your own request');
+    });
+    it('should return a 404 error if the request does not exist', async () => {
+      const response = await chai
+        .request(server).patch('/api/trip/request/9999/approve')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Travel Request of id: 9999 doesn\'t exist');
+    });
+    it('should require a reason when rejecting a request', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/reject`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('reason is required when rejecting a request!');
+    });
+    it('should successfully reject a request and notify the requester', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/reject`)
+        .set('Cookie', `token=${adminToken}`)
+        .send({ reason: 'The budget for this quarter has been exhausted' });
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: requestId, statusId: 3 });
+      const notification = await Notification.findOne({ where: { userId: requester.id } });
+      expect(notification.message).to.equal('Your travel request to Abuja has been rejected: The budget for this quarter has been exhausted');
+    });
+    it('should not approve a rejected request that has not been reopened', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/approve`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal('This request cannot be approved while it is rejected');
+    });
+    it('should successfully reopen a rejected request', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/reopen`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: requestId, statusId: 2 });
+    });
+    it('should successfully approve a pending request', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/approve`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: requestId, statusId: 1 });
+    });
+    it('should only let one of a concurrent approval and rejection change a request', async () => {
+      const { id } = await Request.create({
+        ...newRequest, requesterId: requester.id, managerId: adminId
+      });
+      const responses = await Promise.all([
+        chai.request(server).patch(`/api/trip/request/${id}/approve`)
+          .set('Cookie', `token=${adminToken}`),
+        chai.request(server).patch(`/api/trip/request/${id}/reject`)
+          .set('Cookie', `token=${adminToken}`)
+          .send({ reason: 'The budget for this quarter has been exhausted' })
+      ]);
+      expect(responses.map(({ status }) => status).sort()).to.eql([200, 409]);
+      expect(await db.RequestStatusHistory.count({ where: { requestId: id } })).to.equal(1);
+    });
+    it('should get a request with its comments and status history', async () => {
+      const response = await chai
+        .request(server).get(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      const {
+        status, requester: { id }, manager, comments, statusHistory
+      } = response.body.data;
+      expect(status.label).to.equal('Approved');
+      expect(id).to.equal(requester.id);
+      expect(manager.id).to.equal(adminId);
+      expect(comments[0].message).to.equal('The budget for this quarter has been exhausted');
+      expect(statusHistory.map(({ previousStatusId, statusId }) => [previousStatusId, statusId]))
+        .to.eql([[2, 3], [3, 2], [2, 1]]);
+      expect(statusHistory[0]).to.include({
+        userId: adminId, reason: 'The budget for this quarter has been exhausted'
+      });
+      expect(statusHistory[0].status.label).to.equal('Rejected');
+    });
+  });
+
+  describe('Accommodation booked for a trip request', () => {
+    let requestId;
+    let roomId;
+    let bookingId;
+    const book = async () => {
+      ({ id: bookingId } = await AccommodationBooking.create({
+        userId: requester.id, roomId, requestId, checkIn: '2031-03-02', checkOut: '2031-03-05', status: 'reserved'
+      }));
+    };
+    const bookingStatus = async () => (await AccommodationBooking.findByPk(bookingId)).status;
+    before(async () => {
+      const { companyId } = companyAdminResponse.data.admin;
+      const facility = await FacilityService.createFacility({
+        ...newFacility, name: 'Trip Lodge', companyType: 'company', companyId
+      });
+      [{ id: roomId }] = facility.rooms;
+      ({ id: requestId } = await Request.create({
+        ...newRequest,
+        tripType: 'Round-Trip',
+        departureDate: '2031-03-01',
+        returnDate: '2031-03-10',
+        requesterId: requester.id,
+        managerId: adminId
+      }));
+      await book();
+    });
+
+    it('should cancel the accommodation booked for a trip request that is rejected', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/reject`)
+        .set('Cookie', `token=${adminToken}`)
+        .send({ reason: 'The trip can be done remotely' });
+      expect(response).to.have.status(200);
+      expect(response.body.data.cancelledBookings).to.eql([bookingId]);
+      expect(await bookingStatus()).to.equal('cancelled');
+    });
+    it('should keep the accommodation booked for a trip request that is reopened', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}/reopen`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      await book();
+      expect(await bookingStatus()).to.equal('reserved');
+    });
+    it('should not edit the dates of a trip request to leave out the accommodation booked for it', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ departureDate: '2031-03-03' });
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.equal(`The accommodation booked from 2031-03-02 to 2031-03-05 is not within the new dates of the trip, modify or cancel booking ${bookingId} first`);
+      const request = await Request.findByPk(requestId);
+      expect(request.departureDate.toISOString()).to.equal('2031-03-01T00:00:00.000Z');
+    });
+    it('should edit the dates of a trip request that still include the accommodation booked for it', async () => {
+      const response = await chai
+        .request(server).patch(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`)
+        .send({ departureDate: '2031-03-02', returnDate: '2031-03-05' });
+      expect(response).to.have.status(200);
+      expect(await bookingStatus()).to.equal('reserved');
+    });
+    it('should cancel the accommodation booked for a cancelled trip request and notify the facility admins', async () => {
+      const response = await chai
+        .request(server).delete(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.cancelledBookings).to.eql([bookingId]);
+      expect(await bookingStatus()).to.equal('cancelled');
+      const notification = await Notification.findOne({
+        where: { userId: adminId }, order: [['id', 'DESC']]
+      });
+      expect(notification.message).to.equal('Mike Tyson has cancelled a booking at Trip Lodge from 2031-03-02 to 2031-03-05');
+    });
+  });
+
+  describe('Searching and filtering trip requests', () => {
+    let roadshowId;
+    let summitId;
+    before(async () => {
+      const trip = { ...newRequest, requesterId: requester.id, managerId: adminId };
+      ({ id: roadshowId } = await Request.create({
+        ...trip, origin: 'Warri', destination: 'Port Harcourt', purpose: 'Quarterly investor roadshow', departureDate: '2032-03-10'
+      }));
+      ({ id: summitId } = await Request.create({
+        ...trip, origin: 'Warri', destination: 'Calabar', purpose: 'Regional sales summit', departureDate: '2032-04-02'
+      }));
+    });
+
+    it('should filter a user\'s requests by part of the destination', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests?destination=harcourt')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.map(({ id }) => id)).to.eql([roadshowId]);
+    });
+    it('should search the purpose of a user\'s requests', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests?search=investors%20roadshows')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.map(({ id }) => id)).to.eql([roadshowId]);
+    });
+    it('should match a percent sign or underscore in the destination literally', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests?destination=port%25court&origin=w_rri')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.eql([]);
+    });
+    it('should sort and paginate a user\'s requests', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests?from=2032-01-01&sortBy=departureDate&order=desc&limit=1&page=2')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ total: 2, page: 2, limit: 1 });
+      expect(response.body.data.requests[0].id).to.equal(roadshowId);
+    });
+    it('should return an empty list if no request matches the filters', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests?status=rejected&from=2032-01-01')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.eql([]);
+    });
+    it('should apply the same filters to the manager\'s requests', async () => {
+      const response = await chai
+        .request(server).get('/api/users/requests/pending-approval?origin=WARRI&search=summit')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.requests.map(({ id }) => id)).to.eql([summitId]);
+    });
+  });
+
+  describe('Request status history', () => {
+    let requestId;
+    before(async () => {
+      const { id } = await Request.create({
+        ...newRequest, destination: 'Ibadan', requesterId: requester.id, managerId: adminId
+      });
+      requestId = id;
+      await chai.request(server).patch(`/api/trip/request/${id}/reject`)
+        .set('Cookie', `token=${adminToken}`)
+        .send({ reason: 'Travel to Ibadan is suspended, use "video" calls' });
+    });
+
+    it('should get the status changes of a request', async () => {
+      const response = await chai
+        .request(server).get(`/api/trip/request/${requestId}/history`)
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.have.lengthOf(1);
+      const [change] = response.body.data;
+      expect(change).to.include({ previousStatusId: 2, statusId: 3, userId: adminId });
+      expect(change.previousStatus.label).to.equal('Pending');
+      expect(change.status.label).to.equal('Rejected');
+    });
+    it('should prevent a staff member who is not an admin from exporting the company history', async () => {
+      const response = await chai
+        .request(server).get('/api/company/requests/status-history.csv')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(403);
+    });
+    it('should not export the status history of an admin who is not in a company', async () => {
+      const response = await chai
+        .request(server).get('/api/company/requests/status-history.csv')
+        .set('Cookie', `token=${superAdminToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not an admin of a company');
+    });
+    it('should export the status history of the company\'s requests as CSV', async () => {
+      const response = await chai
+        .request(server).get('/api/company/requests/status-history.csv')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response).to.have.header('content-type', /text\/csv/);
+      const [header, ...rows] = response.text.split('\n');
+      expect(header).to.equal('requestId,requester,origin,destination,departureDate,previousStatus,newStatus,changedBy,changedById,reason,changedAt');
+      const row = rows.find((line) => line.startsWith(`${requestId},`));
+      expect(row).to.include(',Ibadan,');
+      expect(row).to.include(`,Pending,Rejected,${companyAdmin.firstName} ${companyAdmin.lastName},${adminId},"Travel to Ibadan is suspended, use ""video"" calls",`);
+    });
+    it('should export text that spreadsheets would run as a formula as text', async () => {
+      const { id } = await Request.create({
+        ...newRequest, destination: '@SUM(A1:A9)', requesterId: requester.id, managerId: adminId
+      });
+      await chai.request(server).patch(`/api/trip/request/${id}/reject`)
+        .set('Cookie', `token=${adminToken}`)
+        .send({ reason: '=HYPERLINK("http://example.com","Details")' });
+      const response = await chai
+        .request(server).get('/api/company/requests/status-history.csv')
+        .set('Cookie', `token=${adminToken}`);
+      const row = response.text.split('\n').find((line) => line.startsWith(`${id},`));
+      expect(row).to.include(',\'@SUM(A1:A9),');
+      expect(row).to.include(',"\'=HYPERLINK(""http://example.com"",""Details"")",');
+    });
+  });
+
+  describe('GET api/company/analytics', () => {
+    const window = 'from=2033-01-01&to=2033-12-31';
+    before(async () => {
+      const trip = { ...newRequest, requesterId: requester.id, managerId: adminId };
+      await Request.bulkCreate([
+        {
+          ...trip, destination: 'Kigali', departureDate: '2033-05-10', statusId: 1
+        },
+        { ...trip, destination: 'Kigali', departureDate: '2033-05-20' },
+        {
+          ...trip, destination: 'Nairobi', departureDate: '2033-06-01', statusId: 3
+        }
+      ]);
+    });
+
+    it('should get the travel analytics of the admin\'s company', async () => {
+      const response = await chai
+        .request(server).get(`/api/company/analytics?${window}`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      const {
+        totalTrips, tripsPerDestination, tripsPerDepartment, approvalRate,
+        averageLeadTimeDays, topTravelers
+      } = response.body.data;
+      expect(totalTrips).to.equal(2);
+      expect(tripsPerDestination).to.eql([{ destination: 'Kigali', trips: 2 }]);
+      expect(tripsPerDepartment).to.eql([{ department: 'Unassigned', trips: 2 }]);
+      expect(approvalRate).to.equal(50);
+      expect(averageLeadTimeDays).to.be.above(0);
+      expect(topTravelers).to.eql([{ userId: requester.id, name: 'Mike Tyson', trips: 2 }]);
+    });
+    it('should get the travel analytics as CSV', async () => {
+      const response = await chai
+        .request(server).get(`/api/company/analytics?${window}&format=csv`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response).to.have.header('content-type', /text\/csv/);
+      const lines = response.text.split('\n');
+      expect(lines[0]).to.equal('metric,name,value');
+      expect(lines).to.include.members(['totalTrips,,2', 'approvalRate,,50', 'tripsPerDestination,Kigali,2']);
+    });
+    it('should return validation error if the format is not supported', async () => {
+      const response = await chai
+        .request(server).get('/api/company/analytics?format=pdf')
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.equal('format must be one of json or csv');
+    });
+    it('should prevent a staff member who is not an admin from getting the analytics', async () => {
+      const response = await chai
+        .request(server).get('/api/company/analytics')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(403);
+    });
+    it('should not get the analytics of an admin who is not in a company', async () => {
+      const response = await chai
+        .request(server).get('/api/company/analytics')
+        .set('Cookie', `token=${superAdminToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not an admin of a company');
+    });
+  });
+
+  describe('GET api/trip/request/:requestId', () => {
+    let requestId;
+    before(async () => {
+      const response = await chai
+        .request(server).post('/api/trip/request').set('Cookie', `token=${userToken};`)
+        .send({ ...tripRequest, departureDate: '2030-10-01' });
+      requestId = response.body.data.id;
+    });
+
+    it('should record the creation of a request in its status history', async () => {
+      const response = await chai
+        .request(server).get(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${lineManager.token}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.statusHistory).to.have.lengthOf(1);
+      expect(response.body.data.statusHistory[0]).to.include({
+        previousStatusId: null, statusId: 2, userId: requester.id
+      });
+    });
+    it('should allow a travel admin of the requester\'s company to view a request', async () => {
+      const response = await chai
+        .request(server).get(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: requestId, destination: 'Lagos' });
+    });
+    it('should prevent a user outside the request from viewing it', async () => {
+      const reqUser = {
+        body: {
+          ...newCompanyUser, email: 'outsider@google.com', roleId: 5
+        }
+      };
+      const res = {
+        status() {
+          return this;
+        },
+        cookie() {
+          return this;
+        },
+        json(obj) {
+          return obj;
+        }
+      };
+      const { data: { token } } = await userSignup(reqUser, res);
+      const response = await chai
+        .request(server).get(`/api/trip/request/${requestId}`)
+        .set('Cookie', `token=${token}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.equal('You are not authorized to view this request');
+    });
+    it('should return a 404 error if the request does not exist', async () => {
+      const response = await chai
+        .request(server).get('/api/trip/request/9999')
+        .set('Cookie', `token=${userToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.equal('Travel Request of id: 9999 doesn\'t exist');
+    });
+  });
 });
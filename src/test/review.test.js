@@ -0,0 +1,253 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import faker from 'faker';
+import sinon from 'sinon';
+import server from '..';
+import db from '../models';
+import { AuthController } from '../controllers';
+import { FacilityService, BookingService } from '../services';
+import { newCompanyUser, newSupplier, newFacility } from './dummies';
+
+chai.use(chaiHttp);
+
+describe('Review route endpoints', () => {
+  let supplierToken;
+  let otherSupplierToken;
+  let travelerToken;
+  let traveler;
+  let strangerToken;
+  let facility;
+  let otherFacility;
+  let stay;
+  let review;
+  const bookings = {};
+  before(async () => {
+    const res = {
+      cookie() { return this; },
+      status() { return this; },
+      json(obj) { return obj; }
+    };
+    const signUpSupplier = () => AuthController.supplierSignup({
+      body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+    }, res);
+    const [supplier, otherSupplier] = await Promise.all([signUpSupplier(), signUpSupplier()]);
+    supplierToken = supplier.data.user.token;
+    otherSupplierToken = otherSupplier.data.user.token;
+    const { data: { signupToken } } = await AuthController.companySignUp({
+      body: {
+        firstName: 'Tola',
+        lastName: 'Ade',
+        email: faker.internet.email(),
+        password: 'Elijah38490',
+        companyName: faker.company.companyName(),
+        companyAddress: '9, Allen Avenue',
+        companySizeId: 1,
+        companyPlanId: 1
+      }
+    }, res);
+    const signUpUser = () => AuthController.userSignup({
+      body: {
+        ...newCompanyUser, email: faker.internet.email(), signupToken, roleId: 5
+      }
+    }, res);
+    ({ data: traveler } = await signUpUser());
+    travelerToken = traveler.token;
+    const { data: stranger } = await signUpUser();
+    strangerToken = stranger.token;
+    [facility, otherFacility] = await Promise.all(['Yaba Inn', 'Surulere Inn']
+      .map((name) => FacilityService.createFacility({
+        ...newFacility, name, companyType: 'supplier', supplierId: supplier.data.supplier.id
+      })));
+    const book = (room, checkIn, checkOut) => BookingService.createAccBooking({
+      userId: traveler.id, roomId: room.id, checkIn, checkOut
+    });
+    [
+      stay, bookings.upcoming, bookings.cancelled, bookings.elsewhere, bookings.noShow
+    ] = await Promise.all([
+      book(facility.rooms[0], '2019-01-10', '2019-01-12'),
+      book(facility.rooms[0], '2033-01-10', '2033-01-12'),
+      book(facility.rooms[0], '2019-02-10', '2019-02-12'),
+      book(otherFacility.rooms[0], '2019-03-10', '2019-03-12'),
+      book(facility.rooms[0], '2019-04-10', '2019-04-12')
+    ]);
+    await Promise.all([
+      BookingService.updateBookingStatus(stay.id, 'checked-out'),
+      BookingService.updateBookingStatus(bookings.cancelled.id, 'cancelled')
+    ]);
+  });
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('POST /api/facility/:facilityId/reviews', () => {
+    const reviewUrl = () => `/api/facility/${facility.id}/reviews`;
+    const newReview = () => ({ bookingId: stay.id, rating: 4, comment: 'Clean rooms and a quiet street' });
+    it('should prevent an unauthenticated user from reviewing a facility', async () => {
+      const response = await chai.request(server).post(reviewUrl()).send(newReview());
+      expect(response).to.have.status(401);
+    });
+    it('should return a validation error if the rating is not between 1 and 5', async () => {
+      const response = await chai
+        .request(server)
+        .post(reviewUrl())
+        .send({ ...newReview(), rating: 6 })
+        .set('Cookie', `token=${travelerToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('Please enter a rating between 1 and 5');
+    });
+    it('should return a 404 error if the facility does not exist', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/facility/99999/reviews')
+        .send(newReview())
+        .set('Cookie', `token=${travelerToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('This facility does not exist');
+    });
+    it('should prevent a user from reviewing with the booking of another user', async () => {
+      const response = await chai
+        .request(server)
+        .post(reviewUrl())
+        .send(newReview())
+        .set('Cookie', `token=${strangerToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You can only review your own stays');
+    });
+    it('should prevent a user from reviewing with a booking at another facility', async () => {
+      const response = await chai
+        .request(server)
+        .post(reviewUrl())
+        .send({ ...newReview(), bookingId: bookings.elsewhere.id })
+        .set('Cookie', `token=${travelerToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql(`Booking with id: ${bookings.elsewhere.id} is not at Yaba Inn`);
+    });
+    it('should prevent a user from reviewing a stay that has not ended, was cancelled or was not checked out', async () => {
+      const responses = await Promise.all([bookings.upcoming, bookings.cancelled, bookings.noShow]
+        .map(({ id }) => chai
+          .request(server)
+          .post(reviewUrl())
+          .send({ ...newReview(), bookingId: id })
+          .set('Cookie', `token=${travelerToken}`)));
+      responses.forEach((response) => {
+        expect(response).to.have.status(403);
+        expect(response.body.error.message)
+          .to.eql('You can only review a facility after checking out of it');
+      });
+    });
+    it('should let a user review a facility after checking out', async () => {
+      const response = await chai
+        .request(server)
+        .post(reviewUrl())
+        .send(newReview())
+        .set('Cookie', `token=${travelerToken}`);
+      expect(response).to.have.status(201);
+      ({ data: review } = response.body);
+      expect(review.rating).to.eql(4);
+      expect(review.facilityId).to.eql(facility.id);
+      expect(review.userId).to.eql(traveler.id);
+      expect(review.reply).to.eql(null);
+    });
+    it('should prevent a user from reviewing the same stay twice', async () => {
+      const response = await chai
+        .request(server)
+        .post(reviewUrl())
+        .send(newReview())
+        .set('Cookie', `token=${travelerToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message).to.eql('You have already reviewed this stay');
+    });
+  });
+
+  describe('Facility ratings', () => {
+    before(async () => {
+      await db.Review.create({
+        userId: traveler.id,
+        facilityId: facility.id,
+        bookingId: bookings.cancelled.id,
+        rating: 5,
+        comment: 'Great breakfast'
+      });
+    });
+    it('should get the reviews of a facility with its average rating', async () => {
+      const response = await chai.request(server).get(`/api/facility/${facility.id}/reviews`);
+      expect(response).to.have.status(200);
+      const { data } = response.body;
+      expect(data.total).to.eql(2);
+      expect(data.averageRating).to.eql(4.5);
+      expect(data.reviews[0].comment).to.eql('Great breakfast');
+      expect(data.reviews[0].reviewer.firstName).to.eql(newCompanyUser.firstName);
+    });
+    it('should return a 404 error for the reviews of a facility that does not exist', async () => {
+      const response = await chai.request(server).get('/api/facility/99999/reviews');
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('This facility does not exist');
+    });
+    it('should show the average rating of a facility in its details', async () => {
+      const response = await chai.request(server).get(`/api/facility/${facility.id}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.averageRating).to.eql(4.5);
+      expect(response.body.data.reviewCount).to.eql(2);
+    });
+    it('should show the average ratings of the facilities listed', async () => {
+      const response = await chai.request(server).get('/api/facility?limit=100');
+      expect(response).to.have.status(200);
+      const { facilities } = response.body.data;
+      const rated = facilities.find(({ id }) => id === facility.id);
+      const unrated = facilities.find(({ id }) => id === otherFacility.id);
+      expect(rated.averageRating).to.eql(4.5);
+      expect(unrated.averageRating).to.eql(null);
+      expect(unrated.reviewCount).to.eql(0);
+    });
+    it('should return a 500 error response if something goes wrong while getting reviews', async () => {
+      sinon.stub(db.Review, 'findAndCountAll').rejects(new Error('Connection lost'));
+      const response = await chai.request(server).get(`/api/facility/${facility.id}/reviews`);
+      expect(response).to.have.status(500);
+    });
+  });
+
+  describe('PATCH /api/facility/:facilityId/reviews/:reviewId/reply', () => {
+    const replyUrl = () => `/api/facility/${facility.id}/reviews/${review.id}/reply`;
+    it('should prevent an admin of another supplier from replying to a review', async () => {
+      const response = await chai
+        .request(server)
+        .patch(replyUrl())
+        .send({ reply: 'Thank you for staying with us' })
+        .set('authorization', `Bearer ${otherSupplierToken}`);
+      expect(response).to.have.status(403);
+      expect(response.body.error.message).to.eql('You are not authorized to manage this facility');
+    });
+    it('should return a validation error if the reply is empty', async () => {
+      const response = await chai
+        .request(server)
+        .patch(replyUrl())
+        .send({ reply: '' })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please enter a valid reply and ensure it is not more than 1500 characters long');
+    });
+    it('should return a 404 error if the review is not a review of the facility', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/facility/${otherFacility.id}/reviews/${review.id}/reply`)
+        .send({ reply: 'Thank you for staying with us' })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql(`Review with id: ${review.id} does not exist`);
+    });
+    it('should let the supplier reply to a review and notify the reviewer', async () => {
+      const countNotifications = () => db.Notification.count({ where: { userId: traveler.id } });
+      const notifications = await countNotifications();
+      const response = await chai
+        .request(server)
+        .patch(replyUrl())
+        .send({ reply: 'Thank you for staying with us' })
+        .set('authorization', `Bearer ${supplierToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.reply).to.eql('Thank you for staying with us');
+      expect(await countNotifications()).to.equal(notifications + 1);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import faker from 'faker';
+import server from '..';
+import db from '../models';
+import { AuthController } from '../controllers';
+import { newSupplier, newFacility } from './dummies';
+
+chai.use(chaiHttp);
+
+describe('Room category route endpoints', () => {
+  let adminToken;
+  let others;
+  let penthouse;
+  let royalRoom;
+  before(async () => {
+    const res = {
+      cookie() { return this; },
+      status() { return this; },
+      json(obj) { return obj; }
+    };
+    const { data: { user } } = await AuthController.supplierSignup({
+      body: { ...newSupplier, email: faker.internet.email(), password: 'Elijah38490' }
+    }, res);
+    adminToken = user.token;
+    others = await db.RoomCategory.findOne({ where: { label: 'Others' }, order: [['id', 'ASC']] });
+  });
+
+  describe('GET /api/room-categories', () => {
+    it('should get all the room categories ordered by label', async () => {
+      const response = await chai.request(server).get('/api/room-categories');
+      expect(response).to.have.status(200);
+      const labels = response.body.data.map(({ label }) => label);
+      expect(labels).to.include.members(['Double', 'Others', 'Single']);
+      expect(labels).to.eql([...labels].sort());
+    });
+  });
+
+  describe('POST /api/room-categories', () => {
+    it('should return a validation error if the label is missing', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/room-categories')
+        .send({ description: 'A room at the top of the building' })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please enter a label for the room category between 3 and 50 characters long');
+    });
+    it('should add a room category', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/room-categories')
+        .send({ label: 'Royal Room', description: 'A room with a lounge and a study' })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(201);
+      ({ data: royalRoom } = response.body);
+      expect(royalRoom.label).to.eql('Royal Room');
+    });
+    it('should not add a room category whose label is already taken', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/room-categories')
+        .send({ label: 'royal room' })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.eql('A room category with the label: Royal Room already exists');
+    });
+  });
+
+  describe('Adding room categories with Others', () => {
+    const othersFacility = (name, newCategory) => ({
+      ...newFacility,
+      name,
+      rooms: [{
+        roomCount: 1, roomCategoryId: others.id, occupancyCount: 2, roomCost: 9000, newCategory
+      }]
+    });
+    it('should require a new category for the rooms in the Others category', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/facility/supplier')
+        .send(othersFacility('Peak Hotel'))
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please enter a newCategory for the rooms in the Others category');
+    });
+    it('should return a 404 error if a room category does not exist', async () => {
+      const response = await chai
+        .request(server)
+        .post('/api/facility/supplier')
+        .send({ ...newFacility, rooms: [{ ...newFacility.rooms[0], roomCategoryId: 99999 }] })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('Room category with id: 99999 does not exist');
+    });
+    it('should reuse a room category entered with Others instead of duplicating it', async () => {
+      const addFacility = (name, newCategory) => chai
+        .request(server)
+        .post('/api/facility/supplier')
+        .send(othersFacility(name, newCategory))
+        .set('authorization', `Bearer ${adminToken}`)
+        .then((response) => response.body.data);
+      const first = await addFacility('Peak Hotel', 'Penthouse');
+      const second = await addFacility('Summit Inn', 'penthouse ');
+      const penthouses = await db.RoomCategory.findAll({ where: { label: 'Penthouse' } });
+      expect(penthouses.length).to.eql(1);
+      [penthouse] = penthouses;
+      expect(first.rooms[0].roomCategoryId).to.eql(penthouse.id);
+      expect(second.rooms[0].roomCategoryId).to.eql(penthouse.id);
+      const third = await addFacility('Crest Lodge', 'Royal room');
+      expect(third.rooms[0].roomCategoryId).to.eql(royalRoom.id);
+    });
+  });
+
+  describe('PATCH /api/room-categories/:roomCategoryId', () => {
+    it('should change the description of a room category', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/room-categories/${penthouse.id}`)
+        .send({ description: 'A luxury room on the top floor' })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data)
+        .to.include({ label: 'Penthouse', description: 'A luxury room on the top floor' });
+    });
+    it('should not rename the Others category', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/room-categories/${others.id}`)
+        .send({ label: 'Other rooms' })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message).to.eql('The Others category cannot be renamed');
+    });
+    it('should return a validation error if there is nothing to update', async () => {
+      const response = await chai
+        .request(server)
+        .patch(`/api/room-categories/${penthouse.id}`)
+        .send({})
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('Please provide the label and/or description of the room category');
+    });
+  });
+
+  describe('POST /api/room-categories/:roomCategoryId/merge', () => {
+    const mergeUrl = (roomCategory) => `/api/room-categories/${roomCategory.id}/merge`;
+    it('should not merge the Others category with a listed category', async () => {
+      const response = await chai
+        .request(server)
+        .post(mergeUrl(royalRoom))
+        .send({ categoryIds: [others.id] })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(400);
+      expect(response.body.error.message)
+        .to.eql('The Others category can only be merged with another Others category');
+    });
+    it('should return a 404 error if a room category being merged does not exist', async () => {
+      const response = await chai
+        .request(server)
+        .post(mergeUrl(royalRoom))
+        .send({ categoryIds: [penthouse.id, 99999] })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(404);
+      expect(response.body.error.message).to.eql('Room category with id: 99999 does not exist');
+      expect(await db.RoomCategory.findByPk(penthouse.id)).to.not.eql(null);
+    });
+    it('should move the rooms of the merged categories and delete them', async () => {
+      const response = await chai
+        .request(server)
+        .post(mergeUrl(royalRoom))
+        .send({ categoryIds: [penthouse.id] })
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(response.body.data).to.include({ id: royalRoom.id, roomsMoved: 2 });
+      expect(await db.RoomCategory.findByPk(penthouse.id)).to.eql(null);
+      expect(await db.Room.count({ where: { roomCategoryId: royalRoom.id } })).to.eql(3);
+    });
+  });
+
+  describe('DELETE /api/room-categories/:roomCategoryId', () => {
+    it('should not delete a room category that has rooms', async () => {
+      const response = await chai
+        .request(server)
+        .delete(`/api/room-categories/${royalRoom.id}`)
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(409);
+      expect(response.body.error.message)
+        .to.eql('This room category has 3 room(s), merge it into another category instead');
+    });
+    it('should delete a room category that has no rooms', async () => {
+      const { body: { data: studio } } = await chai
+        .request(server)
+        .post('/api/room-categories')
+        .send({ label: 'Loft Studio' })
+        .set('authorization', `Bearer ${adminToken}`);
+      const response = await chai
+        .request(server)
+        .delete(`/api/room-categories/${studio.id}`)
+        .set('authorization', `Bearer ${adminToken}`);
+      expect(response).to.have.status(200);
+      expect(await db.RoomCategory.findByPk(studio.id)).to.eql(null);
+    });
+  });
+});
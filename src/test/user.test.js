@@ -81,6 +81,14 @@ describe('PUT REQUESTS', () => {
     expect(response).to.have.status(200);
     expect(status).to.equal('success');
   });
+  it('should point a user updating their line manager on the profile to its own endpoint', async () => {
+    const { id } = newlyCreatedUser;
+    const response = await chai.request(server).put(`/api/users/profile/${id}`)
+      .send({ firstName: 'Ada', lineManager: 'Ngozi Obi' })
+      .set('authorization', `Bearer ${token}`);
+    expect(response).to.have.status(400);
+    expect(response.body.error.message).to.equal('The line manager can only be set with PATCH /api/users/profile/:userId/line-manager');
+  });
 });
 
 describe('GET /users/requests', () => {
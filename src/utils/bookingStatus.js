@@ -0,0 +1,22 @@
+const reserved = 'reserved';
+const confirmed = 'confirmed';
+const cancelled = 'cancelled';
+const checkedIn = 'checked-in';
+const checkedOut = 'checked-out';
+
+export default {
+  reserved,
+  confirmed,
+  cancelled,
+  checkedIn,
+  checkedOut,
+  statuses: [reserved, confirmed, cancelled, checkedIn, checkedOut],
+  transitions: {
+    modify: { from: [reserved, confirmed], to: reserved, label: 'modified' },
+    cancel: { from: [reserved, confirmed], to: cancelled, label: 'cancelled' },
+    confirm: { from: [reserved], to: confirmed, label: 'confirmed' },
+    decline: { from: [reserved], to: cancelled, label: 'declined' },
+    checkIn: { from: [confirmed], to: checkedIn, label: 'checked in' },
+    checkOut: { from: [checkedIn], to: checkedOut, label: 'checked out' }
+  }
+};
@@ -173,6 +173,7 @@ class Helpers {
       role: user.role,
       department: user.department,
       lineManager: user.lineManager,
+      lineManagerId: user.lineManagerId,
       preferredCurrency: user.preferredCurrency,
       preferredLanguage: user.preferredLanguage,
       createdAt: user.createdAt,
@@ -294,6 +295,38 @@ class Helpers {
       return newItem;
     });
   }
+
+  /**
+   * Converts a collection to CSV, with a header row made from the given fields. Text
+   * starting with a character that spreadsheets read as a formula is prefixed with a
+   * quote so that it is shown as text rather than run.
+   * @static
+   * @param {array} collection - An array of objects.
+   * @param {array} fields - The keys of the objects to be included, in column order.
+   * @returns {string} The CSV text.
+   * @memberof Helpers
+   */
+  static toCsv(collection, fields) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = collection.map((item) => fields.map((field) => escape(item[field])).join(','));
+    return [fields.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Escapes the characters that have a special meaning in a LIKE pattern.
+   * @static
+   * @param {string} text - The text to be escaped.
+   * @returns {string} The escaped text.
+   * @memberof Helpers
+   */
+  static escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+  }
 }
 
 export default Helpers;
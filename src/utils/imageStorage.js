@@ -0,0 +1,67 @@
+import path from 'path';
+import env from '../config/env-config';
+import LocalStorage from './localStorage';
+
+const { IMAGE_STORAGE = 'local', UPLOADS_DIR = 'uploads' } = env;
+
+const backends = {
+  local: new LocalStorage(path.resolve(UPLOADS_DIR), '/uploads')
+};
+
+/**
+ * Saves and removes uploaded images through the storage backend set by the
+ * IMAGE_STORAGE environment variable, the local disk by default. A backend is an
+ * object with a save(buffer, filename) method that resolves to the url of the file
+ * and a remove(url) method.
+ *
+ * @class ImageStorage
+ */
+export default class ImageStorage {
+  /**
+   * Adds a storage backend that can be chosen with IMAGE_STORAGE.
+   * @static
+   * @param {string} name - The name of the backend.
+   * @param {object} backend - The backend.
+   * @returns {object} The backend.
+   * @memberof ImageStorage
+   */
+  static register(name, backend) {
+    backends[name] = backend;
+    return backend;
+  }
+
+  /**
+   * Gets the storage backend in use.
+   * @static
+   * @returns {object} The backend.
+   * @memberof ImageStorage
+   */
+  static backend() {
+    const backend = backends[IMAGE_STORAGE];
+    if (!backend) throw new Error(`${IMAGE_STORAGE} is not a registered image storage`);
+    return backend;
+  }
+
+  /**
+   * Saves an image.
+   * @static
+   * @param {Buffer} buffer - The content of the image.
+   * @param {string} filename - The name of the image.
+   * @returns {Promise<string>} A promise object with the url of the image.
+   * @memberof ImageStorage
+   */
+  static async save(buffer, filename) {
+    return ImageStorage.backend().save(buffer, filename);
+  }
+
+  /**
+   * Removes an image.
+   * @static
+   * @param {string} url - The url of the image.
+   * @returns {Promise<boolean>} A promise object with true once the image is removed.
+   * @memberof ImageStorage
+   */
+  static async remove(url) {
+    return ImageStorage.backend().remove(url);
+  }
+}
@@ -1,11 +1,15 @@
 import ApiError from './apiError';
+import BookingStatus from './bookingStatus';
 import Helpers from './helpers';
+import ImageStorage from './imageStorage';
 import Mailer from './mailer';
 import Permissions from './permissions';
-import validationData from './validationData';
+import RequestStatus from './requestStatus';
+import Ownership from './ownership';
 import Notification from './notification';
 import SocketIO from './socketIO';
 
 export {
-  ApiError, Helpers, Mailer, Permissions, validationData, Notification, SocketIO
+  ApiError, BookingStatus, Helpers, ImageStorage, Mailer, Permissions, RequestStatus,
+  Ownership, Notification, SocketIO
 };
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Stores files in a directory on the local disk. The files are served by the App
+ * from /uploads.
+ *
+ * @class LocalStorage
+ */
+export default class LocalStorage {
+  /**
+   * Creates an instance of LocalStorage.
+   * @param {string} directory - The directory the files are stored in.
+   * @param {string} baseUrl - The url the directory is served from.
+   * @memberof LocalStorage
+   */
+  constructor(directory, baseUrl) {
+    this.directory = directory;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Saves a file to the directory.
+   * @param {Buffer} buffer - The content of the file.
+   * @param {string} filename - The name of the file.
+   * @returns {Promise<string>} A promise object with the url of the file.
+   * @memberof LocalStorage
+   */
+  async save(buffer, filename) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(path.join(this.directory, filename), buffer);
+    return `${this.baseUrl}/${filename}`;
+  }
+
+  /**
+   * Removes a file from the directory. A file that is already gone is ignored.
+   * @param {string} url - The url of the file.
+   * @returns {Promise<boolean>} A promise object with true once the file is removed.
+   * @memberof LocalStorage
+   */
+  async remove(url) {
+    try {
+      await fs.promises.unlink(path.join(this.directory, path.basename(url)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,52 @@
+import Permissions from './permissions';
+
+const { supplierAdmin, companyTravelAdmins } = Permissions;
+
+/**
+ * Contains methods that check if a resource belongs to a user
+ *
+ * @class Ownership
+ */
+class Ownership {
+  /**
+   * Checks if a user manages a facility. A supplier facility is managed by the admins
+   * of its supplier and a company facility by the travel admins of its company.
+   * @static
+   * @param {object} user - The user with their roleId, supplierId and companyId.
+   * @param {object} facility - The facility.
+   * @returns {boolean} True if the user manages the facility.
+   * @memberof Ownership
+   */
+  static ownsFacility({ roleId, supplierId, companyId }, facility) {
+    return facility.companyType === 'supplier'
+      ? supplierAdmin.includes(roleId) && facility.supplierId === supplierId
+      : companyTravelAdmins.includes(roleId) && facility.companyId === companyId;
+  }
+
+  /**
+   * Checks if a user manages a booking, which is the case if they manage the facility
+   * of the room booked.
+   * @static
+   * @param {object} user - The user with their roleId, supplierId and companyId.
+   * @param {object} booking - The booking including its room and the room's facility.
+   * @returns {boolean} True if the user manages the booking.
+   * @memberof Ownership
+   */
+  static managesBooking(user, booking) {
+    return Ownership.ownsFacility(user, booking.room.facility);
+  }
+
+  /**
+   * Checks if a user created a resource such as a booking or a comment.
+   * @static
+   * @param {object} user - The user.
+   * @param {object} resource - The resource with the id of the user who created it.
+   * @returns {boolean} True if the user created the resource.
+   * @memberof Ownership
+   */
+  static isAuthor({ id }, { userId }) {
+    return id === userId;
+  }
+}
+
+export default Ownership;
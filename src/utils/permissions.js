@@ -2,5 +2,6 @@ export default {
   superAdmins: [1, 6],
   supplierAdmin: [6],
   companyTravelAdmins: [1, 2],
+  companyManagers: [4],
   companyStaff: [1, 2, 3, 4, 5]
 };
@@ -0,0 +1,18 @@
+const approved = 1;
+const pending = 2;
+const rejected = 3;
+const cancelled = 4;
+
+export default {
+  approved,
+  pending,
+  rejected,
+  cancelled,
+  transitions: {
+    approve: { from: [pending], to: approved, label: 'approved' },
+    reject: { from: [pending], to: rejected, label: 'rejected' },
+    reopen: { from: [approved, rejected], to: pending, label: 'reopened' },
+    edit: { from: [pending], to: pending, label: 'edited' },
+    cancel: { from: [pending], to: cancelled, label: 'cancelled' }
+  }
+};
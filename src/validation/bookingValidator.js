@@ -1,7 +1,7 @@
 /* eslint-disable class-methods-use-this */
 import baseJoi from '@hapi/joi';
 import joiExtension from '@hapi/joi-date';
-import { ApiError } from '../utils';
+import { ApiError, BookingStatus } from '../utils';
 
 const Joi = baseJoi.extend(joiExtension);
 const dateObj = new Date();
@@ -34,23 +34,23 @@ class BookingValidator {
         .error(BookingValidator.validateAccDate('checkIn')),
       checkOut: Joi.date()
         .format('YYYY-MM-DD')
-        .min(Joi.ref('checkIn'))
+        .greater(Joi.ref('checkIn'))
         .required()
         .error(BookingValidator.validateAccDate('checkOut')),
-      userId: Joi.number()
+      requestId: Joi.number()
         .positive()
         .required()
         .error((errors) => {
           errors.forEach((err) => {
             switch (err.type) {
               case 'any.required':
-                err.message = 'userId is required!';
+                err.message = 'requestId is required!';
                 break;
               case 'number.base':
-                err.message = 'userId should not be empty';
+                err.message = 'requestId should not be empty';
                 break;
               case 'number.positive':
-                err.message = 'userId must be a positive number';
+                err.message = 'requestId must be a positive number';
                 break;
               default:
                 break;
@@ -78,7 +78,11 @@ class BookingValidator {
             }
           });
           return errors;
-        })
+        }),
+      addOns: Joi.array()
+        .items(Joi.string())
+        .unique()
+        .error(() => 'addOns must be a list of different add-ons of the facility')
     };
 
     const { error } = Joi.validate({ ...bookingData }, schema);
@@ -88,6 +92,116 @@ class BookingValidator {
     return true;
   }
 
+  /**
+   *
+   * Validates the new dates of an accommodation booking. Dates that are not being
+   * changed are taken from the current booking.
+   * @static
+   * @param {object} update - The new checkIn and/or checkOut dates.
+   * @param {object} booking - The current booking.
+   * @returns {object} Returns the dates of the booking after the change
+   * or throws an error if validation fails.
+   * @memberof BookingValidation
+   */
+  static validateAccommodationUpdate(update, booking) {
+    const { checkIn = booking.checkIn, checkOut = booking.checkOut } = update;
+    if (update.checkIn === undefined && update.checkOut === undefined) {
+      throw new ApiError(400, 'checkIn or checkOut is required!');
+    }
+    const schema = {
+      checkIn: Joi.date()
+        .format('YYYY-MM-DD')
+        .min(newdate)
+        .required()
+        .error(BookingValidator.validateAccDate('checkIn')),
+      checkOut: Joi.date()
+        .format('YYYY-MM-DD')
+        .greater(Joi.ref('checkIn'))
+        .required()
+        .error(BookingValidator.validateAccDate('checkOut'))
+    };
+    const { error } = Joi.validate({ checkIn, checkOut }, schema);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return { checkIn, checkOut };
+  }
+
+  /**
+   *
+   * Validates the query parameters used to filter and paginate the bookings of a supplier
+   * @static
+   * @param {object} query - The query parameters.
+   * @returns {object} Returns the query with its values converted
+   * or throws an error if validation fails.
+   * @memberof BookingValidation
+   */
+  static validateBookingQuery(query) {
+    const schema = {
+      facilityId: Joi.number().integer().positive()
+        .error(() => 'facilityId must be a positive number'),
+      roomId: Joi.number().integer().positive()
+        .error(() => 'roomId must be a positive number'),
+      status: Joi.string().valid(BookingStatus.statuses)
+        .error(() => `status must be one of ${BookingStatus.statuses.join(', ')}`),
+      from: Joi.date().format('YYYY-MM-DD').raw()
+        .error(() => 'from should be in this format YYYY-MM-DD'),
+      to: Joi.date().format('YYYY-MM-DD').min(Joi.ref('from')).raw()
+        .error(() => 'to should be a date in this format YYYY-MM-DD that is not before from'),
+      page: Joi.number().integer().min(1).default(1)
+        .error(() => 'page must be a number that is at least 1'),
+      limit: Joi.number().integer().min(1).max(100)
+        .default(10)
+        .error(() => 'limit must be a number between 1 and 100')
+    };
+    const { error, value } = Joi.validate({ ...query }, schema);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return value;
+  }
+
+  /**
+   *
+   * Validates a bulk reservation of the rooms of a company facility
+   * @static
+   * @param {object} reservation - The checkIn and checkOut dates and the rooms to reserve.
+   * @returns {object} Returns the reservation with the count of each room defaulted to 1
+   * or throws an error if validation fails.
+   * @memberof BookingValidation
+   */
+  static validateReservation(reservation) {
+    const schema = {
+      checkIn: Joi.date()
+        .format('YYYY-MM-DD')
+        .min(newdate)
+        .required()
+        .raw()
+        .error(BookingValidator.validateAccDate('checkIn')),
+      checkOut: Joi.date()
+        .format('YYYY-MM-DD')
+        .greater(Joi.ref('checkIn'))
+        .required()
+        .raw()
+        .error(BookingValidator.validateAccDate('checkOut')),
+      rooms: Joi.array()
+        .items(Joi.object({
+          roomId: Joi.number().integer().positive().required(),
+          count: Joi.number().integer().min(1).max(50)
+            .default(1)
+        }))
+        .min(1)
+        .unique('roomId')
+        .required()
+        .error(() => 'rooms must be a list of different roomIds, each with a count of rooms to reserve between 1 and 50')
+    };
+    const { error, value } = Joi.validate({ ...reservation }, schema);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return value;
+  }
+
   /**
    * Validates checkIn and checkOut keys
    * @param {string} key - The key to validate
@@ -107,7 +221,10 @@ class BookingValidator {
             err.message = `${key} should not be empty`;
             break;
           case 'date.min':
-            err.message = `${key} must be larger than or equal to ${key === 'checkIn' ? 'today' : 'checkIn'}`;
+            err.message = `${key} must be larger than or equal to today`;
+            break;
+          case 'date.greater':
+            err.message = `${key} must be after checkIn`;
             break;
           default:
             break;
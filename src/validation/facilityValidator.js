@@ -1,5 +1,7 @@
-import joi from '@hapi/joi';
-import { validationData } from '../utils';
+import baseJoi from '@hapi/joi';
+import joiExtension from '@hapi/joi-date';
+
+const joi = baseJoi.extend(joiExtension);
 
 /**
  * A collection of validation methods that checks data
@@ -9,27 +11,14 @@ import { validationData } from '../utils';
  */
 class FacilityValidator {
   /**
-     * Validates a Facility upon creation
+     * Gives the schema of a room category of a facility, which has a cost unless the
+     * facility is owned by a company.
      *
-     * @param {object} facility - The facility object to be validated.
-     * @param {boolean} isCompany - True if its a company facility object
-     * and false if its a supplier facility.
-     * @returns {object | boolean } - returns an object (error response)
-     * or a boolean if the facility details are valid.
+     * @param {boolean} isCompany - True if the room category is of a company facility.
+     * @returns {object} - returns the schema of the room category.
      */
-  static async validateFacility(facility, isCompany = false) {
-    const roomSchema = isCompany ? {
-      occupancyCount: joi.number().required()
-        .label('Please fill in the max number of occupant for this category'),
-      roomCount: joi.number().required()
-        .label('Please fill in the number of rooms that are present for this category'),
-      description: joi.string().min(3).max(250)
-        .label('Please add a valid description'),
-      roomCategoryId: joi.number().required()
-        .label('Please select a category from the options provided'),
-      newCategory: joi.string().min(3).max(10)
-        .label('Please enter a meaningful and short category name')
-    } : {
+  static roomSchema(isCompany) {
+    return {
       occupancyCount: joi.number().required()
         .label('Please fill in the max number of occupant for this category'),
       roomCount: joi.number().required()
@@ -38,29 +27,43 @@ class FacilityValidator {
         .label('Please add a valid description'),
       roomCategoryId: joi.number().required()
         .label('Please select a category from the options provided'),
-      roomCost: joi.number().required()
-        .label('Please fill in a cost for the room'),
+      ...(!isCompany && {
+        roomCost: joi.number().required()
+          .label('Please fill in a cost for the room')
+      }),
       newCategory: joi.string().min(3).max(10)
         .label('Please enter a meaningful and short category name')
     };
+  }
+
+  /**
+     * Validates a Facility upon creation
+     *
+     * @param {object} facility - The facility object to be validated.
+     * @param {boolean} isCompany - True if its a company facility object
+     * and false if its a supplier facility.
+     * @returns {object | boolean } - returns an object (error response)
+     * or a boolean if the facility details are valid.
+     */
+  static async validateFacility(facility, isCompany = false) {
     const schema = {
       name: joi.string().min(3).max(25).required()
         .label('Please enter a valid name for your facility, It should be atleast 3 characters long'),
       description: joi.string().min(3).max(250).required()
         .label('Please add a short description'),
-      state: joi.valid(validationData.states).required()
-        .label('Please select a state'),
-      city: joi.string().min(3).max(25).required()
-        .label('Please enter a valid city name'),
+      cityId: joi.number().integer().positive().required()
+        .label('Please select the city of your facility from the list of locations'),
       address: joi.string().min(3).max(100).required()
         .label('Please fill in a valid Address'),
-      imageUrl: joi.string().uri().required()
-        .label('Please upload an Image of your facility'),
+      imageUrl: joi.string().uri()
+        .label('Please enter a valid url for the image of your facility'),
       amenities: joi.array().items(joi.number()).sparse()
         .label('Please check the given fields for your choice of amenities'),
       addOns: joi.array().items(joi.string()).sparse()
         .label('Please check the given fields for your choice of amenities'),
-      rooms: joi.array().items(joi.object(roomSchema)).required()
+      addOnCosts: joi.object().pattern(joi.string(), joi.number().min(0))
+        .label('Please enter a cost that is not negative for each add-on'),
+      rooms: joi.array().items(joi.object(FacilityValidator.roomSchema(isCompany))).required()
         .label('Please create room categories for your facility')
     };
     const { error } = joi.validate({ ...facility }, schema);
@@ -69,6 +72,200 @@ class FacilityValidator {
     }
     return true;
   }
+
+  /**
+     * Validates the core details of a facility upon update. The details are
+     * validated like those of a new facility but each of them is optional.
+     *
+     * @param {object} facility - The facility details to be validated.
+     * @returns {object} - returns the details that can be updated
+     * or throws an error if the details are invalid.
+     */
+  static async validateFacilityUpdate(facility) {
+    const schema = joi.object({
+      name: joi.string().min(3).max(25)
+        .label('Please enter a valid name for your facility, It should be atleast 3 characters long'),
+      description: joi.string().min(3).max(250)
+        .label('Please add a short description'),
+      cityId: joi.number().integer().positive()
+        .label('Please select the city of your facility from the list of locations'),
+      address: joi.string().min(3).max(100)
+        .label('Please fill in a valid Address'),
+      imageUrl: joi.string().uri()
+        .label('Please enter a valid url for the image of your facility'),
+      addOns: joi.array().items(joi.string()).sparse()
+        .label('Please check the given fields for your choice of amenities'),
+      addOnCosts: joi.object().pattern(joi.string(), joi.number().min(0))
+        .label('Please enter a cost that is not negative for each add-on')
+    }).min(1)
+      .label('Please provide at least one of name, description, cityId, address, imageUrl, addOns or addOnCosts to update');
+    const { error, value } = joi.validate({ ...facility }, schema, { stripUnknown: true });
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates a room category added to an existing facility
+     *
+     * @param {object} room - The room category to be validated.
+     * @param {boolean} isCompany - True if the facility is owned by a company.
+     * @returns {object} - returns the room category
+     * or throws an error if it is invalid.
+     */
+  static async validateRoom(room, isCompany) {
+    const schema = {
+      ...FacilityValidator.roomSchema(isCompany),
+      roomStatus: joi.string().valid('available', 'unavailable')
+        .label('roomStatus must be either available or unavailable')
+    };
+    const { error, value } = joi.validate({ ...room }, schema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates the details of a room category upon update. Each of them is optional
+     * and a room category of a company facility has no cost.
+     *
+     * @param {object} room - The room category details to be validated.
+     * @param {boolean} isCompany - True if the facility is owned by a company.
+     * @returns {object} - returns the details that can be updated
+     * or throws an error if the details are invalid.
+     */
+  static async validateRoomUpdate(room, isCompany) {
+    const fields = isCompany
+      ? 'occupancyCount, roomCount, description or roomStatus'
+      : 'occupancyCount, roomCount, roomCost, description or roomStatus';
+    const schema = joi.object({
+      occupancyCount: joi.number().integer().min(1)
+        .label('occupancyCount must be a number that is at least 1'),
+      roomCount: joi.number().integer().min(1)
+        .label('roomCount must be a number that is at least 1'),
+      ...(!isCompany && {
+        roomCost: joi.number().min(0)
+          .label('roomCost must be a number that is not negative')
+      }),
+      description: joi.string().min(3).max(250)
+        .label('Please add a valid description'),
+      roomStatus: joi.string().valid('available', 'unavailable')
+        .label('roomStatus must be either available or unavailable')
+    }).min(1)
+      .label(`Please provide at least one of ${fields} to update`);
+    const { error, value } = joi.validate({ ...room }, schema, { stripUnknown: true });
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates a rate of a room category upon creation or update. A rate sets either
+     * the price of a night or a percentage of the room cost, and applies to every
+     * night unless it is given dates and/or days of the week, 0 being Sunday.
+     *
+     * @param {object} rate - The rate to be validated.
+     * @param {boolean} isUpdate - True if the rate is being updated, in which case
+     * each detail is optional.
+     * @returns {object} - returns the rate
+     * or throws an error if it is invalid.
+     */
+  static async validateRate(rate, isUpdate) {
+    const date = joi.date().format('YYYY-MM-DD').raw()
+      .allow(null);
+    const daysMessage = 'days must be a list of different days of the week from 0 for Sunday to 6 for Saturday';
+    const schema = {
+      label: joi.string().trim().min(2).max(50)
+        .label('Please enter a label for the rate of between 2 and 50 characters'),
+      price: joi.number().min(0)
+        .label('price must be a number that is not negative'),
+      percentage: joi.number().integer().min(1).max(1000)
+        .label('percentage must be a whole number between 1 and 1000'),
+      startDate: date.label('startDate must be a date in the format YYYY-MM-DD'),
+      endDate: date.label('endDate must be a date in the format YYYY-MM-DD'),
+      days: joi.array().items(joi.number().integer().min(0).max(6)
+        .label(daysMessage)).min(1).unique()
+        .allow(null)
+        .label(daysMessage),
+      minNights: joi.number().integer().min(1)
+        .label('minNights must be a number that is at least 1'),
+      companyId: joi.number().integer().positive().allow(null)
+        .label('companyId must be the id of a company')
+    };
+    const rateSchema = isUpdate
+      ? joi.object(schema).min(1).oxor('price', 'percentage')
+        .label('Please provide either a price or a percentage, and at least one detail of the rate to update')
+      : joi.object({ ...schema, label: schema.label.required() })
+        .xor('price', 'percentage')
+        .label('Please provide either a price or a percentage of the room cost for the rate');
+    const { error, value } = joi.validate({ ...rate }, rateSchema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates the pagination query of the facility listing
+     *
+     * @param {object} query - The query parameters to be validated.
+     * @returns {object} - returns the query with its values converted
+     * or throws an error if the query is invalid.
+     */
+  static async validateFacilityQuery(query) {
+    const schema = {
+      page: joi.number().integer().min(1).default(1)
+        .label('page must be a number that is at least 1'),
+      limit: joi.number().integer().min(1).max(100)
+        .default(10)
+        .label('limit must be a number between 1 and 100')
+    };
+    const { error, value } = joi.validate({ ...query }, schema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates the query parameters of a facility availability search
+     *
+     * @param {object} query - The query parameters to be validated.
+     * @returns {object} - returns the query with its values converted
+     * or throws an error if the query is invalid.
+     */
+  static async validateSearchQuery(query) {
+    const schema = {
+      country: joi.string().trim().max(100)
+        .label('Please enter a valid country name'),
+      state: joi.string().trim().max(100)
+        .label('Please enter a valid state name'),
+      city: joi.string().trim().max(100)
+        .label('Please enter a valid city name'),
+      cityId: joi.number().integer().positive()
+        .label('cityId must be the id of a city from the list of locations'),
+      checkIn: joi.date().format('YYYY-MM-DD').required()
+        .raw()
+        .label('Please enter a checkIn date in the format YYYY-MM-DD'),
+      checkOut: joi.date().format('YYYY-MM-DD').greater(joi.ref('checkIn'))
+        .required()
+        .raw()
+        .label('Please enter a checkOut date in the format YYYY-MM-DD that is after checkIn'),
+      guests: joi.number().integer().min(1).default(1)
+        .label('guests must be a number that is at least 1'),
+      amenities: joi.string().regex(/^\d+(,\d+)*$/)
+        .label('amenities must be a comma separated list of amenity ids')
+    };
+    const { error, value } = joi.validate({ ...query }, schema);
+    if (error) {
+      throw error;
+    }
+    if (value.amenities) value.amenities = [...new Set(value.amenities.split(',').map(Number))];
+    return value;
+  }
 }
 
 export default FacilityValidator;
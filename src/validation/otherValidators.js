@@ -27,4 +27,230 @@ export default class OtherValidators {
     }
     return true;
   }
+
+  /**
+     * Validates the line manager a user is setting on their profile
+     *
+     * @param {object} body - The request body containing the lineManagerId.
+     * @returns {object} - returns an object (error response)
+     * or the body with the lineManagerId converted to a number if it is valid.
+     * @memberof OtherValidators
+     */
+  static lineManagerValidator(body) {
+    const lineManagerSchema = {
+      lineManagerId: joi.number().integer().positive().required()
+        .label('Please enter a valid lineManagerId')
+    };
+    const { error, value } = joi.validate({ ...body }, lineManagerSchema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates the changes a user is making to their profile. The line manager is not
+     * part of the profile, it is set on its own endpoint.
+     *
+     * @param {object} profile - The profile details to be updated.
+     * @returns {object | boolean } - returns an object (error response)
+     * or a boolean if the profile is valid.
+     * @memberof OtherValidators
+     */
+  static profileValidator(profile) {
+    const lineManager = joi.any().forbidden()
+      .label('The line manager can only be set with PATCH /api/users/profile/:userId/line-manager');
+    const profileSchema = joi.object({ lineManager, lineManagerId: lineManager }).unknown(true);
+    const { error } = joi.validate({ ...profile }, profileSchema);
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+     * Validates an exchange rate being set by an admin
+     *
+     * @param {object} exchangeRate - The currency and its rate.
+     * @returns {object | boolean } - returns an object (error response)
+     * or a boolean if the exchange rate is valid.
+     * @memberof OtherValidators
+     */
+  static exchangeRateValidator(exchangeRate) {
+    const exchangeRateSchema = {
+      currency: joi.string().regex(/^[a-zA-Z ]{2,25}$/).required()
+        .label('Please enter a valid currency name'),
+      rate: joi.number().positive().required()
+        .label('Please enter a rate that is a positive number')
+    };
+    const { error } = joi.validate({ ...exchangeRate }, exchangeRateSchema);
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+     * Validates a review of a facility upon creation
+     *
+     * @param {object} review - The review to be validated.
+     * @returns {object | boolean } - returns an object (error response)
+     * or a boolean if the review is valid.
+     * @memberof OtherValidators
+     */
+  static reviewValidator(review) {
+    const reviewSchema = {
+      bookingId: joi.number().integer().positive().required()
+        .label('Please enter the bookingId of your stay at the facility'),
+      rating: joi.number().integer().min(1).max(5)
+        .required()
+        .label('Please enter a rating between 1 and 5'),
+      comment: joi.string().trim().min(3).max(1500)
+        .required()
+        .label('Please enter a valid review and ensure it is not more than 1500 characters long')
+    };
+    const { error } = joi.validate({ ...review }, reviewSchema);
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+     * Validates the reply of a facility to a review
+     *
+     * @param {object} body - The request body containing the reply.
+     * @returns {object | boolean } - returns an object (error response)
+     * or a boolean if the reply is valid.
+     * @memberof OtherValidators
+     */
+  static reviewReplyValidator(body) {
+    const replySchema = {
+      reply: joi.string().trim().min(2).max(1500)
+        .required()
+        .label('Please enter a valid reply and ensure it is not more than 1500 characters long')
+    };
+    const { error } = joi.validate({ ...body }, replySchema);
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+     * Validates the changes to an image of a facility gallery
+     *
+     * @param {object} body - The request body containing the position and/or isCover.
+     * @returns {object | boolean } - returns an object (error response)
+     * or a boolean if the changes are valid.
+     * @memberof OtherValidators
+     */
+  static imageUpdateValidator(body) {
+    const imageSchema = joi.object({
+      position: joi.number().integer().min(1)
+        .label('Please enter a position that is a number from 1'),
+      isCover: joi.boolean().valid(true)
+        .label('isCover can only be set to true, make another image the cover instead')
+    }).min(1)
+      .label('Please provide the position of the image or set isCover to true');
+    const { error } = joi.validate({ ...body }, imageSchema);
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+     * Validates the query of a city search
+     *
+     * @param {object} query - The query containing the search text, countryId and limit.
+     * @returns {object} - returns the query with its values converted
+     * or throws an error if the query is invalid.
+     * @memberof OtherValidators
+     */
+  static locationSearchValidator(query) {
+    const searchSchema = {
+      search: joi.string().trim().min(1).max(100)
+        .required()
+        .label('Please enter the start of the name of a city to search for'),
+      countryId: joi.number().integer().positive()
+        .label('countryId must be the id of a country'),
+      limit: joi.number().integer().min(1).max(50)
+        .default(10)
+        .label('limit must be a number between 1 and 50')
+    };
+    const { error, value } = joi.validate({ ...query }, searchSchema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates an amenity being added or updated by an admin
+     *
+     * @param {object} amenity - The amenity containing its label.
+     * @returns {object} - returns the amenity with its label trimmed
+     * or throws an error if the amenity is invalid.
+     * @memberof OtherValidators
+     */
+  static amenityValidator(amenity) {
+    const amenitySchema = {
+      label: joi.string().trim().min(2).max(50)
+        .required()
+        .label('Please enter a label for the amenity between 2 and 50 characters long')
+    };
+    const { error, value } = joi.validate({ ...amenity }, amenitySchema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates a room category being added or updated by an admin
+     *
+     * @param {object} roomCategory - The room category containing its label and description.
+     * @param {boolean} isUpdate - True if the room category is being updated, in which
+     * case only the details being changed are given.
+     * @returns {object} - returns the room category with its values trimmed
+     * or throws an error if the room category is invalid.
+     * @memberof OtherValidators
+     */
+  static roomCategoryValidator(roomCategory, isUpdate = false) {
+    const label = joi.string().trim().min(3).max(50)
+      .label('Please enter a label for the room category between 3 and 50 characters long');
+    const roomCategorySchema = joi.object({
+      label: isUpdate ? label : label.required(),
+      description: joi.string().trim().max(250).allow('')
+        .label('Please enter a description that is not more than 250 characters long')
+    }).or('label', 'description')
+      .label('Please provide the label and/or description of the room category');
+    const { error, value } = joi.validate({ ...roomCategory }, roomCategorySchema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+     * Validates the room categories being merged into another
+     *
+     * @param {object} body - The request body containing the categoryIds.
+     * @returns {object} - returns the body with its ids converted to numbers
+     * or throws an error if the body is invalid.
+     * @memberof OtherValidators
+     */
+  static roomCategoryMergeValidator(body) {
+    const mergeSchema = {
+      categoryIds: joi.array().items(joi.number().integer().positive()).min(1).unique()
+        .required()
+        .label('Please enter the ids of the room categories to merge as a list')
+    };
+    const { error, value } = joi.validate({ ...body }, mergeSchema);
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
 }
@@ -46,8 +46,21 @@ export default class TripRequestValidation {
       departureDate: Joi.date()
         .format('YYYY-MM-DD')
         .min(newdate)
-        .required()
+        .when('tripType', {
+          is: 'Multi-leg',
+          then: Joi.forbidden(),
+          otherwise: Joi.required()
+        })
         .error(TripRequestValidation.validateTripDate('departureDate')),
+      returnDate: Joi.date()
+        .format('YYYY-MM-DD')
+        .greater(Joi.ref('departureDate'))
+        .when('tripType', {
+          is: 'Round-Trip',
+          then: Joi.required(),
+          otherwise: Joi.forbidden()
+        })
+        .error(TripRequestValidation.validateTripDate('returnDate')),
       purpose: Joi.string()
         .min(3)
         .max(255)
@@ -75,19 +88,26 @@ export default class TripRequestValidation {
         }),
       origin: Joi.string()
         .min(3)
-        .max(25)
-        .required()
+        .max(100)
+        .when('tripType', {
+          is: 'Multi-leg',
+          then: Joi.forbidden(),
+          otherwise: Joi.required()
+        })
         .error((errors) => {
           errors.forEach((err) => {
             switch (err.type) {
               case 'any.required':
                 err.message = 'origin is required!';
                 break;
+              case 'any.unknown':
+                err.message = 'origin is not allowed for Multi-leg requests, add it to the legs instead';
+                break;
               case 'string.min':
                 err.message = 'origin must not be less than 3 letters';
                 break;
               case 'string.max':
-                err.message = 'it must not exceed 25 letters';
+                err.message = 'origin must not exceed 100 letters';
                 break;
               case 'any.empty':
                 err.message = 'origin should not be empty';
@@ -100,19 +120,26 @@ export default class TripRequestValidation {
         }),
       destination: Joi.string()
         .min(3)
-        .max(25)
-        .required()
+        .max(100)
+        .when('tripType', {
+          is: 'Multi-leg',
+          then: Joi.forbidden(),
+          otherwise: Joi.required()
+        })
         .error((errors) => {
           errors.forEach((err) => {
             switch (err.type) {
               case 'any.required':
                 err.message = 'destination is required!';
                 break;
+              case 'any.unknown':
+                err.message = 'destination is not allowed for Multi-leg requests, add it to the legs instead';
+                break;
               case 'string.min':
                 err.message = 'destination must not be less than 3 letters';
                 break;
               case 'string.max':
-                err.message = 'destination must not exceed 25 letters';
+                err.message = 'destination must not exceed 100 letters';
                 break;
               case 'any.empty':
                 err.message = 'destination should not be empty';
@@ -123,22 +150,24 @@ export default class TripRequestValidation {
           });
           return errors;
         }),
-      managerId: Joi.number()
-        .required().error((errors) => {
-          errors.forEach((err) => {
-            switch (err.type) {
-              case 'any.required':
-                err.message = 'managerId is required';
-                break;
-              case 'number.base':
-                err.message = 'managerId must be a number';
-                break;
-              default:
-                break;
-            }
-          });
-          return errors;
+      legs: Joi.array()
+        .items(Joi.object({
+          origin: Joi.string().min(3).max(100).required()
+            .error(TripRequestValidation.validateTripLegs),
+          destination: Joi.string().min(3).max(100).required()
+            .error(TripRequestValidation.validateTripLegs),
+          departureDate: Joi.date().format('YYYY-MM-DD').min(newdate).required()
+            .error(TripRequestValidation.validateTripLegs),
+          isGap: Joi.boolean(),
+          accommodationBookingId: Joi.number().integer().positive()
+        }))
+        .min(2)
+        .when('tripType', {
+          is: 'Multi-leg',
+          then: Joi.required(),
+          otherwise: Joi.forbidden()
         })
+        .error(TripRequestValidation.validateTripLegs)
     };
     const { error } = Joi.validate({ ...tripObject }, schema);
     if (error) {
@@ -147,6 +176,176 @@ export default class TripRequestValidation {
     return true;
   }
 
+  /**
+   * Checks that the legs of a Multi-leg trip are in chronological order and that
+   * every leg starts in the city the previous one ended in unless it is marked as a gap.
+   * @param {array} legs - The validated legs of the trip with the ids of their cities.
+   * @returns {boolean} - returns true if the legs connect or throws an error.
+   */
+  static validateLegSequence(legs) {
+    legs.reduce((previousLeg, leg, index) => {
+      if (new Date(leg.departureDate) < new Date(previousLeg.departureDate)) {
+        throw new ApiError(400, `leg ${index + 1} departureDate must be larger than or equal to leg ${index} departureDate`);
+      }
+      const isConnected = leg.originId === previousLeg.destinationId;
+      if (!isConnected && !leg.isGap) {
+        throw new ApiError(400, `leg ${index + 1} must start from ${previousLeg.destination} or be marked as a gap`);
+      }
+      return leg;
+    });
+    return true;
+  }
+
+  /**
+   * Validates the legs of a Multi-leg trip
+   * @param {array} errors - The errors returned by Joi
+   * @returns {Error} Returns a descriptive error message
+   */
+  static validateTripLegs(errors) {
+    errors.forEach((err) => {
+      const [, index, key] = err.path;
+      const label = `leg ${index + 1} ${key}`;
+      switch (err.type) {
+        case 'any.required':
+          err.message = key ? `${label} is required!` : 'legs is required for Multi-leg requests!';
+          break;
+        case 'any.unknown':
+          err.message = 'legs is only allowed for Multi-leg requests';
+          break;
+        case 'array.base':
+          err.message = 'legs must be a list of trip legs';
+          break;
+        case 'array.min':
+          err.message = 'a Multi-leg request must have at least 2 legs';
+          break;
+        case 'any.empty':
+        case 'date.base':
+          err.message = `${label} should not be empty`;
+          break;
+        case 'string.min':
+          err.message = `${label} must not be less than 3 letters`;
+          break;
+        case 'string.max':
+          err.message = `${label} must not exceed 100 letters`;
+          break;
+        case 'date.format':
+          err.message = `${label} should be in this format ${err.context.format}`;
+          break;
+        case 'date.min':
+          err.message = `${label} must be larger than or equal to today`;
+          break;
+        default:
+          break;
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Validates the query parameters used to filter, sort and paginate trip requests
+   *
+   * @param {object} query - The query parameters
+   * @returns {object} - returns the query with its values converted or throws an error.
+   */
+  static async requestQuery(query) {
+    const schema = {
+      status: Joi.string().insensitive().valid('Pending', 'Approved', 'Rejected', 'Cancelled')
+        .error(() => 'status must be one of Pending, Approved, Rejected or Cancelled'),
+      requesterId: Joi.number().integer().positive()
+        .error(() => 'requesterId must be a positive number'),
+      tripType: Joi.string().valid('One-way', 'Round-Trip', 'Multi-leg')
+        .error(() => 'tripType must be one of One-way, Round-Trip or Multi-leg'),
+      origin: Joi.string().trim().max(100)
+        .error(() => 'origin must not exceed 100 letters'),
+      destination: Joi.string().trim().max(100)
+        .error(() => 'destination must not exceed 100 letters'),
+      search: Joi.string().trim().max(255)
+        .error(() => 'search must not exceed 255 letters'),
+      from: Joi.date().format('YYYY-MM-DD')
+        .error(() => 'from should be in this format YYYY-MM-DD'),
+      to: Joi.date().format('YYYY-MM-DD').min(Joi.ref('from'))
+        .error(() => 'to should be a date in this format YYYY-MM-DD that is not before from'),
+      sortBy: Joi.string().valid('createdAt', 'departureDate').default('departureDate')
+        .error(() => 'sortBy must be one of createdAt or departureDate'),
+      order: Joi.string().insensitive().valid('ASC', 'DESC').default('ASC')
+        .error(() => 'order must be one of ASC or DESC'),
+      page: Joi.number().integer().min(1).default(1)
+        .error(() => 'page must be a number that is at least 1'),
+      limit: Joi.number().integer().min(1).max(100)
+        .default(10)
+        .error(() => 'limit must be a number between 1 and 100')
+    };
+    const { error, value } = Joi.validate({ ...query }, schema);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return value;
+  }
+
+  /**
+   * Validates the query parameters of the company travel analytics
+   *
+   * @param {object} query - The query parameters
+   * @returns {object} - returns the query with its values converted or throws an error.
+   */
+  static async analyticsQuery(query) {
+    const schema = {
+      from: Joi.date().format('YYYY-MM-DD')
+        .error(() => 'from should be in this format YYYY-MM-DD'),
+      to: Joi.date().format('YYYY-MM-DD').min(Joi.ref('from'))
+        .error(() => 'to should be a date in this format YYYY-MM-DD that is not before from'),
+      format: Joi.string().insensitive().valid('json', 'csv').default('json')
+        .error(() => 'format must be one of json or csv')
+    };
+    const { error, value } = Joi.validate({ ...query }, schema);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return value;
+  }
+
+  /**
+   * Validates the body of a trip request status change
+   *
+   * @param {object} statusObject - The status change details
+   * @param {string} action - The status change being made e.g approve, reject or reopen
+   * @returns {boolean} - returns true if validation passes or throws an error.
+   */
+  static async statusChange(statusObject, action) {
+    const reason = Joi.string()
+      .min(3)
+      .max(1500)
+      .error((errors) => {
+        errors.forEach((err) => {
+          switch (err.type) {
+            case 'any.required':
+              err.message = 'reason is required when rejecting a request!';
+              break;
+            case 'string.min':
+              err.message = 'reason must not be less than 3 letters';
+              break;
+            case 'string.max':
+              err.message = 'reason must not exceed 1500 letters';
+              break;
+            case 'any.empty':
+              err.message = 'reason should not be empty';
+              break;
+            default:
+              break;
+          }
+        });
+        return errors;
+      });
+    const schema = {
+      reason: action === 'reject' ? reason.required() : reason
+    };
+    const { error } = Joi.validate({ ...statusObject }, schema);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return true;
+  }
+
   /**
    * Validates departureDate and returnDate keys
    * @param {string} key - The key to validate
@@ -166,7 +365,14 @@ export default class TripRequestValidation {
             err.message = `${key} should not be empty`;
             break;
           case 'date.min':
-            err.message = `${key} must be larger than or equal to ${key === 'departureDate' ? 'today' : 'departureDate'}`;
+            err.message = `${key} must be larger than or equal to today`;
+            break;
+          case 'date.greater':
+            err.message = `${key} must be after departureDate`;
+            break;
+          case 'any.unknown':
+            err.message = key === 'returnDate' ? `${key} is only allowed for Round-Trip requests`
+              : `${key} is not allowed for Multi-leg requests, add it to the legs instead`;
             break;
           default:
             break;